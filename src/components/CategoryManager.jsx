@@ -0,0 +1,238 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Plus, Trash2 } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { loadAppSettings, saveAppSettings } from '../utils/storage.js';
+import {
+  OUTFIT_SLOTS,
+  getCategoryRegistry,
+  getNewSubcategories,
+  createCategory,
+  assertCategoryRemovable
+} from '../utils/categories.js';
+
+const EMPTY_CATEGORY_FORM = { label: '', description: '', slots: [], subcategories: '' };
+
+/**
+ * Dialog for adding wardrobe categories and subcategories, and deleting
+ * empty categories the user added
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Function} props.onOpenChange - Called when the dialog opens or closes
+ * @param {Object[]} props.items - Wardrobe items, to keep categories in use from being deleted
+ * @param {Function} props.onChange - Called with the updated category registry after every change
+ */
+const CategoryManager = ({ open, onOpenChange, items, onChange }) => {
+  const [categories, setCategories] = useState(() => getCategoryRegistry(loadAppSettings()));
+  const [form, setForm] = useState(EMPTY_CATEGORY_FORM);
+  const [subcategoryTarget, setSubcategoryTarget] = useState('tops');
+  const [subcategoryText, setSubcategoryText] = useState('');
+  const { toast } = useToast();
+
+  /**
+   * Save category settings and pass the new registry on
+   * @param {Object} updates - customCategories and/or customSubcategories
+   */
+  const saveCategorySettings = (updates) => {
+    const settings = { ...loadAppSettings(), ...updates };
+    saveAppSettings(settings);
+    const registry = getCategoryRegistry(settings);
+    setCategories(registry);
+    onChange(registry);
+  };
+
+  /**
+   * Turn an outfit slot on or off for the new category
+   * @param {string} slot - Key of OUTFIT_SLOTS
+   */
+  const toggleSlot = (slot) => {
+    setForm(current => ({
+      ...current,
+      slots: current.slots.includes(slot) ? current.slots.filter(other => other !== slot) : [...current.slots, slot]
+    }));
+  };
+
+  const handleCreateCategory = () => {
+    try {
+      const category = createCategory(form, categories);
+      saveCategorySettings({ customCategories: [...loadAppSettings().customCategories, category] });
+      setForm(EMPTY_CATEGORY_FORM);
+      toast({
+        title: "Category added",
+        description: `${category.label} fills ${category.slots.map(slot => OUTFIT_SLOTS[slot].label.toLowerCase()).join(' and ')}`,
+      });
+    } catch (error) {
+      toast({
+        title: "Category not added",
+        description: error.message,
+        variant: "destructive"
+      });
+    }
+  };
+
+  const handleAddSubcategories = () => {
+    const category = categories[subcategoryTarget];
+    const added = getNewSubcategories(subcategoryText, category);
+    if (added.length === 0) {
+      toast({
+        title: "Nothing to add",
+        description: `${category.label} already has those subcategories`,
+      });
+      return;
+    }
+
+    const settings = loadAppSettings();
+    if (category.builtIn) {
+      const customSubcategories = { ...settings.customSubcategories };
+      customSubcategories[category.key] = [...(customSubcategories[category.key] || []), ...added];
+      saveCategorySettings({ customSubcategories });
+    } else {
+      saveCategorySettings({
+        customCategories: settings.customCategories.map(custom => custom.key === category.key
+          ? { ...custom, subcategories: [...custom.subcategories, ...added] }
+          : custom)
+      });
+    }
+    setSubcategoryText('');
+  };
+
+  /**
+   * Delete a user category that has no items
+   * @param {string} key - Category key
+   */
+  const handleDeleteCategory = (key) => {
+    try {
+      assertCategoryRemovable(key, items, categories);
+      saveCategorySettings({ customCategories: loadAppSettings().customCategories.filter(custom => custom.key !== key) });
+      if (subcategoryTarget === key) setSubcategoryTarget('tops');
+    } catch (error) {
+      toast({
+        title: "Category not deleted",
+        description: error.message,
+        variant: "destructive"
+      });
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Categories</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-3">
+          {Object.values(categories).map((category) => (
+            <div key={category.key} className="p-3 rounded-lg border border-border">
+              <div className="flex items-center gap-2">
+                <span className="font-medium flex-1">{category.label}</span>
+                {category.slots.map(slot => (
+                  <Badge key={slot} variant="secondary" className="text-xs">{OUTFIT_SLOTS[slot].label}</Badge>
+                ))}
+                {!category.builtIn && (
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => handleDeleteCategory(category.key)}
+                    aria-label={`Delete ${category.label}`}
+                  >
+                    <Trash2 className="w-3 h-3" />
+                  </Button>
+                )}
+              </div>
+              {category.subcategories.length > 0 && (
+                <p className="text-xs text-muted-foreground mt-1">
+                  {category.subcategories.map(subcategory => subcategory.label).join(', ')}
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="space-y-2">
+          <h4 className="font-medium">Add Subcategories</h4>
+          <div className="flex gap-2">
+            <Select value={subcategoryTarget} onValueChange={setSubcategoryTarget}>
+              <SelectTrigger className="w-40" aria-label="Category">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.values(categories).map(category => (
+                  <SelectItem key={category.key} value={category.key}>{category.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Input
+              value={subcategoryText}
+              onChange={(e) => setSubcategoryText(e.target.value)}
+              placeholder="Kimono, Poncho"
+              aria-label="Subcategory names"
+            />
+            <Button variant="outline" onClick={handleAddSubcategories} disabled={!subcategoryText.trim()}>
+              Add
+            </Button>
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          <h4 className="font-medium">New Category</h4>
+          <div className="space-y-1">
+            <Label htmlFor="category-label">Name</Label>
+            <Input
+              id="category-label"
+              value={form.label}
+              onChange={(e) => setForm(current => ({ ...current, label: e.target.value }))}
+              placeholder="e.g. Swimwear"
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="category-description">Description</Label>
+            <Input
+              id="category-description"
+              value={form.description}
+              onChange={(e) => setForm(current => ({ ...current, description: e.target.value }))}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label>Fills outfit slots</Label>
+            <div className="flex flex-wrap gap-2">
+              {Object.entries(OUTFIT_SLOTS).map(([slot, { label }]) => (
+                <Button
+                  key={slot}
+                  size="sm"
+                  variant={form.slots.includes(slot) ? 'default' : 'outline'}
+                  onClick={() => toggleSlot(slot)}
+                >
+                  {label}
+                </Button>
+              ))}
+            </div>
+            <p className="text-xs text-muted-foreground">
+              A one-piece garment fills several slots, like a dress filling both tops and bottoms
+            </p>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="category-subcategories">Subcategories</Label>
+            <Input
+              id="category-subcategories"
+              value={form.subcategories}
+              onChange={(e) => setForm(current => ({ ...current, subcategories: e.target.value }))}
+              placeholder="Bikini, Swim trunks"
+            />
+          </div>
+          <Button onClick={handleCreateCategory} className="w-full flex items-center gap-2">
+            <Plus className="w-4 h-4" />
+            Add Category
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default CategoryManager;
@@ -1,7 +1,17 @@
 import React from 'react';
 import { Card, CardContent } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
-import { Upload, Shirt, Briefcase, Heart } from 'lucide-react';
+import { Upload, Shirt, Briefcase, Heart, SlidersHorizontal, SwatchBook, Laptop, Gem, Dumbbell, Palmtree, Wine } from 'lucide-react';
+import { OCCASIONS } from '../utils/occasions.js';
+
+// Occasions shown as smaller tiles below the main casual/formal tiles
+const MORE_OCCASIONS = [
+  { id: 'business-casual', icon: Laptop },
+  { id: 'black-tie', icon: Gem },
+  { id: 'athletic', icon: Dumbbell },
+  { id: 'beach', icon: Palmtree },
+  { id: 'evening', icon: Wine }
+];
 
 /**
  * Main dashboard component with navigation tiles
@@ -41,7 +51,7 @@ const Dashboard = ({ onNavigate }) => {
                 Upload Wardrobe
               </h3>
               <p className="text-muted-foreground mb-6 leading-relaxed">
-                Add your clothing items with automatic color extraction. Organize by tops, bottoms, footwear, and accessories.
+                Add your clothing items with automatic color extraction. Organize by category — tops, dresses, outerwear, bags or your own.
               </p>
               <Button variant="outline" className="w-full group-hover:bg-primary group-hover:text-primary-foreground transition-colors">
                 Get Started
@@ -61,7 +71,7 @@ const Dashboard = ({ onNavigate }) => {
                 Casual Outfit Suggestions
               </h3>
               <p className="text-muted-foreground mb-6 leading-relaxed">
-                Discover vibrant, expressive combinations perfect for everyday wear and social occasions.
+                {OCCASIONS.casual.description}
               </p>
               <Button variant="outline" className="w-full group-hover:bg-success group-hover:text-success-foreground transition-colors">
                 Browse Casual
@@ -81,7 +91,7 @@ const Dashboard = ({ onNavigate }) => {
                 Formal Outfit Suggestions
               </h3>
               <p className="text-muted-foreground mb-6 leading-relaxed">
-                Professional, sophisticated combinations with neutral tones and elegant color harmony.
+                {OCCASIONS.formal.description}
               </p>
               <Button variant="outline" className="w-full group-hover:bg-foreground group-hover:text-background transition-colors">
                 Browse Formal
@@ -91,9 +101,34 @@ const Dashboard = ({ onNavigate }) => {
         </div>
       </div>
 
+      {/* More Occasions */}
+      <div className="container mx-auto px-4 mt-16">
+        <h2 className="text-2xl font-bold text-foreground text-center mb-8">More Occasions</h2>
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-6 max-w-6xl mx-auto">
+          {MORE_OCCASIONS.map(({ id, icon: Icon }, index) => (
+            <Card key={id}
+                  className="wardrobe-card group cursor-pointer animate-scale-in"
+                  style={{ animationDelay: `${0.3 + index * 0.05}s` }}
+                  onClick={() => onNavigate(id)}>
+              <CardContent className="p-6 text-center">
+                <div className="w-12 h-12 mx-auto mb-4 rounded-full hero-gradient flex items-center justify-center group-hover:scale-110 transition-transform duration-300">
+                  <Icon className="w-6 h-6 text-white" />
+                </div>
+                <h3 className="text-lg font-bold mb-2 text-foreground">
+                  {OCCASIONS[id].label}
+                </h3>
+                <p className="text-sm text-muted-foreground leading-relaxed">
+                  {OCCASIONS[id].description}
+                </p>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      </div>
+
       {/* Secondary Actions */}
       <div className="container mx-auto px-4 mt-16 pb-16">
-        <div className="flex flex-col sm:flex-row gap-4 justify-center max-w-md mx-auto">
+        <div className="flex flex-col sm:flex-row gap-4 justify-center max-w-3xl mx-auto">
           <Button 
             variant="secondary" 
             onClick={() => onNavigate('wardrobe')}
@@ -111,6 +146,24 @@ const Dashboard = ({ onNavigate }) => {
             <Heart className="w-4 h-4" />
             Saved Outfits
           </Button>
+
+          <Button 
+            variant="secondary" 
+            onClick={() => onNavigate('scoring')}
+            className="flex items-center gap-2 px-8 py-3"
+          >
+            <SlidersHorizontal className="w-4 h-4" />
+            Scoring Profiles
+          </Button>
+
+          <Button 
+            variant="secondary" 
+            onClick={() => onNavigate('personal-color')}
+            className="flex items-center gap-2 px-8 py-3"
+          >
+            <SwatchBook className="w-4 h-4" />
+            Personal Color
+          </Button>
         </div>
       </div>
     </div>
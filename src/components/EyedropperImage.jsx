@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { cn } from '@/lib/utils';
+import { loadImage, getImagePixels, averageRegion } from '../utils/colorExtraction.js';
+
+// Longest side, in pixels, of the bitmap that samples are read from
+const SAMPLE_SIZE = 400;
+
+// Side, in sample pixels, of the region averaged for a single click
+const CLICK_SAMPLE_SIZE = 5;
+
+/**
+ * Item image that can be clicked, or dragged over, to sample a color.
+ * The image is drawn with object-cover, so pointer positions are mapped back
+ * through the same scale and crop before reading pixels.
+ * @param {Object} props - Component props
+ * @param {string} props.src - Image source
+ * @param {string} props.alt - Image alt text
+ * @param {boolean} props.active - Whether sampling is enabled
+ * @param {Function} props.onSample - Called with the sampled [r, g, b]
+ * @param {string} props.className - Additional classes for the container
+ * @param {React.ReactNode} props.children - Overlays rendered above the image
+ */
+const EyedropperImage = ({ src, alt, active, onSample, className, children }) => {
+  const containerRef = useRef(null);
+  const pixelsRef = useRef(null);
+  const [dragStart, setDragStart] = useState(null);
+  const [dragEnd, setDragEnd] = useState(null);
+
+  // Decode the image once per source so sampling never waits on a load
+  useEffect(() => {
+    let cancelled = false;
+    pixelsRef.current = null;
+
+    loadImage(src)
+      .then((img) => {
+        if (!cancelled) pixelsRef.current = getImagePixels(img, SAMPLE_SIZE);
+      })
+      .catch(error => console.error('Failed to load image for sampling:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [src]);
+
+  /**
+   * Pointer position relative to the container
+   */
+  const getPoint = (event) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return {
+      x: Math.min(Math.max(event.clientX - rect.left, 0), rect.width),
+      y: Math.min(Math.max(event.clientY - rect.top, 0), rect.height)
+    };
+  };
+
+  /**
+   * Map a container-space rectangle to sample-bitmap pixels
+   */
+  const toPixelRegion = (start, end) => {
+    const pixels = pixelsRef.current;
+    const rect = containerRef.current.getBoundingClientRect();
+    const scale = Math.max(rect.width / pixels.width, rect.height / pixels.height);
+    const offsetX = (rect.width - pixels.width * scale) / 2;
+    const offsetY = (rect.height - pixels.height * scale) / 2;
+
+    const left = (Math.min(start.x, end.x) - offsetX) / scale;
+    const top = (Math.min(start.y, end.y) - offsetY) / scale;
+    const width = Math.abs(end.x - start.x) / scale;
+    const height = Math.abs(end.y - start.y) / scale;
+
+    // A click (or tiny drag) samples a small square around the pointer
+    if (width < CLICK_SAMPLE_SIZE && height < CLICK_SAMPLE_SIZE) {
+      return {
+        x: left + width / 2 - CLICK_SAMPLE_SIZE / 2,
+        y: top + height / 2 - CLICK_SAMPLE_SIZE / 2,
+        width: CLICK_SAMPLE_SIZE,
+        height: CLICK_SAMPLE_SIZE
+      };
+    }
+
+    return { x: left, y: top, width, height };
+  };
+
+  const handlePointerDown = (event) => {
+    if (!active) return;
+    event.preventDefault();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const point = getPoint(event);
+    setDragStart(point);
+    setDragEnd(point);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!active || !dragStart) return;
+    setDragEnd(getPoint(event));
+  };
+
+  const handlePointerUp = (event) => {
+    if (!active || !dragStart) return;
+    const end = getPoint(event);
+    setDragStart(null);
+    setDragEnd(null);
+
+    if (!pixelsRef.current) return;
+    try {
+      onSample(averageRegion(pixelsRef.current, toPixelRegion(dragStart, end)));
+    } catch (error) {
+      console.error('Color sampling failed:', error);
+    }
+  };
+
+  const selection = dragStart && dragEnd && {
+    left: Math.min(dragStart.x, dragEnd.x),
+    top: Math.min(dragStart.y, dragEnd.y),
+    width: Math.abs(dragEnd.x - dragStart.x),
+    height: Math.abs(dragEnd.y - dragStart.y)
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className={cn('relative overflow-hidden touch-none select-none', active && 'cursor-crosshair', className)}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={() => {
+        setDragStart(null);
+        setDragEnd(null);
+      }}
+    >
+      <img src={src} alt={alt} className="w-full h-full object-cover" draggable={false} />
+      {children}
+      {selection && (
+        <div
+          className="absolute border-2 border-white shadow-[0_0_0_1px_rgba(0,0,0,0.6)] pointer-events-none"
+          style={selection}
+        />
+      )}
+    </div>
+  );
+};
+
+export default EyedropperImage;
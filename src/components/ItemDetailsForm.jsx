@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { ITEM_FITS, getItemDetails } from '../utils/itemDetails.js';
+
+/**
+ * Form fields of an item, with tags as comma-separated text
+ * @param {Object} item - Wardrobe item
+ * @returns {Object} Form values
+ */
+const getFormValues = (item) => {
+  const details = getItemDetails(item);
+  return {
+    ...details,
+    fit: details.fit || 'unset',
+    purchaseDate: details.purchaseDate || '',
+    purchasePrice: details.purchasePrice ?? '',
+    tags: details.tags.join(', ')
+  };
+};
+
+/**
+ * Edit form for an item's name, brand, material, size, fit, purchase, notes and tags
+ * @param {Object} props - Component props
+ * @param {Object} props.item - Wardrobe item being edited
+ * @param {Function} props.onSave - Called with the raw form values
+ * @param {Function} props.onCancel - Called when editing is abandoned
+ */
+const ItemDetailsForm = ({ item, onSave, onCancel }) => {
+  const [form, setForm] = useState(() => getFormValues(item));
+
+  /**
+   * Update one form field
+   * @param {string} field - Field name
+   * @param {string} value - New value
+   */
+  const setField = (field, value) => {
+    setForm(current => ({ ...current, [field]: value }));
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onSave({ ...form, fit: form.fit === 'unset' ? null : form.fit });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div className="space-y-1">
+        <Label htmlFor="item-name">Name</Label>
+        <Input
+          id="item-name"
+          value={form.name}
+          onChange={(e) => setField('name', e.target.value)}
+          placeholder={item.fileName}
+        />
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div className="space-y-1">
+          <Label htmlFor="item-brand">Brand</Label>
+          <Input id="item-brand" value={form.brand} onChange={(e) => setField('brand', e.target.value)} />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="item-material">Material</Label>
+          <Input
+            id="item-material"
+            value={form.material}
+            onChange={(e) => setField('material', e.target.value)}
+            placeholder="e.g. wool"
+          />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="item-size">Size</Label>
+          <Input id="item-size" value={form.size} onChange={(e) => setField('size', e.target.value)} />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="item-fit">Fit</Label>
+          <Select value={form.fit} onValueChange={(value) => setField('fit', value)}>
+            <SelectTrigger id="item-fit">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="unset">Not set</SelectItem>
+              {Object.entries(ITEM_FITS).map(([key, label]) => (
+                <SelectItem key={key} value={key}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="item-purchase-date">Purchase date</Label>
+          <Input
+            id="item-purchase-date"
+            type="date"
+            value={form.purchaseDate}
+            onChange={(e) => setField('purchaseDate', e.target.value)}
+          />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="item-purchase-price">Price</Label>
+          <Input
+            id="item-purchase-price"
+            type="number"
+            min="0"
+            step="0.01"
+            value={form.purchasePrice}
+            onChange={(e) => setField('purchasePrice', e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="space-y-1">
+        <Label htmlFor="item-tags">Tags</Label>
+        <Input
+          id="item-tags"
+          value={form.tags}
+          onChange={(e) => setField('tags', e.target.value)}
+          placeholder="work, summer, favorite"
+        />
+      </div>
+
+      <div className="space-y-1">
+        <Label htmlFor="item-notes">Notes</Label>
+        <Textarea
+          id="item-notes"
+          value={form.notes}
+          onChange={(e) => setField('notes', e.target.value)}
+          rows={3}
+        />
+      </div>
+
+      <div className="flex gap-2">
+        <Button type="submit" size="sm" className="flex-1">Save Details</Button>
+        <Button type="button" size="sm" variant="ghost" onClick={onCancel}>Cancel</Button>
+      </div>
+    </form>
+  );
+};
+
+export default ItemDetailsForm;
@@ -0,0 +1,69 @@
+import React from 'react';
+import { Badge } from '@/components/ui/badge';
+import { cn } from '@/lib/utils';
+import { getItemColorName } from '../utils/colorNaming.js';
+import { getItemThumbnail } from '../utils/imageIngest.js';
+import { getItemName } from '../utils/itemDetails.js';
+import { isItemAvailable, describeAvailability } from '../utils/availability.js';
+import { LAYERS } from '../utils/categories.js';
+
+// Horizontal offset (% of the stack width) between layers; each layer is half as wide as the stack
+const MAX_LAYER_OFFSET = 30;
+
+/**
+ * The upper-body layers of an outfit drawn as overlapping photos, the base
+ * layer at the back and the outer layer in front, as they are worn. Items that
+ * are unavailable right now are labelled with where they are.
+ * @param {Object} props - Component props
+ * @param {{layer: string, item: Object}[]} props.layers - Layers innermost first, from getOutfitLayers
+ * @param {string[]} props.anchorIds - Anchored items, marked with a badge
+ * @param {boolean} props.compact - Smaller badges and swatches, for small cards
+ * @param {string} props.className - Additional classes for the stack
+ */
+const LayerStack = ({ layers, anchorIds = [], compact = false, className }) => {
+  if (layers.length === 0) return null;
+
+  const offset = layers.length > 1 ? Math.min(MAX_LAYER_OFFSET, 50 / (layers.length - 1)) : 0;
+
+  return (
+    <div className={cn('relative col-span-2 aspect-[2/1]', className)}>
+      {layers.map(({ layer, item }, index) => (
+        <div
+          key={item.id}
+          className="absolute top-0 h-full aspect-square rounded-lg overflow-hidden bg-muted border-2 border-background shadow-md"
+          style={{ left: `${index * offset}%`, zIndex: index }}
+        >
+          <img
+            src={getItemThumbnail(item)}
+            alt={getItemName(item)}
+            className="w-full h-full object-cover"
+          />
+
+          {/* Layer Label */}
+          <div className={cn('absolute flex flex-col items-start gap-1', compact ? 'top-1 left-1' : 'top-2 left-2')}>
+            <Badge variant="secondary" className="text-xs">
+              {LAYERS[layer].label}
+            </Badge>
+            {anchorIds.includes(item.id) && (
+              <Badge className="text-xs">Anchor</Badge>
+            )}
+            {!isItemAvailable(item) && (
+              <Badge variant="outline" className="text-xs bg-background">{describeAvailability(item)}</Badge>
+            )}
+          </div>
+
+          {/* Color Swatch */}
+          <div className={cn('absolute', compact ? 'bottom-1 left-1' : 'bottom-2 left-2')}>
+            <div
+              className={cn('rounded-full border-white shadow-sm', compact ? 'w-4 h-4 border' : 'w-6 h-6 border-2')}
+              style={{ backgroundColor: item.dominantColorHex }}
+              title={`${getItemColorName(item).name} (${item.dominantColorHex})`}
+            />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default LayerStack;
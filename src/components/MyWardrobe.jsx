@@ -3,9 +3,62 @@ import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
-import { ArrowLeft, Filter, Trash2, Eye, Palette } from 'lucide-react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Input } from '@/components/ui/input';
+import { DropdownMenu, DropdownMenuTrigger, DropdownMenuContent, DropdownMenuRadioGroup, DropdownMenuRadioItem } from '@/components/ui/dropdown-menu';
+import { ArrowLeft, Filter, Trash2, Eye, Palette, ScanLine, Pipette, RefreshCw, Undo2, Sparkles, X, Pencil, Search, Tags, WashingMachine, ChevronDown } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
-import { loadWardrobeItems, deleteWardrobeItem, groupItemsByCategory } from '../utils/storage.js';
+import {
+  loadWardrobeItems,
+  deleteWardrobeItem,
+  updateWardrobeItem,
+  groupItemsByCategory,
+  loadAppSettings,
+  saveAppSettings,
+  loadWearLog
+} from '../utils/storage.js';
+import { getCategoryRegistry, getCategoryKey, getItemSlots, getSubcategoryLabel } from '../utils/categories.js';
+import { getItemPalette, createColorData, hexToRgb } from '../utils/colorExtraction.js';
+import { createColorCorrection, revertColorCorrection, reanalyzeItem } from '../utils/imageAnalysis.js';
+import { COLOR_FAMILIES, nameColor, getItemColorName, getColorFamilyLabel } from '../utils/colorNaming.js';
+import { PATTERN_TYPES } from '../utils/patternDetection.js';
+import { WHITE_BALANCE_METHODS, isWhiteBalanceApplied } from '../utils/whiteBalance.js';
+import { getItemThumbnail } from '../utils/imageIngest.js';
+import { OCCASIONS } from '../utils/occasions.js';
+import { SUB_SEASONS, FLATTERY_LABELS, getItemFlattery } from '../utils/personalColor.js';
+import { WARMTH_LEVELS, getItemWeather } from '../utils/weather.js';
+import {
+  AVAILABILITY_STATUSES,
+  getItemAvailability,
+  isItemAvailable,
+  isReturnOverdue,
+  normalizeAvailability,
+  describeAvailability
+} from '../utils/availability.js';
+import {
+  UNWORN_MONTH_OPTIONS,
+  getWearStats,
+  getItemWearStats,
+  getCostPerWear,
+  isLongUnworn,
+  describeWear
+} from '../utils/wearLog.js';
+import {
+  getItemDetails,
+  getItemName,
+  normalizeItemDetails,
+  getWardrobeTags,
+  matchesItemSearch,
+  describeItemSpecs,
+  formatPrice
+} from '../utils/itemDetails.js';
+import PaletteStrip from './PaletteStrip.jsx';
+import EyedropperImage from './EyedropperImage.jsx';
+import ItemDetailsForm from './ItemDetailsForm.jsx';
+import CategoryManager from './CategoryManager.jsx';
+
+// Number colors of the category statistics cards, used in turn
+const STAT_COLORS = ['text-success', 'text-warning', 'text-destructive', 'text-purple-500', 'text-primary', 'text-accent-foreground'];
 
 /**
  * My Wardrobe component for viewing and managing clothing items
@@ -16,16 +69,28 @@ const MyWardrobe = ({ onNavigate }) => {
   const [wardrobeItems, setWardrobeItems] = useState([]);
   const [filteredItems, setFilteredItems] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState('all');
+  const [selectedFamily, setSelectedFamily] = useState('all');
+  const [selectedTag, setSelectedTag] = useState('all');
+  const [searchQuery, setSearchQuery] = useState('');
   const [selectedItem, setSelectedItem] = useState(null);
   const [isDetailModalOpen, setIsDetailModalOpen] = useState(false);
+  const [showGarmentRegion, setShowGarmentRegion] = useState(false);
+  const [isEyedropperActive, setIsEyedropperActive] = useState(false);
+  const [pendingColor, setPendingColor] = useState(null);
+  const [isRedetecting, setIsRedetecting] = useState(false);
+  const [isEditingDetails, setIsEditingDetails] = useState(false);
+  const [anchorIds, setAnchorIds] = useState([]);
+  const [anchorOccasion, setAnchorOccasion] = useState('casual');
+  const [subSeason] = useState(() => loadAppSettings().personalColor?.subSeason);
+  const [categoryRegistry, setCategoryRegistry] = useState(() => getCategoryRegistry(loadAppSettings()));
+  const [isCategoryManagerOpen, setIsCategoryManagerOpen] = useState(false);
+  const [wearLog] = useState(() => loadWearLog());
+  const [unwornMonths, setUnwornMonths] = useState(() => loadAppSettings().unwornMonths);
   const { toast } = useToast();
 
   const categories = [
     { key: 'all', label: 'All Items' },
-    { key: 'tops', label: 'Tops' },
-    { key: 'bottoms', label: 'Bottoms' },
-    { key: 'footwear', label: 'Footwear' },
-    { key: 'accessories', label: 'Accessories' }
+    ...Object.values(categoryRegistry)
   ];
 
   useEffect(() => {
@@ -34,7 +99,7 @@ const MyWardrobe = ({ onNavigate }) => {
 
   useEffect(() => {
     filterItems();
-  }, [wardrobeItems, selectedCategory]);
+  }, [wardrobeItems, selectedCategory, selectedFamily, selectedTag, searchQuery]);
 
   /**
    * Load wardrobe items from storage
@@ -45,16 +110,15 @@ const MyWardrobe = ({ onNavigate }) => {
   };
 
   /**
-   * Filter items by selected category
+   * Filter items by selected category, color family, tag and search text
    */
   const filterItems = () => {
-    if (selectedCategory === 'all') {
-      setFilteredItems(wardrobeItems);
-    } else {
-      setFilteredItems(wardrobeItems.filter(item => 
-        item.category.toLowerCase() === selectedCategory
-      ));
-    }
+    setFilteredItems(wardrobeItems.filter(item =>
+      (selectedCategory === 'all' || getCategoryKey(item) === selectedCategory) &&
+      (selectedFamily === 'all' || getItemColorName(item).family === selectedFamily) &&
+      (selectedTag === 'all' || getItemDetails(item).tags.includes(selectedTag)) &&
+      matchesItemSearch(item, searchQuery)
+    ));
   };
 
   /**
@@ -63,6 +127,7 @@ const MyWardrobe = ({ onNavigate }) => {
   const handleDeleteItem = (itemId) => {
     const updatedItems = deleteWardrobeItem(itemId);
     setWardrobeItems(updatedItems);
+    setAnchorIds(prev => prev.filter(id => id !== itemId));
     setIsDetailModalOpen(false);
     toast({
       title: "Item deleted",
@@ -75,9 +140,165 @@ const MyWardrobe = ({ onNavigate }) => {
    */
   const showItemDetails = (item) => {
     setSelectedItem(item);
+    setIsEyedropperActive(false);
+    setPendingColor(null);
+    setIsEditingDetails(false);
     setIsDetailModalOpen(true);
   };
 
+  /**
+   * Add an item to the pieces to build outfits around, replacing any anchor
+   * that fills one of the same outfit slots, since an outfit holds one piece per slot
+   * @param {Object} item - Wardrobe item
+   */
+  const handleStyleItem = (item) => {
+    const slots = getItemSlots(item, categoryRegistry);
+    const sharesSlot = (other) => getItemSlots(other, categoryRegistry).some(slot => slots.includes(slot));
+    setAnchorIds(prev => [
+      ...prev.filter(id => {
+        const anchor = wardrobeItems.find(other => other.id === id);
+        return anchor && !sharesSlot(anchor);
+      }),
+      item.id
+    ]);
+    setIsDetailModalOpen(false);
+  };
+
+  /**
+   * Open suggestions for the chosen occasion, built around the anchored items
+   */
+  const handleBuildOutfits = () => {
+    onNavigate(anchorOccasion, { anchorIds });
+  };
+
+  /**
+   * Change one weather attribute of the selected item
+   * @param {Object} updates - Changed attributes (warmth, waterproof, outerwear)
+   */
+  const handleWeatherChange = (updates) => {
+    applyItemUpdates({ weather: { ...getItemWeather(selectedItem), ...updates } });
+  };
+
+  /**
+   * Change where an item is, from the grid or its details
+   * @param {Object} item - Wardrobe item
+   * @param {Object} updates - Changed status and/or return date
+   */
+  const handleAvailabilityChange = (item, updates) => {
+    try {
+      const availability = normalizeAvailability({ ...getItemAvailability(item), ...updates });
+      const updatedItems = updateWardrobeItem(item.id, { availability });
+      setWardrobeItems(updatedItems);
+      if (selectedItem?.id === item.id) {
+        setSelectedItem(updatedItems.find(other => other.id === item.id) || null);
+      }
+    } catch (error) {
+      toast({
+        title: "Availability not changed",
+        description: error.message,
+        variant: "destructive"
+      });
+    }
+  };
+
+  /**
+   * Remember after how many months without wear items are highlighted
+   * @param {string} value - Number of months
+   */
+  const handleUnwornMonthsChange = (value) => {
+    const months = Number(value);
+    setUnwornMonths(months);
+    saveAppSettings({ ...loadAppSettings(), unwornMonths: months });
+  };
+
+  /**
+   * Move the selected item to another category; its subcategory belongs to
+   * the old category and is cleared
+   * @param {string} key - Category key
+   */
+  const handleCategoryChange = (key) => {
+    applyItemUpdates({ category: categoryRegistry[key].label, subcategory: null });
+  };
+
+  /**
+   * Validate and save the edited name, brand, material and other details
+   * @param {Object} form - Raw form values
+   */
+  const handleSaveDetails = (form) => {
+    try {
+      applyItemUpdates(normalizeItemDetails(form));
+      setIsEditingDetails(false);
+      toast({
+        title: "Details saved",
+        description: "The item's details were updated",
+      });
+    } catch (error) {
+      toast({
+        title: "Details not saved",
+        description: error.message,
+        variant: "destructive"
+      });
+    }
+  };
+
+  /**
+   * Persist changes to the selected item and refresh it in the dialog
+   */
+  const applyItemUpdates = (updates) => {
+    const updatedItems = updateWardrobeItem(selectedItem.id, updates);
+    setWardrobeItems(updatedItems);
+    setSelectedItem(updatedItems.find(item => item.id === selectedItem.id) || null);
+  };
+
+  /**
+   * Save the sampled or picked color as the item's corrected color
+   */
+  const handleSaveColor = () => {
+    applyItemUpdates(createColorCorrection(selectedItem, pendingColor));
+    setPendingColor(null);
+    setIsEyedropperActive(false);
+    toast({
+      title: "Color updated",
+      description: "The corrected color will be kept even if the item is re-analyzed",
+    });
+  };
+
+  /**
+   * Restore the automatically detected color
+   */
+  const handleRevertColor = () => {
+    applyItemUpdates(revertColorCorrection(selectedItem));
+    toast({
+      title: "Color reverted",
+      description: "The item uses its detected color again",
+    });
+  };
+
+  /**
+   * Re-run color and pattern analysis on the selected item
+   */
+  const handleRedetectColors = async () => {
+    setIsRedetecting(true);
+    try {
+      applyItemUpdates(await reanalyzeItem(selectedItem));
+      toast({
+        title: "Colors re-detected",
+        description: selectedItem.colorCorrected
+          ? "Palette and pattern were refreshed; your corrected color was kept"
+          : "Palette, color and pattern were refreshed",
+      });
+    } catch (error) {
+      console.error('Re-detecting colors failed:', error);
+      toast({
+        title: "Re-detection failed",
+        description: "The image could not be analyzed",
+        variant: "destructive"
+      });
+    } finally {
+      setIsRedetecting(false);
+    }
+  };
+
   /**
    * Get category statistics
    */
@@ -85,14 +306,26 @@ const MyWardrobe = ({ onNavigate }) => {
     const grouped = groupItemsByCategory(wardrobeItems);
     return {
       total: wardrobeItems.length,
-      tops: grouped.tops?.length || 0,
-      bottoms: grouped.bottoms?.length || 0,
-      footwear: grouped.footwear?.length || 0,
-      accessories: grouped.accessories?.length || 0
+      ...Object.fromEntries(Object.keys(categoryRegistry).map(key => [key, grouped[key]?.length || 0]))
     };
   };
 
   const stats = getCategoryStats();
+  const anchorItems = anchorIds.map(id => wardrobeItems.find(item => item.id === id)).filter(Boolean);
+  const pendingColorData = pendingColor ? createColorData(pendingColor) : null;
+  const familyCounts = wardrobeItems.reduce((counts, item) => {
+    const { family } = getItemColorName(item);
+    counts[family] = (counts[family] || 0) + 1;
+    return counts;
+  }, {});
+  const wardrobeTags = getWardrobeTags(wardrobeItems);
+  const isFiltered = selectedCategory !== 'all' || selectedFamily !== 'all' || selectedTag !== 'all' || searchQuery.trim() !== '';
+  const selectedDetails = selectedItem ? getItemDetails(selectedItem) : null;
+  const wearStats = getWearStats(wearLog);
+  const isItemUnworn = (item) => isLongUnworn(item, getItemWearStats(item, wearStats), unwornMonths);
+  const unwornCount = wardrobeItems.filter(isItemUnworn).length;
+  const selectedWear = selectedItem ? getItemWearStats(selectedItem, wearStats) : null;
+  const selectedCostPerWear = selectedItem ? getCostPerWear(selectedItem, selectedWear.count) : null;
 
   if (wardrobeItems.length === 0) {
     return (
@@ -146,10 +379,28 @@ const MyWardrobe = ({ onNavigate }) => {
               Browse and manage your clothing collection
             </p>
           </div>
+          
+          <Button
+            variant="outline"
+            onClick={() => setIsCategoryManagerOpen(true)}
+            className="flex items-center gap-2"
+          >
+            <Tags className="w-4 h-4" />
+            Categories
+          </Button>
+          
+          <Button 
+            variant={showGarmentRegion ? "default" : "outline"}
+            onClick={() => setShowGarmentRegion(prev => !prev)}
+            className="flex items-center gap-2"
+          >
+            <ScanLine className="w-4 h-4" />
+            {showGarmentRegion ? 'Hide' : 'Show'} Measured Region
+          </Button>
         </div>
 
         {/* Statistics Cards */}
-        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-8">
+        <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-4 mb-8">
           <Card className="text-center">
             <CardContent className="p-4">
               <div className="text-2xl font-bold text-primary">{stats.total}</div>
@@ -157,33 +408,14 @@ const MyWardrobe = ({ onNavigate }) => {
             </CardContent>
           </Card>
           
-          <Card className="text-center">
-            <CardContent className="p-4">
-              <div className="text-2xl font-bold text-success">{stats.tops}</div>
-              <div className="text-sm text-muted-foreground">Tops</div>
-            </CardContent>
-          </Card>
-          
-          <Card className="text-center">
-            <CardContent className="p-4">
-              <div className="text-2xl font-bold text-warning">{stats.bottoms}</div>
-              <div className="text-sm text-muted-foreground">Bottoms</div>
-            </CardContent>
-          </Card>
-          
-          <Card className="text-center">
-            <CardContent className="p-4">
-              <div className="text-2xl font-bold text-destructive">{stats.footwear}</div>
-              <div className="text-sm text-muted-foreground">Footwear</div>
-            </CardContent>
-          </Card>
-          
-          <Card className="text-center">
-            <CardContent className="p-4">
-              <div className="text-2xl font-bold text-purple-500">{stats.accessories}</div>
-              <div className="text-sm text-muted-foreground">Accessories</div>
-            </CardContent>
-          </Card>
+          {Object.values(categoryRegistry).map((category, index) => (
+            <Card key={category.key} className="text-center">
+              <CardContent className="p-4">
+                <div className={`text-2xl font-bold ${STAT_COLORS[index % STAT_COLORS.length]}`}>{stats[category.key]}</div>
+                <div className="text-sm text-muted-foreground truncate">{category.label}</div>
+              </CardContent>
+            </Card>
+          ))}
         </div>
 
         {/* Category Filter */}
@@ -191,10 +423,20 @@ const MyWardrobe = ({ onNavigate }) => {
           <CardHeader>
             <CardTitle className="flex items-center gap-2">
               <Filter className="w-5 h-5" />
-              Filter by Category
+              Filter Items
             </CardTitle>
           </CardHeader>
           <CardContent>
+            <div className="relative mb-4">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground" />
+              <Input
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                placeholder="Search names, brands, materials, notes and tags"
+                aria-label="Search items"
+                className="pl-9"
+              />
+            </div>
             <div className="flex flex-wrap gap-2">
               {categories.map((category) => (
                 <Button
@@ -212,26 +454,139 @@ const MyWardrobe = ({ onNavigate }) => {
                 </Button>
               ))}
             </div>
+            
+            <h4 className="text-sm font-medium mt-6 mb-2">Color Family</h4>
+            <div className="flex flex-wrap gap-2">
+              <Button
+                variant={selectedFamily === 'all' ? "default" : "outline"}
+                onClick={() => setSelectedFamily('all')}
+              >
+                All Colors
+              </Button>
+              {COLOR_FAMILIES.filter(family => familyCounts[family.key]).map((family) => (
+                <Button
+                  key={family.key}
+                  variant={selectedFamily === family.key ? "default" : "outline"}
+                  onClick={() => setSelectedFamily(family.key)}
+                  className="flex items-center gap-2"
+                >
+                  <span
+                    className="w-3 h-3 rounded-full border border-border"
+                    style={{ backgroundColor: family.swatch }}
+                  />
+                  {family.label}
+                  <Badge variant="secondary">{familyCounts[family.key]}</Badge>
+                </Button>
+              ))}
+            </div>
+            
+            {wardrobeTags.length > 0 && (
+              <>
+                <h4 className="text-sm font-medium mt-6 mb-2">Tags</h4>
+                <div className="flex flex-wrap gap-2">
+                  <Button
+                    variant={selectedTag === 'all' ? "default" : "outline"}
+                    onClick={() => setSelectedTag('all')}
+                  >
+                    All Tags
+                  </Button>
+                  {wardrobeTags.map(({ tag, count }) => (
+                    <Button
+                      key={tag}
+                      variant={selectedTag === tag ? "default" : "outline"}
+                      onClick={() => setSelectedTag(tag)}
+                      className="flex items-center gap-2"
+                    >
+                      {tag}
+                      <Badge variant="secondary">{count}</Badge>
+                    </Button>
+                  ))}
+                </div>
+              </>
+            )}
+            
+            <h4 className="text-sm font-medium mt-6 mb-2">Wear</h4>
+            <div className="flex flex-wrap items-center gap-2 text-sm text-muted-foreground">
+              Highlight items not worn in
+              <Select value={String(unwornMonths)} onValueChange={handleUnwornMonthsChange}>
+                <SelectTrigger className="w-32" aria-label="Months without wear">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {UNWORN_MONTH_OPTIONS.map((months) => (
+                    <SelectItem key={months} value={String(months)}>{months} months</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {unwornCount > 0 && (
+                <Badge variant="outline" className="border-warning text-warning">
+                  {unwornCount} item{unwornCount > 1 ? 's' : ''}
+                </Badge>
+              )}
+            </div>
           </CardContent>
         </Card>
 
         {/* Items Grid */}
         <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-6">
           {filteredItems.map((item) => (
-            <Card key={item.id} className="wardrobe-card group cursor-pointer">
+            <Card key={item.id} className={`wardrobe-card group cursor-pointer ${anchorIds.includes(item.id) ? 'ring-2 ring-primary' : ''}`}>
               <CardContent className="p-0">
                 <div className="aspect-square relative">
                   <img
-                    src={item.dataUrl}
-                    alt={item.fileName}
-                    className="w-full h-full object-cover rounded-t-lg"
+                    src={getItemThumbnail(item)}
+                    alt={getItemName(item)}
+                    className={`w-full h-full object-cover rounded-t-lg ${isItemAvailable(item) ? '' : 'opacity-50 grayscale'}`}
                   />
                   
-                  {/* Category Badge */}
-                  <div className="absolute top-2 left-2">
+                  {/* Garment Mask Overlay */}
+                  {showGarmentRegion && item.segmentation?.maskDataUrl && (
+                    <img
+                      src={item.segmentation.maskDataUrl}
+                      alt=""
+                      className="absolute inset-0 w-full h-full object-cover rounded-t-lg pointer-events-none"
+                    />
+                  )}
+                  
+                  {/* Category and Pattern Badges */}
+                  <div className="absolute top-2 left-2 flex flex-col items-start gap-1">
                     <Badge variant="secondary" className="text-xs">
-                      {item.category}
+                      {getSubcategoryLabel(item, categoryRegistry) || item.category}
                     </Badge>
+                    {item.pattern && item.pattern.type !== 'solid' && (
+                      <Badge variant="outline" className="text-xs bg-background/80">
+                        {PATTERN_TYPES[item.pattern.type]}
+                      </Badge>
+                    )}
+                    {getItemWeather(item).outerwear && (
+                      <Badge variant="outline" className="text-xs bg-background/80">Outerwear</Badge>
+                    )}
+                    {anchorIds.includes(item.id) && (
+                      <Badge className="text-xs">Anchor</Badge>
+                    )}
+                    {isItemUnworn(item) && (
+                      <Badge variant="outline" className="text-xs bg-background/80 border-warning text-warning">
+                        Not worn in {unwornMonths} months
+                      </Badge>
+                    )}
+                    {!isItemAvailable(item) && (
+                      <Badge
+                        variant="outline"
+                        className={`text-xs bg-background/80 ${isReturnOverdue(item) ? 'border-warning text-warning' : ''}`}
+                      >
+                        {describeAvailability(item)}
+                      </Badge>
+                    )}
+                    {getItemFlattery(item, subSeason) === 'flattering' && (
+                      <Badge variant="outline" className="text-xs bg-background/80 border-success text-success">
+                        {FLATTERY_LABELS.flattering}
+                      </Badge>
+                    )}
+                    {getItemFlattery(item, subSeason) === 'unflattering' && (
+                      <Badge variant="outline" className="text-xs bg-background/80 text-muted-foreground">
+                        {FLATTERY_LABELS.unflattering}
+                      </Badge>
+                    )}
                   </div>
                   
                   {/* Color Swatch */}
@@ -239,7 +594,7 @@ const MyWardrobe = ({ onNavigate }) => {
                     <div
                       className="w-6 h-6 rounded-full border-2 border-white shadow-sm"
                       style={{ backgroundColor: item.dominantColorHex }}
-                      title={item.dominantColorHex}
+                      title={`${getItemColorName(item).name} (${item.dominantColorHex})`}
                     />
                   </div>
                   
@@ -271,13 +626,54 @@ const MyWardrobe = ({ onNavigate }) => {
                 
                 {/* Item Info */}
                 <div className="p-3">
-                  <p className="text-sm font-medium truncate mb-1">
-                    {item.fileName}
+                  <p className="text-sm font-medium truncate" title={getItemName(item)}>
+                    {getItemName(item)}
                   </p>
+                  <p className="text-xs text-muted-foreground truncate">
+                    {getItemDetails(item).brand || '\u00A0'}
+                  </p>
+                  <p className="text-xs text-muted-foreground truncate mb-1">
+                    {describeWear(getItemWearStats(item, wearStats))}
+                  </p>
+                  <PaletteStrip item={item} className="mb-2" />
                   <div className="flex items-center justify-between text-xs text-muted-foreground">
-                    <span>{item.dominantColorHex}</span>
+                    <span className="capitalize" title={item.dominantColorHex}>{getItemColorName(item).name}</span>
                     <span>HSL({item.hsl[0]}, {item.hsl[1]}%, {item.hsl[2]}%)</span>
                   </div>
+                  
+                  {/* Availability Toggles */}
+                  <div className="flex gap-1 mt-2">
+                    <Button
+                      size="sm"
+                      variant={getItemAvailability(item).status === 'laundry' ? 'default' : 'outline'}
+                      onClick={() => handleAvailabilityChange(item, {
+                        status: getItemAvailability(item).status === 'laundry' ? 'available' : 'laundry'
+                      })}
+                      className="h-7 px-2"
+                      title={getItemAvailability(item).status === 'laundry' ? 'Back from the laundry' : 'Put in the laundry'}
+                      aria-label="Toggle laundry"
+                    >
+                      <WashingMachine className="w-3 h-3" />
+                    </Button>
+                    <DropdownMenu>
+                      <DropdownMenuTrigger asChild>
+                        <Button size="sm" variant="outline" className="h-7 px-2 flex-1 justify-between text-xs min-w-0">
+                          <span className="truncate">{AVAILABILITY_STATUSES[getItemAvailability(item).status]?.label}</span>
+                          <ChevronDown className="w-3 h-3 shrink-0" />
+                        </Button>
+                      </DropdownMenuTrigger>
+                      <DropdownMenuContent>
+                        <DropdownMenuRadioGroup
+                          value={getItemAvailability(item).status}
+                          onValueChange={(status) => handleAvailabilityChange(item, { status })}
+                        >
+                          {Object.entries(AVAILABILITY_STATUSES).map(([key, { label }]) => (
+                            <DropdownMenuRadioItem key={key} value={key}>{label}</DropdownMenuRadioItem>
+                          ))}
+                        </DropdownMenuRadioGroup>
+                      </DropdownMenuContent>
+                    </DropdownMenu>
+                  </div>
                 </div>
               </CardContent>
             </Card>
@@ -285,15 +681,21 @@ const MyWardrobe = ({ onNavigate }) => {
         </div>
 
         {/* No Items in Category */}
-        {filteredItems.length === 0 && selectedCategory !== 'all' && (
+        {filteredItems.length === 0 && isFiltered && (
           <Card className="text-center py-12">
             <CardContent>
               <Palette className="w-16 h-16 mx-auto mb-4 text-muted-foreground" />
               <h3 className="text-xl font-semibold mb-2">
-                No {categories.find(c => c.key === selectedCategory)?.label}
+                {selectedFamily === 'all' && selectedTag === 'all' && !searchQuery.trim()
+                  ? `No ${categories.find(c => c.key === selectedCategory)?.label}`
+                  : 'No Matching Items'}
               </h3>
               <p className="text-muted-foreground mb-6">
-                Upload some items in this category to see them here.
+                {selectedTag !== 'all' || searchQuery.trim()
+                  ? 'No items match your search and filters.'
+                  : selectedFamily === 'all'
+                    ? 'Upload some items in this category to see them here.'
+                    : `No ${getColorFamilyLabel(selectedFamily).toLowerCase()} in this category yet.`}
               </p>
               <Button onClick={() => onNavigate('upload')}>
                 Upload Items
@@ -302,42 +704,278 @@ const MyWardrobe = ({ onNavigate }) => {
           </Card>
         )}
 
+        {/* Anchored Items */}
+        {anchorItems.length > 0 && (
+          <Card className="sticky bottom-4 mt-8 shadow-lg">
+            <CardContent className="p-4 flex flex-col md:flex-row md:items-center gap-4">
+              <div className="flex items-center gap-2 flex-1 flex-wrap">
+                <span className="text-sm font-medium mr-2">Build outfits around:</span>
+                {anchorItems.map((item) => (
+                  <div key={item.id} className="relative">
+                    <img
+                      src={getItemThumbnail(item)}
+                      alt={getItemName(item)}
+                      className="w-12 h-12 rounded object-cover"
+                    />
+                    <button
+                      onClick={() => setAnchorIds(prev => prev.filter(id => id !== item.id))}
+                      className="absolute -top-1 -right-1 w-5 h-5 rounded-full bg-background border border-border flex items-center justify-center"
+                      aria-label={`Remove ${getItemName(item)}`}
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <Select value={anchorOccasion} onValueChange={setAnchorOccasion}>
+                <SelectTrigger className="md:w-48">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.values(OCCASIONS).map((occasion) => (
+                    <SelectItem key={occasion.id} value={occasion.id}>
+                      {occasion.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button onClick={handleBuildOutfits} className="flex items-center gap-2">
+                <Sparkles className="w-4 h-4" />
+                Build Outfits
+              </Button>
+            </CardContent>
+          </Card>
+        )}
+
         {/* Item Detail Modal */}
         <Dialog open={isDetailModalOpen} onOpenChange={setIsDetailModalOpen}>
-          <DialogContent className="max-w-md">
+          <DialogContent className="max-w-md max-h-[90vh] overflow-y-auto">
             <DialogHeader>
               <DialogTitle>Item Details</DialogTitle>
             </DialogHeader>
             
             {selectedItem && (
               <div className="space-y-4">
-                <div className="aspect-square rounded-lg overflow-hidden bg-muted">
-                  <img
-                    src={selectedItem.dataUrl}
-                    alt={selectedItem.fileName}
-                    className="w-full h-full object-cover"
-                  />
-                </div>
+                <EyedropperImage
+                  src={selectedItem.dataUrl}
+                  alt={getItemName(selectedItem)}
+                  active={isEyedropperActive}
+                  onSample={setPendingColor}
+                  className="aspect-square rounded-lg bg-muted"
+                >
+                  {showGarmentRegion && selectedItem.segmentation?.maskDataUrl && (
+                    <img
+                      src={selectedItem.segmentation.maskDataUrl}
+                      alt=""
+                      className="absolute inset-0 w-full h-full object-cover pointer-events-none"
+                    />
+                  )}
+                </EyedropperImage>
+                {isEyedropperActive && (
+                  <p className="text-xs text-muted-foreground text-center">
+                    Click the garment, or drag over an area, to sample its color
+                  </p>
+                )}
                 
                 <div className="space-y-3">
+                  {isEditingDetails ? (
+                    <ItemDetailsForm
+                      item={selectedItem}
+                      onSave={handleSaveDetails}
+                      onCancel={() => setIsEditingDetails(false)}
+                    />
+                  ) : (
+                    <div>
+                      <div className="flex items-center justify-between">
+                        <h4 className="font-medium">{getItemName(selectedItem)}</h4>
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          onClick={() => setIsEditingDetails(true)}
+                          className="flex items-center gap-1"
+                        >
+                          <Pencil className="w-3 h-3" />
+                          Edit Details
+                        </Button>
+                      </div>
+                      {selectedDetails.name && (
+                        <p className="text-xs text-muted-foreground">{selectedItem.fileName}</p>
+                      )}
+                      <div className="text-sm text-muted-foreground space-y-1 mt-1">
+                        {describeItemSpecs(selectedItem) && <p>{describeItemSpecs(selectedItem)}</p>}
+                        {(selectedDetails.purchaseDate || selectedDetails.purchasePrice !== null) && (
+                          <p>
+                            Bought
+                            {selectedDetails.purchaseDate && ` ${new Date(`${selectedDetails.purchaseDate}T00:00`).toLocaleDateString()}`}
+                            {selectedDetails.purchasePrice !== null && ` for ${formatPrice(selectedDetails.purchasePrice)}`}
+                          </p>
+                        )}
+                        {selectedDetails.notes && <p className="whitespace-pre-line">{selectedDetails.notes}</p>}
+                      </div>
+                      {selectedDetails.tags.length > 0 && (
+                        <div className="flex flex-wrap gap-1 mt-2">
+                          {selectedDetails.tags.map(tag => (
+                            <Badge key={tag} variant="outline" className="text-xs">{tag}</Badge>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  )}
+                  
+                  <div>
+                    <h4 className="font-medium">Wear</h4>
+                    <div className="text-sm text-muted-foreground space-y-1">
+                      <p>{describeWear(selectedWear)}</p>
+                      {selectedDetails.purchasePrice !== null && (
+                        <p>Cost per wear: {selectedCostPerWear !== null ? formatPrice(selectedCostPerWear) : 'not worn yet'}</p>
+                      )}
+                      {isItemUnworn(selectedItem) && (
+                        <p className="text-warning">Not worn in {unwornMonths} months</p>
+                      )}
+                    </div>
+                  </div>
+                  
                   <div>
-                    <h4 className="font-medium">File Name</h4>
-                    <p className="text-sm text-muted-foreground">{selectedItem.fileName}</p>
+                    <h4 className="font-medium mb-1">Category</h4>
+                    <div className="flex flex-wrap gap-2">
+                      <Select value={getCategoryKey(selectedItem)} onValueChange={handleCategoryChange}>
+                        <SelectTrigger className="w-40" aria-label="Category">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {!categoryRegistry[getCategoryKey(selectedItem)] && (
+                            <SelectItem value={getCategoryKey(selectedItem)}>{selectedItem.category}</SelectItem>
+                          )}
+                          {Object.values(categoryRegistry).map((category) => (
+                            <SelectItem key={category.key} value={category.key}>{category.label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      {categoryRegistry[getCategoryKey(selectedItem)]?.subcategories.length > 0 && (
+                        <Select
+                          value={selectedItem.subcategory || 'unset'}
+                          onValueChange={(value) => applyItemUpdates({ subcategory: value === 'unset' ? null : value })}
+                        >
+                          <SelectTrigger className="w-40" aria-label="Subcategory">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            <SelectItem value="unset">No subcategory</SelectItem>
+                            {categoryRegistry[getCategoryKey(selectedItem)].subcategories.map((subcategory) => (
+                              <SelectItem key={subcategory.key} value={subcategory.key}>{subcategory.label}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      )}
+                    </div>
                   </div>
                   
+                  {getItemFlattery(selectedItem, subSeason) && (
+                    <div>
+                      <h4 className="font-medium">Personal Color</h4>
+                      <p className="text-sm text-muted-foreground">
+                        {FLATTERY_LABELS[getItemFlattery(selectedItem, subSeason)]} ({SUB_SEASONS[subSeason].label})
+                      </p>
+                    </div>
+                  )}
+                  
                   <div>
-                    <h4 className="font-medium">Category</h4>
-                    <Badge variant="outline">{selectedItem.category}</Badge>
+                    <h4 className="font-medium mb-1">Availability</h4>
+                    <div className="flex flex-wrap items-center gap-2">
+                      <Select
+                        value={getItemAvailability(selectedItem).status}
+                        onValueChange={(status) => handleAvailabilityChange(selectedItem, { status })}
+                      >
+                        <SelectTrigger className="w-48" aria-label="Availability">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {Object.entries(AVAILABILITY_STATUSES).map(([key, { label }]) => (
+                            <SelectItem key={key} value={key}>{label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      {!isItemAvailable(selectedItem) && (
+                        <Input
+                          type="date"
+                          value={getItemAvailability(selectedItem).returnDate || ''}
+                          onChange={(e) => handleAvailabilityChange(selectedItem, { returnDate: e.target.value })}
+                          className="w-44"
+                          aria-label="Expected back"
+                        />
+                      )}
+                    </div>
+                    {!isItemAvailable(selectedItem) && (
+                      <p className={`text-xs mt-1 ${isReturnOverdue(selectedItem) ? 'text-warning' : 'text-muted-foreground'}`}>
+                        {describeAvailability(selectedItem)} · left out of outfit suggestions
+                      </p>
+                    )}
                   </div>
                   
                   <div>
-                    <h4 className="font-medium">Dominant Color</h4>
+                    <h4 className="font-medium mb-1">Weather</h4>
+                    <div className="flex flex-wrap items-center gap-2">
+                      <Select
+                        value={String(getItemWeather(selectedItem).warmth ?? 'unset')}
+                        onValueChange={(value) => handleWeatherChange({ warmth: value === 'unset' ? null : Number(value) })}
+                      >
+                        <SelectTrigger className="w-56" aria-label="Warmth">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="unset">Warmth not set</SelectItem>
+                          {Object.entries(WARMTH_LEVELS).map(([level, warmth]) => (
+                            <SelectItem key={level} value={level}>
+                              {warmth.label} ({warmth.range[0]}–{warmth.range[1]}°C)
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      <Button
+                        size="sm"
+                        variant={getItemWeather(selectedItem).waterproof ? 'default' : 'outline'}
+                        onClick={() => handleWeatherChange({ waterproof: !getItemWeather(selectedItem).waterproof })}
+                      >
+                        Waterproof
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant={getItemWeather(selectedItem).outerwear ? 'default' : 'outline'}
+                        onClick={() => handleWeatherChange({ outerwear: !getItemWeather(selectedItem).outerwear })}
+                      >
+                        Outerwear
+                      </Button>
+                    </div>
+                  </div>
+                  
+                  {selectedItem.pattern && (
+                    <div>
+                      <h4 className="font-medium">Pattern</h4>
+                      <p className="text-sm text-muted-foreground">
+                        {PATTERN_TYPES[selectedItem.pattern.type]} ({Math.round(selectedItem.pattern.confidence * 100)}% confidence)
+                      </p>
+                    </div>
+                  )}
+                  
+                  <div>
+                    <div className="flex items-center justify-between">
+                      <h4 className="font-medium">Dominant Color</h4>
+                      {selectedItem.colorCorrected && (
+                        <Badge variant="secondary">User corrected</Badge>
+                      )}
+                    </div>
                     <div className="flex items-center gap-3">
                       <div
                         className="w-12 h-12 rounded-lg border border-border"
                         style={{ backgroundColor: selectedItem.dominantColorHex }}
                       />
                       <div className="text-sm">
+                        <p className="font-medium capitalize">
+                          {getItemColorName(selectedItem).name}
+                          <span className="text-muted-foreground font-normal normal-case">
+                            {' '}· {getColorFamilyLabel(getItemColorName(selectedItem).family)}
+                          </span>
+                        </p>
                         <p className="font-mono">{selectedItem.dominantColorHex}</p>
                         <p className="text-muted-foreground">
                           RGB({selectedItem.rgb[0]}, {selectedItem.rgb[1]}, {selectedItem.rgb[2]})
@@ -345,8 +983,120 @@ const MyWardrobe = ({ onNavigate }) => {
                         <p className="text-muted-foreground">
                           HSL({selectedItem.hsl[0]}°, {selectedItem.hsl[1]}%, {selectedItem.hsl[2]}%)
                         </p>
+                        {selectedItem.lab && (
+                          <p className="text-muted-foreground">
+                            Lab({selectedItem.lab[0]}, {selectedItem.lab[1]}, {selectedItem.lab[2]})
+                          </p>
+                        )}
                       </div>
                     </div>
+                    
+                    {/* Color Correction */}
+                    <div className="flex flex-wrap gap-2 mt-3">
+                      <Button
+                        size="sm"
+                        variant={isEyedropperActive ? "default" : "outline"}
+                        onClick={() => setIsEyedropperActive(!isEyedropperActive)}
+                        className="flex items-center gap-1"
+                      >
+                        <Pipette className="w-3 h-3" />
+                        Eyedropper
+                      </Button>
+                      <Button size="sm" variant="outline" asChild>
+                        <label className="flex items-center gap-1 cursor-pointer">
+                          <input
+                            type="color"
+                            className="sr-only"
+                            value={pendingColorData ? pendingColorData.hex : selectedItem.dominantColorHex}
+                            onChange={(e) => setPendingColor(hexToRgb(e.target.value))}
+                          />
+                          <Palette className="w-3 h-3" />
+                          Pick Color
+                        </label>
+                      </Button>
+                      {selectedItem.colorCorrected && (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={handleRevertColor}
+                          className="flex items-center gap-1"
+                        >
+                          <Undo2 className="w-3 h-3" />
+                          Revert to Detected
+                        </Button>
+                      )}
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={handleRedetectColors}
+                        disabled={isRedetecting}
+                        className="flex items-center gap-1"
+                      >
+                        <RefreshCw className={`w-3 h-3 ${isRedetecting ? 'animate-spin' : ''}`} />
+                        Re-detect
+                      </Button>
+                    </div>
+                    
+                    {pendingColorData && (
+                      <div className="flex items-center gap-3 mt-3 p-2 rounded-lg border border-border">
+                        <div
+                          className="w-8 h-8 rounded border border-border"
+                          style={{ backgroundColor: pendingColorData.hex }}
+                        />
+                        <div className="flex-1 text-sm">
+                          <p className="font-medium capitalize">{nameColor(pendingColorData).name}</p>
+                          <p className="font-mono text-muted-foreground">{pendingColorData.hex}</p>
+                        </div>
+                        <Button size="sm" onClick={handleSaveColor}>
+                          Save
+                        </Button>
+                        <Button size="sm" variant="ghost" onClick={() => setPendingColor(null)}>
+                          Discard
+                        </Button>
+                      </div>
+                    )}
+                  </div>
+                  
+                  {selectedItem.segmentation && (
+                    <div>
+                      <h4 className="font-medium">Measured Region</h4>
+                      <p className="text-sm text-muted-foreground">
+                        {selectedItem.segmentation.isSegmented
+                          ? `Garment covers ${Math.round(selectedItem.segmentation.foregroundRatio * 100)}% of the photo; the background was excluded`
+                          : 'The background could not be separated, so the whole photo was measured'}
+                      </p>
+                    </div>
+                  )}
+                  
+                  {isWhiteBalanceApplied(selectedItem.whiteBalance) && (
+                    <div>
+                      <h4 className="font-medium">White Balance</h4>
+                      <p className="text-sm text-muted-foreground">
+                        {WHITE_BALANCE_METHODS[selectedItem.whiteBalance.method]} correction · gains
+                        R {selectedItem.whiteBalance.gains[0]} G {selectedItem.whiteBalance.gains[1]} B {selectedItem.whiteBalance.gains[2]}
+                      </p>
+                    </div>
+                  )}
+                  
+                  <div>
+                    <h4 className="font-medium">Color Palette</h4>
+                    <PaletteStrip item={selectedItem} className="h-3 mb-2" />
+                    <div className="space-y-1">
+                      {getItemPalette(selectedItem).map((color, index) => (
+                        <div key={index} className="flex items-center gap-2 text-sm">
+                          <div
+                            className="w-4 h-4 rounded-full border border-border"
+                            style={{ backgroundColor: color.hex }}
+                          />
+                          <span className="capitalize">{nameColor(color).name}</span>
+                          <span className="font-mono text-muted-foreground">{color.hex}</span>
+                          <span className="text-muted-foreground capitalize">{color.role}</span>
+                          <span className="ml-auto text-muted-foreground">
+                            {Math.round(color.weight * 100)}%
+                          </span>
+                        </div>
+                      ))}
+                    </div>
                   </div>
                   
                   <div>
@@ -357,6 +1107,15 @@ const MyWardrobe = ({ onNavigate }) => {
                   </div>
                 </div>
                 
+                <Button
+                  onClick={() => handleStyleItem(selectedItem)}
+                  disabled={anchorIds.includes(selectedItem.id)}
+                  className="w-full flex items-center gap-2"
+                >
+                  <Sparkles className="w-4 h-4" />
+                  {anchorIds.includes(selectedItem.id) ? 'Anchored for Styling' : 'Style This'}
+                </Button>
+                
                 <div className="flex gap-2 pt-4">
                   <Button 
                     variant="destructive" 
@@ -377,6 +1136,13 @@ const MyWardrobe = ({ onNavigate }) => {
             )}
           </DialogContent>
         </Dialog>
+
+        <CategoryManager
+          open={isCategoryManagerOpen}
+          onOpenChange={setIsCategoryManagerOpen}
+          items={wardrobeItems}
+          onChange={setCategoryRegistry}
+        />
       </div>
     </div>
   );
@@ -1,26 +1,87 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
-import { ArrowLeft, Shuffle, Heart, Save, Palette } from 'lucide-react';
+import { Slider } from '@/components/ui/slider';
+import { Switch } from '@/components/ui/switch';
+import { ArrowLeft, Shuffle, Heart, Save, Palette, Sparkles, X, CloudSun, RefreshCw, ThumbsUp, ThumbsDown, CalendarCheck } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
-import { generateOutfitSuggestions } from '../utils/colorMatching.js';
-import { loadWardrobeItems, groupItemsByCategory, saveOutfit } from '../utils/storage.js';
+import { generateOutfitSuggestions, COLOR_SCHEMES } from '../utils/colorMatching.js';
+import {
+  loadWardrobeItems,
+  groupItemsByCategory,
+  saveOutfit,
+  isOutfitSaved,
+  loadAppSettings,
+  saveAppSettings,
+  loadOutfitFeedback,
+  recordOutfitFeedback,
+  loadWearLog,
+  recordWear
+} from '../utils/storage.js';
+import { getItemColorName } from '../utils/colorNaming.js';
+import { getItemThumbnail } from '../utils/imageIngest.js';
+import { getItemName } from '../utils/itemDetails.js';
+import { isItemAvailable, describeAvailability } from '../utils/availability.js';
+import { createWearEntries, wasOutfitWornOn, describeLoggedWear } from '../utils/wearLog.js';
+import ScoreBreakdown from './ScoreBreakdown.jsx';
+import LayerStack from './LayerStack.jsx';
+import { getActiveScoringProfile } from '../utils/scoringProfiles.js';
+import { SUB_SEASONS } from '../utils/personalColor.js';
+import { getOutfitFeatures, trainPreferenceModel } from '../utils/preferenceModel.js';
+import { getOccasion, getMissingSlots } from '../utils/occasions.js';
+import { OUTFIT_SLOTS, getCategoryRegistry, getOutfitLayers } from '../utils/categories.js';
+import {
+  PRECIPITATION_TYPES,
+  WEATHER_PROVIDERS,
+  COLD_THRESHOLD,
+  isOuterwear,
+  needsOuterwear,
+  describeWeather,
+  normalizeWeatherConditions,
+  fetchWeatherConditions
+} from '../utils/weather.js';
+
+// Number of outfits shown per round
+const SUGGESTION_COUNT = 3;
+
+// Temperature range (°C) of the manual weather slider
+const MANUAL_TEMPERATURE_RANGE = [-15, 40];
 
 /**
- * Outfit suggestions component for casual and formal outfits
+ * Name outfit slots for a message
+ * @param {string[]} slots - Keys of OUTFIT_SLOTS
+ * @returns {string} e.g. "tops and footwear"
+ */
+const describeSlots = (slots) => slots.map(slot => OUTFIT_SLOTS[slot].label.toLowerCase()).join(' and ');
+
+/**
+ * Outfit suggestions component for one occasion
  * @param {Object} props - Component props
  * @param {Function} props.onNavigate - Navigation handler
- * @param {boolean} props.isFormal - Whether this is for formal outfits
+ * @param {string} props.occasionId - Key of OCCASIONS
+ * @param {string[]} props.anchorIds - Items every outfit is built around
  */
-const OutfitSuggestions = ({ onNavigate, isFormal = false }) => {
+const OutfitSuggestions = ({ onNavigate, occasionId = 'casual', anchorIds = [] }) => {
   const [suggestions, setSuggestions] = useState([]);
   const [wardrobeItems, setWardrobeItems] = useState([]);
   const [isGenerating, setIsGenerating] = useState(false);
+  const [round, setRound] = useState(0);
+  const [diversity, setDiversity] = useState(() => loadAppSettings().suggestionDiversity);
+  const [scoringProfile] = useState(() => getActiveScoringProfile(loadAppSettings()));
+  const [personalColor] = useState(() => loadAppSettings().personalColor);
+  const [weatherSettings, setWeatherSettings] = useState(() => loadAppSettings().weather);
+  const [categories] = useState(() => getCategoryRegistry(loadAppSettings()));
+  const [includeUnavailable, setIncludeUnavailable] = useState(false);
+  const [weather, setWeather] = useState(null);
+  const [feedback, setFeedback] = useState(() => loadOutfitFeedback());
+  const [wearLog, setWearLog] = useState(() => loadWearLog());
+  const preferenceModel = useMemo(() => trainPreferenceModel(feedback), [feedback]);
+  const ratings = new Map(feedback.map(entry => [entry.outfitId, entry.liked]));
   const { toast } = useToast();
 
-  const styleType = isFormal ? 'formal' : 'casual';
-  const title = isFormal ? 'Formal Outfit Suggestions' : 'Casual Outfit Suggestions';
+  const occasion = getOccasion(occasionId);
+  const title = `${occasion.label} Outfit Suggestions`;
 
   useEffect(() => {
     loadWardrobe();
@@ -42,13 +103,40 @@ const OutfitSuggestions = ({ onNavigate, isFormal = false }) => {
       return;
     }
     
-    generateSuggestions(items);
+    generateSuggestions(items, 0, diversity, await resolveWeather(weatherSettings));
+  };
+
+  /**
+   * Conditions to plan for: the manual values, the provider's report, or none
+   * when weather is off. A provider failure falls back to ignoring the weather.
+   * @param {Object} settings - Weather settings
+   * @returns {Promise<Object|null>} Weather conditions
+   */
+  const resolveWeather = async (settings) => {
+    let conditions = null;
+    try {
+      if (settings.mode === 'manual') {
+        conditions = normalizeWeatherConditions(settings);
+      } else if (settings.mode === 'provider') {
+        conditions = await fetchWeatherConditions(settings.providerId);
+      }
+    } catch (error) {
+      console.error('Failed to get weather conditions:', error);
+      toast({
+        title: "Weather unavailable",
+        description: "Suggestions ignore the weather for now",
+        variant: "destructive"
+      });
+    }
+    setWeather(conditions);
+    return conditions;
   };
 
   /**
-   * Generate outfit suggestions
+   * Generate outfit suggestions. Each round shows the next-best outfits,
+   * starting over once every combination has been shown.
    */
-  const generateSuggestions = async (items = wardrobeItems) => {
+  const generateSuggestions = async (items = wardrobeItems, nextRound = 0, diversityLevel = diversity, conditions = weather, includeAll = includeUnavailable) => {
     if (items.length < 2) return;
     
     setIsGenerating(true);
@@ -58,11 +146,57 @@ const OutfitSuggestions = ({ onNavigate, isFormal = false }) => {
       await new Promise(resolve => setTimeout(resolve, 500));
       
       const groupedWardrobe = groupItemsByCategory(items);
-      const newSuggestions = generateOutfitSuggestions(groupedWardrobe, isFormal, 3);
+      const anchors = items.filter(item => anchorIds.includes(item.id));
+      let newSuggestions = generateOutfitSuggestions(groupedWardrobe, occasion, SUGGESTION_COUNT, {
+        offset: nextRound * SUGGESTION_COUNT,
+        diversity: diversityLevel,
+        weights: scoringProfile.weights,
+        anchors,
+        personalColor: personalColor?.subSeason,
+        weather: conditions,
+        preferenceModel,
+        categories,
+        includeUnavailable: includeAll
+      });
       
+      if (newSuggestions.length === 0 && nextRound > 0) {
+        nextRound = 0;
+        newSuggestions = generateOutfitSuggestions(groupedWardrobe, occasion, SUGGESTION_COUNT, {
+          diversity: diversityLevel,
+          weights: scoringProfile.weights,
+          anchors,
+          personalColor: personalColor?.subSeason,
+          weather: conditions,
+          preferenceModel,
+          categories,
+          includeUnavailable: includeAll
+        });
+      }
+      
+      setRound(nextRound);
       setSuggestions(newSuggestions);
       
-      if (newSuggestions.length === 0) {
+      const missingSlots = getMissingSlots(groupedWardrobe, occasion, categories);
+      const usableItems = includeAll ? items : items.filter(item => anchorIds.includes(item.id) || isItemAvailable(item));
+      const missingUsableSlots = getMissingSlots(groupItemsByCategory(usableItems), occasion, categories);
+      if (missingSlots.length > 0) {
+        toast({
+          title: "Missing required items",
+          description: `${occasion.label} outfits need ${describeSlots(missingSlots)}`,
+        });
+      } else if (missingUsableSlots.length > 0) {
+        toast({
+          title: "Required items unavailable",
+          description: `All your ${describeSlots(missingUsableSlots)} are in the laundry, lent out or stored. Turn on Include everything to plan ahead`,
+        });
+      } else if (newSuggestions.length === 0 && conditions) {
+        toast({
+          title: "Nothing fits the weather",
+          description: needsOuterwear(conditions) && !items.some(item => isOuterwear(item, categories))
+            ? `Below ${COLD_THRESHOLD}°C outfits need outerwear. Upload a jacket or coat as Outerwear, or mark one as outerwear in My Wardrobe`
+            : `No outfits in your wardrobe suit ${describeWeather(conditions)}`,
+        });
+      } else if (newSuggestions.length === 0) {
         toast({
           title: "No combinations found",
           description: "Try uploading more diverse items or check back later",
@@ -84,6 +218,14 @@ const OutfitSuggestions = ({ onNavigate, isFormal = false }) => {
    * Save an outfit to favorites
    */
   const handleSaveOutfit = (outfit) => {
+    if (isOutfitSaved(outfit.id)) {
+      toast({
+        title: "Already saved",
+        description: "This combination is already in your saved outfits",
+      });
+      return;
+    }
+
     const savedOutfit = saveOutfit(outfit);
     if (savedOutfit) {
       toast({
@@ -100,12 +242,74 @@ const OutfitSuggestions = ({ onNavigate, isFormal = false }) => {
   };
 
   /**
-   * Shuffle and generate new suggestions
+   * Log every piece of an outfit as worn today
+   * @param {Object} outfit - Suggested outfit
+   */
+  const handleWoreToday = (outfit) => {
+    const entries = createWearEntries(outfit.items, outfit.id);
+    const description = describeLoggedWear(wearLog, entries);
+    setWearLog(recordWear(entries));
+    toast({
+      title: "Logged as worn today",
+      description,
+    });
+  };
+
+  /**
+   * Rate an outfit; the preference model retrains and applies from the next round
+   * @param {Object} outfit - Suggested outfit
+   * @param {boolean} liked - Thumbs up (true) or down (false)
+   */
+  const handleRate = (outfit, liked) => {
+    setFeedback(recordOutfitFeedback({
+      outfitId: outfit.id,
+      itemIds: outfit.items.map(item => item.id),
+      occasion: outfit.style,
+      features: getOutfitFeatures(outfit.details, outfit.items.length),
+      liked
+    }));
+  };
+
+  /**
+   * Show the next set of suggestions
    */
   const handleShuffle = () => {
-    generateSuggestions();
+    generateSuggestions(wardrobeItems, round + 1);
   };
 
+  /**
+   * Remember the quality/diversity balance and start over from the first round
+   */
+  const handleDiversityCommit = ([value]) => {
+    setDiversity(value);
+    saveAppSettings({ ...loadAppSettings(), suggestionDiversity: value });
+    generateSuggestions(wardrobeItems, 0, value);
+  };
+
+  /**
+   * Use or leave out items that are unavailable right now, and start over
+   * @param {boolean} checked - Whether to include unavailable items
+   */
+  const handleIncludeUnavailableChange = (checked) => {
+    setIncludeUnavailable(checked);
+    generateSuggestions(wardrobeItems, 0, diversity, weather, checked);
+  };
+
+  /**
+   * Remember new weather settings and start over with the conditions they give
+   * @param {Object} updates - Changed weather settings
+   */
+  const handleWeatherChange = async (updates) => {
+    const updated = { ...weatherSettings, ...updates };
+    setWeatherSettings(updated);
+    saveAppSettings({ ...loadAppSettings(), weather: updated });
+    generateSuggestions(wardrobeItems, 0, diversity, await resolveWeather(updated));
+  };
+
+  const missingSlots = getMissingSlots(groupItemsByCategory(wardrobeItems), occasion, categories);
+  const anchorItems = wardrobeItems.filter(item => anchorIds.includes(item.id));
+  const unavailableCount = wardrobeItems.filter(item => !isItemAvailable(item)).length;
+
   if (wardrobeItems.length < 2) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-background via-accent/5 to-primary/5 py-8">
@@ -138,6 +342,9 @@ const OutfitSuggestions = ({ onNavigate, isFormal = false }) => {
     );
   }
 
+  // Upper-body layers of each suggestion, stacked on its card, and its other pieces
+  const suggestionLayers = suggestions.map(suggestion => getOutfitLayers(suggestion.items, categories));
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-background via-accent/5 to-primary/5 py-8">
       <div className="container mx-auto px-4">
@@ -155,7 +362,7 @@ const OutfitSuggestions = ({ onNavigate, isFormal = false }) => {
           <div className="flex-1">
             <h1 className="text-3xl font-bold text-foreground">{title}</h1>
             <p className="text-muted-foreground">
-              AI-powered outfit combinations based on color harmony principles
+              {occasion.description}
             </p>
           </div>
           
@@ -169,6 +376,208 @@ const OutfitSuggestions = ({ onNavigate, isFormal = false }) => {
           </Button>
         </div>
 
+        {/* Anchored Items */}
+        {anchorItems.length > 0 && (
+          <Card className="mb-8">
+            <CardContent className="p-4 flex items-center gap-4">
+              <Sparkles className="w-5 h-5 text-primary" />
+              <span className="text-sm font-medium">Built around</span>
+              <div className="flex gap-2 flex-1">
+                {anchorItems.map((item) => (
+                  <img
+                    key={item.id}
+                    src={getItemThumbnail(item)}
+                    alt={getItemName(item)}
+                    title={`${getItemColorName(item).name} ${item.category.toLowerCase()}`}
+                    className="w-10 h-10 rounded object-cover"
+                  />
+                ))}
+              </div>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => onNavigate(occasionId)}
+                className="flex items-center gap-1"
+              >
+                <X className="w-4 h-4" />
+                Clear
+              </Button>
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Weather */}
+        <Card className="mb-8">
+          <CardContent className="p-4 space-y-3">
+            <div className="flex items-center justify-between">
+              <h4 className="text-sm font-medium flex items-center gap-2">
+                <CloudSun className="w-4 h-4" />
+                Weather
+              </h4>
+              <span className="text-xs text-muted-foreground">
+                {weather ? describeWeather(weather) : 'Not considered'}
+              </span>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <Button
+                size="sm"
+                variant={weatherSettings.mode === 'off' ? 'default' : 'outline'}
+                onClick={() => handleWeatherChange({ mode: 'off' })}
+                disabled={isGenerating}
+              >
+                Off
+              </Button>
+              <Button
+                size="sm"
+                variant={weatherSettings.mode === 'manual' ? 'default' : 'outline'}
+                onClick={() => handleWeatherChange({ mode: 'manual' })}
+                disabled={isGenerating}
+              >
+                Manual
+              </Button>
+              {Object.values(WEATHER_PROVIDERS).map((provider) => (
+                <Button
+                  key={provider.id}
+                  size="sm"
+                  variant={weatherSettings.mode === 'provider' && weatherSettings.providerId === provider.id ? 'default' : 'outline'}
+                  onClick={() => handleWeatherChange({ mode: 'provider', providerId: provider.id })}
+                  disabled={isGenerating}
+                >
+                  {provider.label}
+                </Button>
+              ))}
+              {weatherSettings.mode === 'provider' && (
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => handleWeatherChange({})}
+                  disabled={isGenerating}
+                  className="flex items-center gap-1"
+                >
+                  <RefreshCw className="w-3 h-3" />
+                  Refresh
+                </Button>
+              )}
+            </div>
+            {weatherSettings.mode === 'manual' && (
+              <div className="space-y-3">
+                <div className="flex items-center gap-4">
+                  <span className="text-xs text-muted-foreground w-12">{weatherSettings.temperature}°C</span>
+                  <Slider
+                    value={[weatherSettings.temperature]}
+                    min={MANUAL_TEMPERATURE_RANGE[0]}
+                    max={MANUAL_TEMPERATURE_RANGE[1]}
+                    step={1}
+                    onValueChange={([value]) => setWeatherSettings(current => ({ ...current, temperature: value }))}
+                    onValueCommit={([value]) => handleWeatherChange({ temperature: value })}
+                    disabled={isGenerating}
+                  />
+                </div>
+                <div className="flex gap-2">
+                  {Object.entries(PRECIPITATION_TYPES).map(([key, label]) => (
+                    <Button
+                      key={key}
+                      size="sm"
+                      variant={weatherSettings.precipitation === key ? 'secondary' : 'ghost'}
+                      onClick={() => handleWeatherChange({ precipitation: key })}
+                      disabled={isGenerating}
+                    >
+                      {label}
+                    </Button>
+                  ))}
+                </div>
+              </div>
+            )}
+            {weather && (
+              <p className="text-xs text-muted-foreground">
+                Items tagged for other temperatures are left out or ranked lower
+                {needsOuterwear(weather) && `, and below ${COLD_THRESHOLD}°C every outfit includes outerwear`}.
+                Set warmth and outerwear in My Wardrobe.
+              </p>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Availability */}
+        {unavailableCount > 0 && (
+          <Card className="mb-8">
+            <CardContent className="p-4 flex items-center justify-between gap-4">
+              <div>
+                <h4 className="text-sm font-medium">Include everything</h4>
+                <p className="text-xs text-muted-foreground">
+                  {includeUnavailable
+                    ? `Planning ahead: ${unavailableCount} item${unavailableCount > 1 ? 's' : ''} in the laundry, at the dry cleaner, lent out or stored can be suggested.`
+                    : `${unavailableCount} item${unavailableCount > 1 ? 's' : ''} in the laundry, at the dry cleaner, lent out or stored ${unavailableCount > 1 ? 'are' : 'is'} left out.`}
+                </p>
+              </div>
+              <Switch
+                checked={includeUnavailable}
+                onCheckedChange={handleIncludeUnavailableChange}
+                disabled={isGenerating}
+                aria-label="Include unavailable items"
+              />
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Diversity Control */}
+        <Card className="mb-8">
+          <CardContent className="p-4">
+            <div className="flex items-center justify-between mb-3">
+              <h4 className="text-sm font-medium">Suggestion Variety</h4>
+              <span className="text-xs text-muted-foreground">
+                {Math.round(diversity * 100)}% variety
+              </span>
+            </div>
+            <div className="flex items-center gap-4">
+              <span className="text-xs text-muted-foreground whitespace-nowrap">Best scores</span>
+              <Slider
+                value={[diversity]}
+                min={0}
+                max={1}
+                step={0.05}
+                onValueChange={([value]) => setDiversity(value)}
+                onValueCommit={handleDiversityCommit}
+                disabled={isGenerating}
+              />
+              <span className="text-xs text-muted-foreground whitespace-nowrap">Different looks</span>
+            </div>
+            <div className="flex items-center justify-between gap-4 mt-2">
+              <p className="text-xs text-muted-foreground">
+                Higher variety avoids repeating the same pieces and colors across the outfits shown together.
+              </p>
+              <div className="flex flex-col items-end">
+                <Button
+                  variant="link"
+                  size="sm"
+                  onClick={() => onNavigate('scoring')}
+                  className="h-auto p-0 text-xs whitespace-nowrap"
+                >
+                  Scoring: {scoringProfile.name}
+                </Button>
+                <Button
+                  variant="link"
+                  size="sm"
+                  onClick={() => onNavigate('scoring')}
+                  className="h-auto p-0 text-xs whitespace-nowrap"
+                >
+                  {preferenceModel
+                    ? `Learning from ${feedback.length} ratings`
+                    : 'Rate outfits up and down to personalize'}
+                </Button>
+                <Button
+                  variant="link"
+                  size="sm"
+                  onClick={() => onNavigate('personal-color')}
+                  className="h-auto p-0 text-xs whitespace-nowrap"
+                >
+                  Personal color: {SUB_SEASONS[personalColor?.subSeason]?.label || 'not set'}
+                </Button>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+
         {/* Loading State */}
         {isGenerating && (
           <div className="text-center py-12">
@@ -184,30 +593,37 @@ const OutfitSuggestions = ({ onNavigate, isFormal = false }) => {
               <Card key={suggestion.id} className="wardrobe-card">
                 <CardHeader>
                   <CardTitle className="flex items-center justify-between">
-                    <span>Outfit #{index + 1}</span>
+                    <span>Outfit #{round * SUGGESTION_COUNT + index + 1}</span>
                     <Badge variant="outline">
-                      Score: {suggestion.score.toFixed(1)}
+                      {suggestion.score.toFixed(1)} / 10
                     </Badge>
                   </CardTitle>
                 </CardHeader>
                 
                 <CardContent>
-                  {/* Item Thumbnails */}
+                  {/* Item Thumbnails, with upper-body layers stacked */}
                   <div className="grid grid-cols-2 gap-3 mb-6">
-                    {suggestion.items.map((item) => (
+                    <LayerStack layers={suggestionLayers[index].layers} anchorIds={suggestion.anchorIds} />
+                    {suggestionLayers[index].others.map((item) => (
                       <div key={item.id} className="relative">
                         <div className="aspect-square rounded-lg overflow-hidden bg-muted">
                           <img
-                            src={item.dataUrl}
-                            alt={`${item.category} item`}
+                            src={getItemThumbnail(item)}
+                            alt={getItemName(item)}
                             className="w-full h-full object-cover"
                           />
                           
                           {/* Category Label */}
-                          <div className="absolute top-2 left-2">
+                          <div className="absolute top-2 left-2 flex flex-col items-start gap-1">
                             <Badge variant="secondary" className="text-xs">
                               {item.category}
                             </Badge>
+                            {suggestion.anchorIds?.includes(item.id) && (
+                              <Badge className="text-xs">Anchor</Badge>
+                            )}
+                            {!isItemAvailable(item) && (
+                              <Badge variant="outline" className="text-xs bg-background">{describeAvailability(item)}</Badge>
+                            )}
                           </div>
                           
                           {/* Color Swatch */}
@@ -215,7 +631,7 @@ const OutfitSuggestions = ({ onNavigate, isFormal = false }) => {
                             <div
                               className="w-6 h-6 rounded-full border-2 border-white shadow-sm"
                               style={{ backgroundColor: item.dominantColorHex }}
-                              title={item.dominantColorHex}
+                              title={`${getItemColorName(item).name} (${item.dominantColorHex})`}
                             />
                           </div>
                         </div>
@@ -233,8 +649,8 @@ const OutfitSuggestions = ({ onNavigate, isFormal = false }) => {
                             className="w-8 h-8 rounded-full border border-border shadow-sm"
                             style={{ backgroundColor: item.dominantColorHex }}
                           />
-                          <span className="text-xs text-muted-foreground">
-                            {item.dominantColorHex}
+                          <span className="text-xs text-muted-foreground capitalize" title={item.dominantColorHex}>
+                            {getItemColorName(item).name}
                           </span>
                         </div>
                       ))}
@@ -243,12 +659,56 @@ const OutfitSuggestions = ({ onNavigate, isFormal = false }) => {
 
                   {/* Explanation */}
                   <div className="mb-6">
-                    <h4 className="text-sm font-medium mb-2">Style Analysis</h4>
+                    <div className="flex items-center justify-between mb-2">
+                      <h4 className="text-sm font-medium">Style Analysis</h4>
+                      <div className="flex gap-1">
+                        {suggestion.details?.suitsYou >= 0.5 && (
+                          <Badge variant="outline" className="border-success text-success">Suits you</Badge>
+                        )}
+                        {suggestion.details?.scheme && (
+                          <Badge variant="secondary" title={COLOR_SCHEMES[suggestion.details.scheme].description}>
+                            {COLOR_SCHEMES[suggestion.details.scheme].label} scheme
+                          </Badge>
+                        )}
+                      </div>
+                    </div>
                     <p className="text-sm text-muted-foreground leading-relaxed">
                       {suggestion.explanation}
                     </p>
+                    {suggestion.details?.harmonyDetails
+                      .filter(detail => detail.startsWith('Weather: '))
+                      .map(detail => (
+                        <p key={detail} className="text-xs text-warning mt-1">{detail}</p>
+                      ))}
                   </div>
 
+                  <ScoreBreakdown
+                    breakdown={suggestion.breakdown}
+                    rawScore={suggestion.rawScore}
+                    score={suggestion.score}
+                    className="mb-6"
+                  />
+
+                  {/* Why Each Pick Works With the Anchors */}
+                  {suggestion.anchorNotes?.length > 0 && (
+                    <div className="mb-6">
+                      <h4 className="text-sm font-medium mb-2">Why These Picks</h4>
+                      <ul className="space-y-1 text-sm text-muted-foreground">
+                        {suggestion.anchorNotes.map(({ itemId, reason }) => {
+                          const item = suggestion.items.find(outfitItem => outfitItem.id === itemId);
+                          return (
+                            <li key={itemId}>
+                              <span className="font-medium text-foreground capitalize">
+                                {getItemColorName(item).name} {item.category.toLowerCase()}
+                              </span>
+                              : {reason}
+                            </li>
+                          );
+                        })}
+                      </ul>
+                    </div>
+                  )}
+
                   {/* Actions */}
                   <div className="flex gap-2">
                     <Button 
@@ -258,6 +718,20 @@ const OutfitSuggestions = ({ onNavigate, isFormal = false }) => {
                       <Heart className="w-4 h-4" />
                       Save Outfit
                     </Button>
+                    <Button
+                      variant={ratings.get(suggestion.id) === true ? 'default' : 'outline'}
+                      onClick={() => handleRate(suggestion, true)}
+                      aria-label="I like this outfit"
+                    >
+                      <ThumbsUp className="w-4 h-4" />
+                    </Button>
+                    <Button
+                      variant={ratings.get(suggestion.id) === false ? 'default' : 'outline'}
+                      onClick={() => handleRate(suggestion, false)}
+                      aria-label="I don't like this outfit"
+                    >
+                      <ThumbsDown className="w-4 h-4" />
+                    </Button>
                     <Button 
                       variant="outline"
                       onClick={handleShuffle}
@@ -266,6 +740,15 @@ const OutfitSuggestions = ({ onNavigate, isFormal = false }) => {
                       <Shuffle className="w-4 h-4" />
                     </Button>
                   </div>
+                  <Button
+                    variant="outline"
+                    onClick={() => handleWoreToday(suggestion)}
+                    disabled={wasOutfitWornOn(wearLog, suggestion.id)}
+                    className="w-full mt-2 flex items-center gap-2"
+                  >
+                    <CalendarCheck className="w-4 h-4" />
+                    {wasOutfitWornOn(wearLog, suggestion.id) ? 'Worn today' : 'Wore this today'}
+                  </Button>
                 </CardContent>
               </Card>
             ))}
@@ -279,7 +762,11 @@ const OutfitSuggestions = ({ onNavigate, isFormal = false }) => {
               <Palette className="w-16 h-16 mx-auto mb-4 text-muted-foreground" />
               <h3 className="text-xl font-semibold mb-2">No Combinations Found</h3>
               <p className="text-muted-foreground mb-6">
-                Try uploading more diverse items or adjusting your wardrobe selection.
+                {missingSlots.length > 0
+                  ? `${occasion.label} outfits need ${describeSlots(missingSlots)}. Upload some to get suggestions.`
+                  : unavailableCount > 0 && !includeUnavailable
+                    ? `${unavailableCount} item${unavailableCount > 1 ? 's are' : ' is'} unavailable right now. Turn on Include everything to plan ahead.`
+                    : 'Try uploading more diverse items or adjusting your wardrobe selection.'}
               </p>
               <div className="flex gap-2">
                 <Button onClick={() => onNavigate('upload')} variant="outline" className="flex-1">
@@ -302,25 +789,19 @@ const OutfitSuggestions = ({ onNavigate, isFormal = false }) => {
             </CardTitle>
           </CardHeader>
           <CardContent>
+            <p className="text-sm text-muted-foreground mb-6">
+              Each outfit is matched against these schemes using the hues of all its items together.
+              Neutrals fit every scheme.
+            </p>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6 text-sm">
-              <div>
-                <h4 className="font-medium mb-2">Complementary Colors</h4>
-                <p className="text-muted-foreground">
-                  Opposite colors on the color wheel create striking, balanced combinations
-                </p>
-              </div>
-              <div>
-                <h4 className="font-medium mb-2">Analogous Colors</h4>
-                <p className="text-muted-foreground">
-                  Colors close to each other create harmonious, soothing combinations
-                </p>
-              </div>
-              <div>
-                <h4 className="font-medium mb-2">Neutral Pairings</h4>
-                <p className="text-muted-foreground">
-                  Neutral colors (low saturation) work well with any other color
-                </p>
-              </div>
+              {Object.entries(COLOR_SCHEMES).map(([key, scheme]) => (
+                <div key={key}>
+                  <h4 className="font-medium mb-2">{scheme.label}</h4>
+                  <p className="text-muted-foreground">
+                    {scheme.description}
+                  </p>
+                </div>
+              ))}
             </div>
           </CardContent>
         </Card>
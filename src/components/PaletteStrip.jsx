@@ -0,0 +1,27 @@
+import React from 'react';
+import { cn } from '@/lib/utils';
+import { getItemPalette } from '../utils/colorExtraction.js';
+
+/**
+ * Horizontal strip of an item's palette colors, each sized by its pixel coverage
+ * @param {Object} props - Component props
+ * @param {Object} props.item - Wardrobe item
+ * @param {string} props.className - Additional classes for the strip container
+ */
+const PaletteStrip = ({ item, className }) => {
+  const palette = getItemPalette(item);
+
+  return (
+    <div className={cn('flex h-2 w-full overflow-hidden rounded-full', className)}>
+      {palette.map((color, index) => (
+        <div
+          key={index}
+          style={{ backgroundColor: color.hex, flexGrow: color.weight }}
+          title={`${color.hex} · ${Math.round(color.weight * 100)}% ${color.role}`}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default PaletteStrip;
@@ -0,0 +1,322 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { ArrowLeft, Camera, Save, Trash2, SwatchBook, ShieldCheck } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { loadWardrobeItems, loadAppSettings, saveAppSettings } from '../utils/storage.js';
+import { rgbToHex } from '../utils/colorExtraction.js';
+import {
+  SEASONS,
+  SUB_SEASONS,
+  PERSONAL_COLOR_QUESTIONS,
+  SELFIE_FEATURES,
+  createPersonalColorProfile,
+  getItemFlattery
+} from '../utils/personalColor.js';
+import EyedropperImage from './EyedropperImage.jsx';
+
+// Ends of each axis, as shown on the result card
+const AXIS_LABELS = {
+  temperature: ['Cool', 'Warm'],
+  depth: ['Light', 'Deep'],
+  clarity: ['Soft', 'Bright']
+};
+
+/**
+ * Personal color analysis: a short questionnaire and optional selfie samples
+ * place the wearer in one of the twelve seasonal palettes. The selfie is only
+ * held in memory; just the sampled colors are saved.
+ * @param {Object} props - Component props
+ * @param {Function} props.onNavigate - Navigation handler
+ */
+const PersonalColor = ({ onNavigate }) => {
+  const [settings, setSettings] = useState(() => loadAppSettings());
+  const [answers, setAnswers] = useState(() => loadAppSettings().personalColor?.answers || {});
+  const [samples, setSamples] = useState(() => loadAppSettings().personalColor?.samples || {});
+  const [selfieUrl, setSelfieUrl] = useState(null);
+  const [sampleTarget, setSampleTarget] = useState('skin');
+  const [wardrobeItems] = useState(() => loadWardrobeItems());
+  const fileInputRef = useRef(null);
+  const { toast } = useToast();
+
+  const profile = useMemo(() => createPersonalColorProfile(answers, samples), [answers, samples]);
+  const subSeason = profile && SUB_SEASONS[profile.subSeason];
+  const savedSubSeason = settings.personalColor?.subSeason;
+  const flatteringCount = profile
+    ? wardrobeItems.filter(item => getItemFlattery(item, profile.subSeason) === 'flattering').length
+    : 0;
+
+  // Release the in-memory selfie when it is replaced or the view closes
+  useEffect(() => {
+    return () => {
+      if (selfieUrl) URL.revokeObjectURL(selfieUrl);
+    };
+  }, [selfieUrl]);
+
+  /**
+   * Record the answer to one question
+   * @param {string} questionId - Question id
+   * @param {string} answerId - Answer id
+   */
+  const handleAnswer = (questionId, answerId) => {
+    setAnswers(current => ({ ...current, [questionId]: answerId }));
+  };
+
+  /**
+   * Show a selfie for sampling without uploading or storing it
+   * @param {FileList} files - Selected files
+   */
+  const handleSelfieSelect = (files) => {
+    const file = files?.[0];
+    if (!file) return;
+
+    if (!file.type.startsWith('image/')) {
+      toast({
+        title: "Invalid file type",
+        description: "Please choose an image file",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    setSelfieUrl(URL.createObjectURL(file));
+  };
+
+  /**
+   * Store a color sampled from the selfie for the selected feature, then
+   * move on to the next feature that has no sample yet
+   * @param {number[]} rgb - Sampled [r, g, b]
+   */
+  const handleSample = (rgb) => {
+    const updated = { ...samples, [sampleTarget]: rgb };
+    setSamples(updated);
+    const nextTarget = Object.keys(SELFIE_FEATURES).find(feature => !updated[feature]);
+    if (nextTarget) setSampleTarget(nextTarget);
+  };
+
+  const handleSave = () => {
+    const updated = { ...settings, personalColor: profile };
+    saveAppSettings(updated);
+    setSettings(updated);
+    toast({
+      title: "Personal color saved",
+      description: `Suggestions now favor ${subSeason.label} colors`,
+    });
+  };
+
+  const handleClear = () => {
+    const updated = { ...settings, personalColor: null };
+    saveAppSettings(updated);
+    setSettings(updated);
+    setAnswers({});
+    setSamples({});
+    setSelfieUrl(null);
+    setSampleTarget('skin');
+    toast({
+      title: "Personal color cleared",
+      description: "Suggestions no longer consider your coloring",
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background via-accent/5 to-primary/5 py-8">
+      <div className="container mx-auto px-4">
+        {/* Header */}
+        <div className="flex items-center gap-4 mb-8">
+          <Button
+            variant="outline"
+            onClick={() => onNavigate('dashboard')}
+            className="flex items-center gap-2"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Back to Dashboard
+          </Button>
+
+          <div className="flex-1">
+            <h1 className="text-3xl font-bold text-foreground">Personal Color</h1>
+            <p className="text-muted-foreground">
+              Find your seasonal palette so suggestions favor colors that flatter you
+            </p>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          <div className="lg:col-span-2 space-y-8">
+            {/* Questionnaire */}
+            <Card>
+              <CardHeader>
+                <CardTitle>Questionnaire</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-6">
+                {PERSONAL_COLOR_QUESTIONS.map((question) => (
+                  <div key={question.id}>
+                    <p className="text-sm font-medium mb-2">{question.question}</p>
+                    <div className="flex flex-wrap gap-2">
+                      {question.answers.map((answer) => (
+                        <Button
+                          key={answer.id}
+                          size="sm"
+                          variant={answers[question.id] === answer.id ? 'default' : 'outline'}
+                          onClick={() => handleAnswer(question.id, answer.id)}
+                        >
+                          {answer.label}
+                        </Button>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+
+            {/* Selfie Sampling */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Camera className="w-5 h-5" />
+                  Selfie (optional)
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <p className="text-sm text-muted-foreground flex items-start gap-2">
+                  <ShieldCheck className="w-4 h-4 mt-0.5 shrink-0" />
+                  Your photo stays on this device and is never saved. Only the colors you sample are kept.
+                  Use daylight and no filters for the most accurate reading.
+                </p>
+                <div className="flex flex-wrap items-center gap-2">
+                  <Button variant="outline" onClick={() => fileInputRef.current?.click()}>
+                    {selfieUrl ? 'Choose Another Photo' : 'Choose Photo'}
+                  </Button>
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept="image/*"
+                    className="hidden"
+                    onChange={(e) => handleSelfieSelect(e.target.files)}
+                  />
+                  {Object.entries(SELFIE_FEATURES).map(([feature, label]) => (
+                    <Button
+                      key={feature}
+                      size="sm"
+                      variant={sampleTarget === feature ? 'default' : 'outline'}
+                      onClick={() => setSampleTarget(feature)}
+                      className="flex items-center gap-2"
+                    >
+                      {samples[feature] && (
+                        <span
+                          className="w-3 h-3 rounded-full border border-border"
+                          style={{ backgroundColor: rgbToHex(...samples[feature]) }}
+                        />
+                      )}
+                      {label}
+                    </Button>
+                  ))}
+                  {Object.keys(samples).length > 0 && (
+                    <Button size="sm" variant="ghost" onClick={() => setSamples({})}>
+                      Clear Samples
+                    </Button>
+                  )}
+                </div>
+                {selfieUrl && (
+                  <div>
+                    <p className="text-xs text-muted-foreground mb-2">
+                      Click or drag over your {SELFIE_FEATURES[sampleTarget].toLowerCase()} to sample it
+                    </p>
+                    <EyedropperImage
+                      src={selfieUrl}
+                      alt="Selfie for color sampling"
+                      active
+                      onSample={handleSample}
+                      className="aspect-square max-w-sm rounded-lg bg-muted"
+                    />
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </div>
+
+          {/* Result */}
+          <Card className="lg:col-span-1 h-fit lg:sticky lg:top-8">
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <SwatchBook className="w-5 h-5" />
+                Your Palette
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-5">
+              {!profile ? (
+                <p className="text-sm text-muted-foreground">
+                  Answer a few questions or sample your skin from a selfie to see your season.
+                </p>
+              ) : (
+                <>
+                  <div>
+                    <div className="flex items-center justify-between gap-2">
+                      <h3 className="text-2xl font-bold">{subSeason.label}</h3>
+                      {savedSubSeason === profile.subSeason && <Badge variant="secondary">Saved</Badge>}
+                    </div>
+                    <p className="text-sm text-muted-foreground mt-1">
+                      {SEASONS[subSeason.season].description}
+                    </p>
+                  </div>
+
+                  <div className="flex gap-2">
+                    {subSeason.palette.map((hex) => (
+                      <div
+                        key={hex}
+                        className="flex-1 h-10 rounded-md border border-border"
+                        style={{ backgroundColor: hex }}
+                        title={hex}
+                      />
+                    ))}
+                  </div>
+
+                  <div className="space-y-3">
+                    {Object.entries(AXIS_LABELS).map(([axis, [low, high]]) => (
+                      <div key={axis}>
+                        <div className="flex justify-between text-xs text-muted-foreground mb-1">
+                          <span>{low}</span>
+                          <span>{high}</span>
+                        </div>
+                        <div className="relative h-2 rounded-full bg-muted">
+                          <div
+                            className="absolute top-1/2 w-3 h-3 -translate-x-1/2 -translate-y-1/2 rounded-full bg-primary"
+                            style={{ left: `${(profile.axes[axis] + 1) * 50}%` }}
+                          />
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+
+                  {wardrobeItems.length > 0 && (
+                    <p className="text-sm text-muted-foreground">
+                      {flatteringCount} of {wardrobeItems.length} wardrobe items suit your coloring.
+                    </p>
+                  )}
+                </>
+              )}
+
+              <div className="flex gap-2">
+                <Button onClick={handleSave} disabled={!profile} className="flex-1 flex items-center gap-2">
+                  <Save className="w-4 h-4" />
+                  Save
+                </Button>
+                <Button
+                  variant="outline"
+                  onClick={handleClear}
+                  disabled={!settings.personalColor && !profile}
+                  className="flex items-center gap-2 text-destructive"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  Clear
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PersonalColor;
@@ -3,9 +3,28 @@ import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
-import { ArrowLeft, Heart, Trash2, Eye, Calendar, Palette } from 'lucide-react';
+import { ArrowLeft, Heart, Trash2, Eye, Calendar, Palette, CalendarCheck } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
-import { loadSavedOutfits, deleteSavedOutfit } from '../utils/storage.js';
+import { loadSavedOutfits, deleteSavedOutfit, loadWearLog, recordWear } from '../utils/storage.js';
+import { getItemColorName } from '../utils/colorNaming.js';
+import { getItemThumbnail } from '../utils/imageIngest.js';
+import { getItemName } from '../utils/itemDetails.js';
+import { COLOR_SCHEMES, scoreOutfitCombination } from '../utils/colorMatching.js';
+import { getOccasion, isFormalOccasion } from '../utils/occasions.js';
+import ScoreBreakdown from './ScoreBreakdown.jsx';
+import { createWearEntries, wasOutfitWornOn, countOutfitWears, describeLoggedWear } from '../utils/wearLog.js';
+
+/**
+ * Outfits saved before scores were normalized have an open-ended score and no
+ * breakdown; re-score those with the standard rules so they read on the same 0–10 scale
+ * @param {Object} outfit - Saved outfit
+ * @returns {Object} Outfit with score, rawScore and breakdown
+ */
+const withScoreBreakdown = (outfit) => {
+  if (outfit.breakdown || outfit.items.length < 2) return outfit;
+  const { score, rawScore, breakdown } = scoreOutfitCombination(outfit.items, getOccasion(outfit.style));
+  return { ...outfit, score, rawScore, breakdown };
+};
 
 /**
  * Saved Outfits component for viewing and managing favorite outfits
@@ -16,6 +35,7 @@ const SavedOutfits = ({ onNavigate }) => {
   const [savedOutfits, setSavedOutfits] = useState([]);
   const [selectedOutfit, setSelectedOutfit] = useState(null);
   const [isDetailModalOpen, setIsDetailModalOpen] = useState(false);
+  const [wearLog, setWearLog] = useState(() => loadWearLog());
   const { toast } = useToast();
 
   useEffect(() => {
@@ -29,7 +49,21 @@ const SavedOutfits = ({ onNavigate }) => {
     const outfits = loadSavedOutfits();
     // Sort by saved date, most recent first
     const sortedOutfits = outfits.sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
-    setSavedOutfits(sortedOutfits);
+    setSavedOutfits(sortedOutfits.map(withScoreBreakdown));
+  };
+
+  /**
+   * Log every piece of an outfit as worn today
+   * @param {Object} outfit - Saved outfit
+   */
+  const handleWoreToday = (outfit) => {
+    const entries = createWearEntries(outfit.items, outfit.id);
+    const description = describeLoggedWear(wearLog, entries);
+    setWearLog(recordWear(entries));
+    toast({
+      title: "Logged as worn today",
+      description,
+    });
   };
 
   /**
@@ -67,11 +101,11 @@ const SavedOutfits = ({ onNavigate }) => {
   };
 
   /**
-   * Get style statistics
+   * Get style statistics, counting each occasion under the casual or formal rules it follows
    */
   const getStyleStats = () => {
-    const formalCount = savedOutfits.filter(outfit => outfit.style === 'formal').length;
-    const casualCount = savedOutfits.filter(outfit => outfit.style === 'casual').length;
+    const formalCount = savedOutfits.filter(outfit => isFormalOccasion(getOccasion(outfit.style))).length;
+    const casualCount = savedOutfits.length - formalCount;
     return { formal: formalCount, casual: casualCount, total: savedOutfits.length };
   };
 
@@ -174,10 +208,10 @@ const SavedOutfits = ({ onNavigate }) => {
               <CardHeader className="pb-3">
                 <div className="flex items-center justify-between">
                   <CardTitle className="text-lg">
-                    {outfit.style === 'formal' ? 'Formal' : 'Casual'} Outfit
+                    {getOccasion(outfit.style).label} Outfit
                   </CardTitle>
-                  <Badge variant={outfit.style === 'formal' ? 'default' : 'secondary'}>
-                    Score: {outfit.score?.toFixed(1) || 'N/A'}
+                  <Badge variant={isFormalOccasion(getOccasion(outfit.style)) ? 'default' : 'secondary'}>
+                    {outfit.score !== undefined ? `${outfit.score.toFixed(1)} / 10` : 'No score'}
                   </Badge>
                 </div>
                 <div className="flex items-center gap-2 text-sm text-muted-foreground">
@@ -193,8 +227,8 @@ const SavedOutfits = ({ onNavigate }) => {
                     <div key={item.id} className="relative">
                       <div className="aspect-square rounded-lg overflow-hidden bg-muted">
                         <img
-                          src={item.dataUrl}
-                          alt={`${item.category} item`}
+                          src={getItemThumbnail(item)}
+                          alt={getItemName(item)}
                           className="w-full h-full object-cover"
                         />
                         
@@ -210,7 +244,7 @@ const SavedOutfits = ({ onNavigate }) => {
                           <div
                             className="w-4 h-4 rounded-full border border-white shadow-sm"
                             style={{ backgroundColor: item.dominantColorHex }}
-                            title={item.dominantColorHex}
+                            title={`${getItemColorName(item).name} (${item.dominantColorHex})`}
                           />
                         </div>
                       </div>
@@ -249,6 +283,16 @@ const SavedOutfits = ({ onNavigate }) => {
                     <Eye className="w-4 h-4" />
                     View Details
                   </Button>
+                  <Button
+                    variant={wasOutfitWornOn(wearLog, outfit.id) ? 'default' : 'outline'}
+                    size="sm"
+                    onClick={() => handleWoreToday(outfit)}
+                    disabled={wasOutfitWornOn(wearLog, outfit.id)}
+                    title={wasOutfitWornOn(wearLog, outfit.id) ? 'Worn today' : 'Wore this today'}
+                    aria-label="Wore this today"
+                  >
+                    <CalendarCheck className="w-4 h-4" />
+                  </Button>
                   <Button 
                     variant="destructive"
                     size="sm"
@@ -269,7 +313,7 @@ const SavedOutfits = ({ onNavigate }) => {
             <DialogHeader>
               <DialogTitle className="flex items-center gap-2">
                 <Heart className="w-5 h-5" />
-                {selectedOutfit?.style === 'formal' ? 'Formal' : 'Casual'} Outfit Details
+                {selectedOutfit && getOccasion(selectedOutfit.style).label} Outfit Details
               </DialogTitle>
             </DialogHeader>
             
@@ -282,7 +326,7 @@ const SavedOutfits = ({ onNavigate }) => {
                       <div className="aspect-square rounded-lg overflow-hidden bg-muted">
                         <img
                           src={item.dataUrl}
-                          alt={`${item.category} item`}
+                          alt={getItemName(item)}
                           className="w-full h-full object-cover"
                         />
                       </div>
@@ -295,8 +339,8 @@ const SavedOutfits = ({ onNavigate }) => {
                             className="w-4 h-4 rounded-full border border-border"
                             style={{ backgroundColor: item.dominantColorHex }}
                           />
-                          <span className="text-sm font-mono">
-                            {item.dominantColorHex}
+                          <span className="text-sm capitalize">
+                            {getItemColorName(item).name}
                           </span>
                         </div>
                       </div>
@@ -318,6 +362,7 @@ const SavedOutfits = ({ onNavigate }) => {
                           style={{ backgroundColor: item.dominantColorHex }}
                         />
                         <div className="text-xs">
+                          <p className="font-medium capitalize">{getItemColorName(item).name}</p>
                           <p className="font-mono">{item.dominantColorHex}</p>
                           <p className="text-muted-foreground">
                             HSL({item.hsl[0]}°, {item.hsl[1]}%, {item.hsl[2]}%)
@@ -336,21 +381,27 @@ const SavedOutfits = ({ onNavigate }) => {
                       {selectedOutfit.explanation}
                     </p>
                   </div>
+                  <ScoreBreakdown
+                    breakdown={selectedOutfit.breakdown}
+                    rawScore={selectedOutfit.rawScore}
+                    score={selectedOutfit.score}
+                    className="mt-3"
+                  />
                 </div>
 
                 {/* Outfit Metadata */}
                 <div className="grid grid-cols-2 gap-4 text-sm">
                   <div>
-                    <h4 className="font-medium mb-1">Style Type</h4>
-                    <Badge variant={selectedOutfit.style === 'formal' ? 'default' : 'secondary'}>
-                      {selectedOutfit.style === 'formal' ? 'Formal' : 'Casual'}
+                    <h4 className="font-medium mb-1">Occasion</h4>
+                    <Badge variant={isFormalOccasion(getOccasion(selectedOutfit.style)) ? 'default' : 'secondary'}>
+                      {getOccasion(selectedOutfit.style).label}
                     </Badge>
                   </div>
                   
                   <div>
                     <h4 className="font-medium mb-1">Harmony Score</h4>
                     <span className="text-primary font-semibold">
-                      {selectedOutfit.score?.toFixed(1) || 'N/A'} / 10
+                      {selectedOutfit.score !== undefined ? `${selectedOutfit.score.toFixed(1)} / 10` : 'N/A'}
                     </span>
                   </div>
                   
@@ -359,14 +410,34 @@ const SavedOutfits = ({ onNavigate }) => {
                     <span>{selectedOutfit.items.length} pieces</span>
                   </div>
                   
+                  {selectedOutfit.details?.scheme && (
+                    <div>
+                      <h4 className="font-medium mb-1">Color Scheme</h4>
+                      <span>{COLOR_SCHEMES[selectedOutfit.details.scheme].label}</span>
+                    </div>
+                  )}
+                  
                   <div>
                     <h4 className="font-medium mb-1">Saved Date</h4>
                     <span>{formatDate(selectedOutfit.savedAt || selectedOutfit.timestamp)}</span>
                   </div>
+                  
+                  <div>
+                    <h4 className="font-medium mb-1">Times Worn</h4>
+                    <span>{countOutfitWears(wearLog, selectedOutfit.id)}</span>
+                  </div>
                 </div>
 
                 {/* Actions */}
                 <div className="flex gap-2 pt-4 border-t">
+                  <Button
+                    onClick={() => handleWoreToday(selectedOutfit)}
+                    disabled={wasOutfitWornOn(wearLog, selectedOutfit.id)}
+                    className="flex-1 flex items-center gap-2"
+                  >
+                    <CalendarCheck className="w-4 h-4" />
+                    {wasOutfitWornOn(wearLog, selectedOutfit.id) ? 'Worn today' : 'Wore this today'}
+                  </Button>
                   <Button 
                     variant="destructive" 
                     onClick={() => handleDeleteOutfit(selectedOutfit.id)}
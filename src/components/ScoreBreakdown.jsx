@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { Collapsible, CollapsibleTrigger, CollapsibleContent } from '@/components/ui/collapsible';
+import { ChevronDown } from 'lucide-react';
+import { cn } from '@/lib/utils';
+
+/**
+ * Signed points, e.g. "+1.5" or "−0.5"
+ * @param {number} points - Points contributed
+ * @returns {string}
+ */
+const formatPoints = (points) => `${points >= 0 ? '+' : '−'}${Math.abs(points).toFixed(2).replace(/\.?0+$/, '')}`;
+
+/**
+ * Expandable "Why this score" panel: the points each rule contributed, with
+ * the pair rule broken down into every pair of pieces
+ * @param {Object} props - Component props
+ * @param {Object[]} props.breakdown - Breakdown returned by scoreOutfitCombination
+ * @param {number} props.rawScore - Sum of the rule points
+ * @param {number} props.score - Score on the 0–10 scale
+ * @param {string} props.className - Additional classes for the panel
+ */
+const ScoreBreakdown = ({ breakdown, rawScore, score, className }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!breakdown?.length) return null;
+
+  return (
+    <Collapsible open={isOpen} onOpenChange={setIsOpen} className={className}>
+      <CollapsibleTrigger className="flex w-full items-center justify-between text-sm font-medium">
+        Why this score
+        <ChevronDown className={cn('w-4 h-4 transition-transform', isOpen && 'rotate-180')} />
+      </CollapsibleTrigger>
+      <CollapsibleContent className="mt-2 space-y-1 text-sm">
+        {breakdown.map((entry) => (
+          <div key={`${entry.rule}-${entry.label}`}>
+            <div className="flex justify-between gap-4">
+              <span className="text-muted-foreground">{entry.label}</span>
+              <span className={cn('font-mono', entry.points < 0 ? 'text-destructive' : 'text-success')}>
+                {formatPoints(entry.points)}
+              </span>
+            </div>
+            {entry.pairs && (
+              <ul className="ml-3 mt-1 mb-2 space-y-1 border-l border-border pl-3 text-xs">
+                {entry.pairs.map((pair) => (
+                  <li key={pair.itemIds.join('-')} className="flex justify-between gap-4">
+                    <span className="text-muted-foreground">
+                      <span className="capitalize">{pair.label}</span>
+                      {pair.notes.length > 0 && ` — ${pair.notes.join(', ')}`}
+                    </span>
+                    <span className="font-mono">{formatPoints(pair.points)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+        <div className="flex justify-between gap-4 border-t border-border pt-1 font-medium">
+          <span>Total {formatPoints(rawScore)} points</span>
+          <span>{score.toFixed(1)} / 10</span>
+        </div>
+      </CollapsibleContent>
+    </Collapsible>
+  );
+};
+
+export default ScoreBreakdown;
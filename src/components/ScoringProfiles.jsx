@@ -0,0 +1,475 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Slider } from '@/components/ui/slider';
+import { ArrowLeft, Copy, RotateCcw, Save, Trash2, Check, SlidersHorizontal, ArrowUp, ArrowDown, ThumbsUp } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import {
+  loadWardrobeItems,
+  groupItemsByCategory,
+  loadAppSettings,
+  saveAppSettings,
+  loadOutfitFeedback,
+  clearOutfitFeedback
+} from '../utils/storage.js';
+import { rankOutfitCombinations, COLOR_SCHEMES } from '../utils/colorMatching.js';
+import {
+  DEFAULT_PROFILE_ID,
+  DEFAULT_SCORING_WEIGHTS,
+  SCORING_PARAMETER_GROUPS,
+  SCHEME_SCORE_RANGE,
+  getScoringProfiles,
+  getActiveScoringProfile,
+  duplicateScoringProfile,
+  upsertScoringProfile,
+  removeScoringProfile
+} from '../utils/scoringProfiles.js';
+import { getItemThumbnail } from '../utils/imageIngest.js';
+import { OCCASIONS } from '../utils/occasions.js';
+import { getCategoryRegistry } from '../utils/categories.js';
+import { MIN_FEEDBACK, FULL_CONFIDENCE_FEEDBACK, trainPreferenceModel, describePreferences } from '../utils/preferenceModel.js';
+
+// Number of top outfits compared in the live preview
+const PREVIEW_COUNT = 5;
+
+// Delay before the preview re-ranks after a change, so dragging a slider stays smooth
+const PREVIEW_DELAY_MS = 300;
+
+/**
+ * Editor for named scoring profiles: the weights and thresholds of the color
+ * harmony rules, with a live preview of how the top suggestions re-rank
+ * @param {Object} props - Component props
+ * @param {Function} props.onNavigate - Navigation handler
+ */
+const ScoringProfiles = ({ onNavigate }) => {
+  const [settings, setSettings] = useState(() => loadAppSettings());
+  const [draft, setDraft] = useState(() => structuredClone(getActiveScoringProfile(loadAppSettings())));
+  const [previewOccasion, setPreviewOccasion] = useState('casual');
+  const [preview, setPreview] = useState({ saved: [], draft: [] });
+  const [wardrobeItems] = useState(() => loadWardrobeItems());
+  const [feedback, setFeedback] = useState(() => loadOutfitFeedback());
+  const preferenceModel = useMemo(() => trainPreferenceModel(feedback), [feedback]);
+  const likeCount = feedback.filter(entry => entry.liked).length;
+  const { toast } = useToast();
+
+  const profiles = useMemo(() => getScoringProfiles(settings), [settings]);
+  const savedProfile = profiles.find(profile => profile.id === draft.id) || profiles[0];
+  const isBuiltIn = draft.id === DEFAULT_PROFILE_ID;
+  const isActive = getActiveScoringProfile(settings).id === draft.id;
+  const isDirty = JSON.stringify(savedProfile) !== JSON.stringify(draft);
+
+  useEffect(() => {
+    if (wardrobeItems.length < 2) return;
+
+    const timer = setTimeout(() => {
+      const wardrobe = groupItemsByCategory(wardrobeItems);
+      const occasion = OCCASIONS[previewOccasion];
+      const personalColor = settings.personalColor?.subSeason;
+      const categories = getCategoryRegistry(settings);
+      setPreview({
+        saved: rankOutfitCombinations(wardrobe, occasion, { limit: PREVIEW_COUNT, weights: savedProfile.weights, personalColor, preferenceModel, categories }),
+        draft: rankOutfitCombinations(wardrobe, occasion, { limit: PREVIEW_COUNT, weights: draft.weights, personalColor, preferenceModel, categories })
+      });
+    }, PREVIEW_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [draft, savedProfile, previewOccasion, wardrobeItems, settings, preferenceModel]);
+
+  /**
+   * Persist settings and keep the editor in sync
+   * @param {Object} updated - New app settings
+   */
+  const updateSettings = (updated) => {
+    saveAppSettings(updated);
+    setSettings(updated);
+  };
+
+  /**
+   * Open a profile in the editor, dropping unsaved changes
+   * @param {Object} profile - Profile to edit
+   */
+  const handleSelectProfile = (profile) => {
+    setDraft(structuredClone(profile));
+  };
+
+  /**
+   * Change one weight or threshold of the draft
+   * @param {string} key - Weight key
+   * @param {number} value - New value
+   */
+  const handleWeightChange = (key, value) => {
+    setDraft(current => ({ ...current, weights: { ...current.weights, [key]: value } }));
+  };
+
+  /**
+   * Change the casual or formal score of one color scheme in the draft
+   * @param {string} scheme - Key of COLOR_SCHEMES
+   * @param {'casual'|'formal'} style - Which score to change
+   * @param {string} input - Value typed into the field
+   */
+  const handleSchemeScoreChange = (scheme, style, input) => {
+    const value = Number(input);
+    if (input === '' || Number.isNaN(value)) return;
+
+    setDraft(current => ({
+      ...current,
+      weights: {
+        ...current.weights,
+        schemeScores: {
+          ...current.weights.schemeScores,
+          [scheme]: { ...current.weights.schemeScores[scheme], [style]: value }
+        }
+      }
+    }));
+  };
+
+  const handleSave = () => {
+    const name = draft.name.trim();
+    if (!name) {
+      toast({
+        title: "Name required",
+        description: "Give the profile a name before saving",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    const profile = { ...draft, name };
+    updateSettings(upsertScoringProfile(settings, profile));
+    setDraft(profile);
+    toast({
+      title: "Profile saved",
+      description: `"${name}" has been updated`,
+    });
+  };
+
+  const handleDuplicate = () => {
+    const copy = duplicateScoringProfile(draft, profiles);
+    updateSettings(upsertScoringProfile(settings, copy));
+    setDraft(copy);
+    toast({
+      title: "Profile duplicated",
+      description: `Editing "${copy.name}"`,
+    });
+  };
+
+  /**
+   * Put the default weights back into the draft; saving makes it permanent
+   */
+  const handleReset = () => {
+    setDraft(current => ({ ...current, weights: structuredClone(DEFAULT_SCORING_WEIGHTS) }));
+  };
+
+  const handleDelete = () => {
+    updateSettings(removeScoringProfile(settings, draft.id));
+    setDraft(structuredClone(profiles[0]));
+    toast({
+      title: "Profile deleted",
+      description: `"${savedProfile.name}" has been removed`,
+    });
+  };
+
+  const handleActivate = () => {
+    updateSettings({ ...settings, activeScoringProfileId: draft.id });
+    toast({
+      title: "Profile in use",
+      description: `Suggestions are now scored with "${savedProfile.name}"`,
+    });
+  };
+
+  /**
+   * Forget all ratings so suggestions follow the rules alone again
+   */
+  const handleResetPreferences = () => {
+    clearOutfitFeedback();
+    setFeedback([]);
+    toast({
+      title: "Learned preferences reset",
+      description: "Your likes and dislikes have been cleared",
+    });
+  };
+
+  /**
+   * Rank change of an outfit between the saved and the edited profile
+   * @param {string} key - Combination key
+   * @param {number} index - Rank with the edited profile
+   * @returns {number|null} Places moved up (negative = down), or null if new to the top list
+   */
+  const getRankChange = (key, index) => {
+    const savedIndex = preview.saved.findIndex(combination => combination.key === key);
+    return savedIndex < 0 ? null : savedIndex - index;
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background via-accent/5 to-primary/5 py-8">
+      <div className="container mx-auto px-4">
+        {/* Header */}
+        <div className="flex items-center gap-4 mb-8">
+          <Button
+            variant="outline"
+            onClick={() => onNavigate('dashboard')}
+            className="flex items-center gap-2"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Back to Dashboard
+          </Button>
+
+          <div className="flex-1">
+            <h1 className="text-3xl font-bold text-foreground">Scoring Profiles</h1>
+            <p className="text-muted-foreground">
+              Tune the weights and thresholds of the color harmony rules
+            </p>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {/* Profile List */}
+          <Card className="lg:col-span-1 h-fit">
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <SlidersHorizontal className="w-5 h-5" />
+                Profiles
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-2">
+              {profiles.map((profile) => (
+                <Button
+                  key={profile.id}
+                  variant={profile.id === draft.id ? 'default' : 'outline'}
+                  onClick={() => handleSelectProfile(profile)}
+                  className="w-full justify-between"
+                >
+                  <span className="truncate">{profile.name}</span>
+                  {getActiveScoringProfile(settings).id === profile.id && (
+                    <Badge variant="secondary" className="text-xs">In use</Badge>
+                  )}
+                </Button>
+              ))}
+              <p className="text-xs text-muted-foreground pt-2">
+                The built-in Standard profile cannot be changed. Duplicate it to create your own.
+              </p>
+            </CardContent>
+          </Card>
+
+          {/* Editor */}
+          <div className="lg:col-span-2 space-y-8">
+            <Card>
+              <CardContent className="p-6 space-y-4">
+                <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+                  <Input
+                    value={draft.name}
+                    onChange={(event) => setDraft(current => ({ ...current, name: event.target.value }))}
+                    disabled={isBuiltIn}
+                    aria-label="Profile name"
+                    className="sm:max-w-xs"
+                  />
+                  {isDirty && <Badge variant="outline">Unsaved changes</Badge>}
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <Button onClick={handleSave} disabled={isBuiltIn || !isDirty} className="flex items-center gap-2">
+                    <Save className="w-4 h-4" />
+                    Save
+                  </Button>
+                  <Button variant="outline" onClick={handleDuplicate} className="flex items-center gap-2">
+                    <Copy className="w-4 h-4" />
+                    Duplicate
+                  </Button>
+                  <Button variant="outline" onClick={handleReset} disabled={isBuiltIn} className="flex items-center gap-2">
+                    <RotateCcw className="w-4 h-4" />
+                    Reset to Defaults
+                  </Button>
+                  <Button
+                    variant="outline"
+                    onClick={handleActivate}
+                    disabled={isActive || isDirty}
+                    className="flex items-center gap-2"
+                  >
+                    <Check className="w-4 h-4" />
+                    {isActive ? 'In Use' : 'Use for Suggestions'}
+                  </Button>
+                  <Button
+                    variant="outline"
+                    onClick={handleDelete}
+                    disabled={isBuiltIn}
+                    className="flex items-center gap-2 text-destructive"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                    Delete
+                  </Button>
+                </div>
+              </CardContent>
+            </Card>
+
+            {/* Live Preview */}
+            <Card>
+              <CardHeader>
+                <CardTitle>Preview</CardTitle>
+                <div className="flex flex-wrap gap-2 pt-2">
+                  {Object.values(OCCASIONS).map((occasion) => (
+                    <Button
+                      key={occasion.id}
+                      size="sm"
+                      variant={previewOccasion === occasion.id ? 'default' : 'outline'}
+                      onClick={() => setPreviewOccasion(occasion.id)}
+                    >
+                      {occasion.label}
+                    </Button>
+                  ))}
+                </div>
+              </CardHeader>
+              <CardContent>
+                {wardrobeItems.length < 2 ? (
+                  <p className="text-sm text-muted-foreground">
+                    Upload at least 2 items to preview how this profile ranks your outfits.
+                  </p>
+                ) : (
+                  <div className="space-y-3">
+                    <p className="text-sm text-muted-foreground">
+                      Top {PREVIEW_COUNT} {OCCASIONS[previewOccasion].label.toLowerCase()} outfits with your edits, compared with the saved profile.
+                    </p>
+                    {preview.draft.map((combination, index) => {
+                      const change = getRankChange(combination.key, index);
+                      return (
+                        <div key={combination.key} className="flex items-center gap-3 p-2 rounded-lg bg-muted/40">
+                          <span className="w-6 text-sm font-medium text-center">{index + 1}</span>
+                          <div className="flex gap-1">
+                            {combination.items.map((item) => (
+                              <img
+                                key={item.id}
+                                src={getItemThumbnail(item)}
+                                alt={`${item.category} item`}
+                                className="w-10 h-10 rounded object-cover"
+                              />
+                            ))}
+                          </div>
+                          <div className="flex-1" />
+                          {change === null && <Badge variant="secondary">New</Badge>}
+                          {change > 0 && (
+                            <span className="flex items-center text-xs text-success">
+                              <ArrowUp className="w-3 h-3" />{change}
+                            </span>
+                          )}
+                          {change < 0 && (
+                            <span className="flex items-center text-xs text-destructive">
+                              <ArrowDown className="w-3 h-3" />{-change}
+                            </span>
+                          )}
+                          <Badge variant="outline">{combination.scoring.score.toFixed(1)}</Badge>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            {/* Learned Preferences */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <ThumbsUp className="w-5 h-5" />
+                  Learned Preferences
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3 text-sm">
+                <p className="text-muted-foreground">
+                  {feedback.length} rated outfit{feedback.length !== 1 ? 's' : ''}: {likeCount} up, {feedback.length - likeCount} down.
+                  {!preferenceModel && ` Rate at least ${MIN_FEEDBACK} outfits, some up and some down, to personalize suggestions.`}
+                </p>
+                {preferenceModel && (
+                  <p>
+                    {describePreferences(preferenceModel).length > 0
+                      ? `You tend to like ${describePreferences(preferenceModel).join(', ')}.`
+                      : 'No clear preference yet.'}
+                    {preferenceModel.confidence < 1 && (
+                      <span className="text-muted-foreground">
+                        {' '}Counts at {Math.round(preferenceModel.confidence * 100)}% strength until you have rated {FULL_CONFIDENCE_FEEDBACK} outfits.
+                      </span>
+                    )}
+                  </p>
+                )}
+                <Button
+                  variant="outline"
+                  onClick={handleResetPreferences}
+                  disabled={feedback.length === 0}
+                  className="flex items-center gap-2"
+                >
+                  <RotateCcw className="w-4 h-4" />
+                  Reset Learned Preferences
+                </Button>
+              </CardContent>
+            </Card>
+
+            {/* Rule Weights */}
+            {SCORING_PARAMETER_GROUPS.map((group) => (
+              <Card key={group.label}>
+                <CardHeader>
+                  <CardTitle className="text-lg">{group.label}</CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-5">
+                  {group.parameters.map((parameter) => (
+                    <div key={parameter.key}>
+                      <div className="flex items-center justify-between mb-2 text-sm">
+                        <span>{parameter.label}</span>
+                        <span className="font-mono text-muted-foreground">
+                          {draft.weights[parameter.key]}
+                          {draft.weights[parameter.key] !== DEFAULT_SCORING_WEIGHTS[parameter.key] &&
+                            ` (default ${DEFAULT_SCORING_WEIGHTS[parameter.key]})`}
+                        </span>
+                      </div>
+                      <Slider
+                        value={[draft.weights[parameter.key]]}
+                        min={parameter.min}
+                        max={parameter.max}
+                        step={parameter.step}
+                        onValueChange={([value]) => handleWeightChange(parameter.key, value)}
+                        disabled={isBuiltIn}
+                      />
+                    </div>
+                  ))}
+                </CardContent>
+              </Card>
+            ))}
+
+            {/* Scheme Scores */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-lg">Color Scheme Scores</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="grid grid-cols-[1fr_auto_auto] gap-x-4 gap-y-2 items-center text-sm">
+                  <span className="font-medium">Scheme</span>
+                  <span className="font-medium w-20">Casual</span>
+                  <span className="font-medium w-20">Formal</span>
+                  {Object.entries(COLOR_SCHEMES).map(([key, scheme]) => (
+                    <React.Fragment key={key}>
+                      <span>{scheme.label}</span>
+                      {['casual', 'formal'].map((style) => (
+                        <Input
+                          key={style}
+                          type="number"
+                          min={SCHEME_SCORE_RANGE.min}
+                          max={SCHEME_SCORE_RANGE.max}
+                          step={SCHEME_SCORE_RANGE.step}
+                          value={draft.weights.schemeScores[key][style]}
+                          onChange={(event) => handleSchemeScoreChange(key, style, event.target.value)}
+                          disabled={isBuiltIn}
+                          aria-label={`${scheme.label} ${style} score`}
+                          className="w-20"
+                        />
+                      ))}
+                    </React.Fragment>
+                  ))}
+                </div>
+              </CardContent>
+            </Card>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScoringProfiles;
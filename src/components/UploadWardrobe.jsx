@@ -1,11 +1,60 @@
-import React, { useState, useRef, useCallback } from 'react';
+import React, { useState, useRef, useCallback, useEffect, useMemo } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
-import { ArrowLeft, Upload, X, Image as ImageIcon } from 'lucide-react';
+import { ArrowLeft, Upload, X, Image as ImageIcon, SunMedium, HardDrive, Sparkles, Tags } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
-import { extractDominantColor } from '../utils/colorExtraction.js';
-import { addWardrobeItem, loadWardrobeItems, deleteWardrobeItem } from '../utils/storage.js';
+import { getItemColorName } from '../utils/colorNaming.js';
+import { createImageProcessingPool } from '../utils/imageProcessingPool.js';
+import { getItemAnalysisFields, reanalyzeItem } from '../utils/imageAnalysis.js';
+import { WHITE_BALANCE_METHODS } from '../utils/whiteBalance.js';
+import { MAX_DIMENSION_OPTIONS, QUALITY_OPTIONS, compressItemImage, getItemThumbnail } from '../utils/imageIngest.js';
+import { suggestCategory } from '../utils/categorySuggestion.js';
+import { createItemDetails } from '../utils/itemDetails.js';
+import { getCategoryRegistry, getCategoryKey } from '../utils/categories.js';
+import PaletteStrip from './PaletteStrip.jsx';
+import WhiteBalancePreview from './WhiteBalancePreview.jsx';
+import CategoryManager from './CategoryManager.jsx';
+import {
+  addWardrobeItem,
+  loadWardrobeItems,
+  deleteWardrobeItem,
+  updateWardrobeItem,
+  loadAppSettings,
+  saveAppSettings,
+  getStorageUsage
+} from '../utils/storage.js';
+
+// White-balance methods that run automatically on upload
+const AUTO_WHITE_BALANCE_METHODS = ['none', 'gray-world', 'white-patch'];
+
+// Placeholder and file-input key for bulk imports awaiting review
+const REVIEW_KEY = 'review';
+
+// How each category suggestion was made
+const SUGGESTION_SOURCES = {
+  filename: 'from file name',
+  default: 'no clear match'
+};
+
+/**
+ * Build a wardrobe item from a processed photo
+ * @param {string} fileName - Original file name
+ * @param {Object} analysis - Result from the image processing pool
+ * @param {Object} category - Category definition from the registry
+ * @returns {Object} Wardrobe item
+ */
+const createItemFromAnalysis = (fileName, analysis, category) => ({
+  id: `item-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+  category: category.label,
+  subcategory: null,
+  fileName,
+  dataUrl: analysis.dataUrl,
+  thumbnailUrl: analysis.thumbnailUrl,
+  ...getItemAnalysisFields(analysis),
+  ...createItemDetails(),
+  addedAt: Date.now()
+});
 
 /**
  * Upload wardrobe component for managing clothing items
@@ -14,103 +63,288 @@ import { addWardrobeItem, loadWardrobeItems, deleteWardrobeItem } from '../utils
  */
 const UploadWardrobe = ({ onNavigate }) => {
   const [wardrobeItems, setWardrobeItems] = useState(() => loadWardrobeItems());
-  const [isUploading, setIsUploading] = useState(false);
+  const [processingFiles, setProcessingFiles] = useState([]);
+  const [whiteBalanceMethod, setWhiteBalanceMethod] = useState(() => loadAppSettings().whiteBalance);
+  const [previewItemId, setPreviewItemId] = useState(null);
+  const [isApplyingReference, setIsApplyingReference] = useState(false);
+  const [imageIngest, setImageIngest] = useState(() => loadAppSettings().imageIngest);
+  const [isCompressing, setIsCompressing] = useState(false);
+  const [reviewQueue, setReviewQueue] = useState([]);
   const fileInputRefs = useRef({});
+  const processingPoolRef = useRef(null);
   const { toast } = useToast();
 
-  const categories = [
-    { key: 'tops', label: 'Tops', description: 'Shirts, t-shirts, blouses, sweaters' },
-    { key: 'bottoms', label: 'Bottoms', description: 'Pants, jeans, skirts, shorts' },
-    { key: 'footwear', label: 'Footwear', description: 'Shoes, boots, sneakers, sandals' },
-    { key: 'accessories', label: 'Accessories', description: 'Ties, belts, scarves, jewelry' }
-  ];
+  const [categoryRegistry, setCategoryRegistry] = useState(() => getCategoryRegistry(loadAppSettings()));
+  const [isCategoryManagerOpen, setIsCategoryManagerOpen] = useState(false);
+
+  const categories = Object.values(categoryRegistry);
+
+  // Stop background image workers when leaving the page
+  useEffect(() => {
+    return () => processingPoolRef.current?.terminate();
+  }, []);
+
+  /**
+   * Keep only image files, warning about anything else
+   */
+  const filterImageFiles = useCallback((files) => {
+    return Array.from(files).filter((file) => {
+      if (file.type.startsWith('image/')) return true;
+      toast({
+        title: "Invalid file type",
+        description: `${file.name} is not an image file`,
+        variant: "destructive"
+      });
+      return false;
+    });
+  }, [toast]);
+
+  /**
+   * Analyze files concurrently in background workers. Each file shows a
+   * placeholder in the given grid until its own analysis settles.
+   * @param {File[]} imageFiles - Image files to analyze
+   * @param {string} placeholderKey - Category key, or REVIEW_KEY for bulk imports
+   * @param {Function} handleResult - Called with (file, analysis) as each file finishes
+   * @returns {Promise<Object[]>} Settled results of handleResult
+   */
+  const processFiles = useCallback((imageFiles, placeholderKey, handleResult) => {
+    if (!processingPoolRef.current) {
+      processingPoolRef.current = createImageProcessingPool();
+    }
+    const pool = processingPoolRef.current;
+
+    const jobs = imageFiles.map(file => ({
+      id: `processing-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      file
+    }));
+    setProcessingFiles(prev => [
+      ...prev,
+      ...jobs.map(job => ({ id: job.id, fileName: job.file.name, category: placeholderKey }))
+    ]);
+
+    return Promise.allSettled(jobs.map(async (job) => {
+      try {
+        const analysis = await pool.process(job.file, {
+          whiteBalance: { method: whiteBalanceMethod },
+          ingest: imageIngest
+        });
+        return handleResult(job.file, analysis);
+      } catch (error) {
+        console.error(`Processing ${job.file.name} failed:`, error);
+        throw error;
+      } finally {
+        setProcessingFiles(prev => prev.filter(entry => entry.id !== job.id));
+      }
+    }));
+  }, [whiteBalanceMethod, imageIngest]);
+
+  /**
+   * Report how many items were added, failed to process, or did not fit in storage
+   */
+  const reportUploadResults = useCallback(({ addedCount, failedCount, unsavedCount, destination }) => {
+    if (addedCount > 0) {
+      toast({
+        title: "Upload successful",
+        description: `Added ${addedCount} item${addedCount > 1 ? 's' : ''} to ${destination}`,
+      });
+    }
+
+    if (failedCount > 0) {
+      toast({
+        title: "Upload failed",
+        description: `${failedCount} image${failedCount > 1 ? 's' : ''} could not be processed`,
+        variant: "destructive"
+      });
+    }
+
+    if (unsavedCount > 0) {
+      toast({
+        title: "Storage full",
+        description: `${unsavedCount} item${unsavedCount > 1 ? 's' : ''} could not be saved. Choose a smaller photo size or delete items to free space.`,
+        variant: "destructive"
+      });
+    }
+  }, [toast]);
 
   /**
-   * Handle file upload for a specific category
+   * Handle file upload for a specific category.
+   * Each item appears in the grid as soon as its own analysis finishes.
    */
   const handleFileUpload = useCallback(async (files, category) => {
     if (!files || files.length === 0) return;
 
-    setIsUploading(true);
-    const newItems = [];
+    const imageFiles = filterImageFiles(files);
 
-    try {
-      for (const file of Array.from(files)) {
-        if (!file.type.startsWith('image/')) {
-          toast({
-            title: "Invalid file type",
-            description: `${file.name} is not an image file`,
-            variant: "destructive"
-          });
-          continue;
-        }
-
-        // Create data URL for the image
-        const dataUrl = await new Promise((resolve) => {
-          const reader = new FileReader();
-          reader.onload = (e) => resolve(e.target.result);
-          reader.readAsDataURL(file);
-        });
+    // Reset file input so the same files can be picked again
+    if (fileInputRefs.current[category]) {
+      fileInputRefs.current[category].value = '';
+    }
 
-        // Create image element for color extraction
-        const img = new Image();
-        img.crossOrigin = 'anonymous';
-        
-        await new Promise((resolve, reject) => {
-          img.onload = async () => {
-            try {
-              const colorData = await extractDominantColor(img);
-              
-              const newItem = {
-                id: `item-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-                category: category.charAt(0).toUpperCase() + category.slice(1),
-                fileName: file.name,
-                dataUrl,
-                dominantColorHex: colorData.hex,
-                rgb: colorData.rgb,
-                hsl: colorData.hsl,
-                addedAt: Date.now()
-              };
-              
-              const savedItem = addWardrobeItem(newItem);
-              if (savedItem) {
-                newItems.push(savedItem);
-              }
-              
-              resolve();
-            } catch (error) {
-              console.error('Color extraction failed:', error);
-              reject(error);
-            }
-          };
-          
-          img.onerror = reject;
-          img.src = dataUrl;
-        });
+    if (imageFiles.length === 0) return;
+
+    let unsavedCount = 0;
+    const results = await processFiles(imageFiles, category, (file, analysis) => {
+      const savedItem = addWardrobeItem(createItemFromAnalysis(file.name, analysis, categoryRegistry[category]));
+      if (!savedItem) {
+        unsavedCount++;
+        throw new Error('Failed to save wardrobe item');
       }
+      setWardrobeItems(prev => [...prev, savedItem]);
+      setPreviewItemId(savedItem.id);
+      return savedItem;
+    });
 
-      if (newItems.length > 0) {
-        setWardrobeItems(prev => [...prev, ...newItems]);
-        toast({
-          title: "Upload successful",
-          description: `Added ${newItems.length} item${newItems.length > 1 ? 's' : ''} to ${category}`,
-        });
+    const addedCount = results.filter(result => result.status === 'fulfilled').length;
+    reportUploadResults({
+      addedCount,
+      failedCount: results.length - addedCount - unsavedCount,
+      unsavedCount,
+      destination: categoryRegistry[category].label.toLowerCase()
+    });
+  }, [filterImageFiles, processFiles, reportUploadResults, categoryRegistry]);
+
+  /**
+   * Handle a bulk import: every photo is analyzed and given a suggested
+   * category, then waits in the review list until the user confirms it
+   */
+  const handleBulkUpload = useCallback(async (files) => {
+    if (!files || files.length === 0) return;
+
+    const imageFiles = filterImageFiles(files);
+
+    if (fileInputRefs.current[REVIEW_KEY]) {
+      fileInputRefs.current[REVIEW_KEY].value = '';
+    }
+
+    if (imageFiles.length === 0) return;
+
+    const results = await processFiles(imageFiles, REVIEW_KEY, (file, analysis) => {
+      const suggestion = suggestCategory(file.name);
+      setReviewQueue(prev => [...prev, {
+        id: `review-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        fileName: file.name,
+        analysis,
+        suggestion,
+        category: suggestion.category
+      }]);
+    });
+
+    reportUploadResults({
+      addedCount: 0,
+      failedCount: results.filter(result => result.status === 'rejected').length,
+      unsavedCount: 0,
+      destination: ''
+    });
+  }, [filterImageFiles, processFiles, reportUploadResults]);
+
+  /**
+   * Correct the category of an item waiting for review
+   */
+  const handleReviewCategoryChange = (entryId, category) => {
+    setReviewQueue(prev => prev.map(entry => entry.id === entryId ? { ...entry, category } : entry));
+  };
+
+  /**
+   * Drop an item from the review list without saving it
+   */
+  const handleRemoveFromReview = (entryId) => {
+    setReviewQueue(prev => prev.filter(entry => entry.id !== entryId));
+  };
+
+  /**
+   * Save every reviewed item in its confirmed category. Items that do not fit
+   * in storage stay in the list so they can be saved after freeing space.
+   */
+  const handleConfirmReview = () => {
+    const savedItems = [];
+    const unsavedEntries = [];
+
+    reviewQueue.forEach((entry) => {
+      const savedItem = addWardrobeItem(createItemFromAnalysis(entry.fileName, entry.analysis, categoryRegistry[entry.category]));
+      if (savedItem) {
+        savedItems.push(savedItem);
+      } else {
+        unsavedEntries.push(entry);
       }
+    });
+
+    setWardrobeItems(prev => [...prev, ...savedItems]);
+    setReviewQueue(unsavedEntries);
+    reportUploadResults({
+      addedCount: savedItems.length,
+      failedCount: 0,
+      unsavedCount: unsavedEntries.length,
+      destination: 'your wardrobe'
+    });
+  };
+
+  /**
+   * Change how uploaded photos are resized and compressed
+   */
+  const handleImageIngestChange = (changes) => {
+    const updated = { ...imageIngest, ...changes };
+    setImageIngest(updated);
+    saveAppSettings({ ...loadAppSettings(), imageIngest: updated });
+  };
+
+  /**
+   * Compress photos stored at full resolution before ingest compression existed
+   */
+  const handleCompressStoredPhotos = async () => {
+    setIsCompressing(true);
+    let compressedCount = 0;
+
+    for (const item of wardrobeItems.filter(candidate => !candidate.thumbnailUrl)) {
+      try {
+        const updates = await compressItemImage(item, imageIngest);
+        setWardrobeItems(updateWardrobeItem(item.id, updates));
+        compressedCount++;
+      } catch (error) {
+        console.error(`Compressing ${item.fileName} failed:`, error);
+      }
+    }
+
+    setIsCompressing(false);
+    toast({
+      title: "Photos compressed",
+      description: `Compressed ${compressedCount} stored photo${compressedCount !== 1 ? 's' : ''}`,
+    });
+  };
+
+  /**
+   * Choose the white-balance method used for new uploads
+   */
+  const handleWhiteBalanceChange = (method) => {
+    setWhiteBalanceMethod(method);
+    saveAppSettings({ ...loadAppSettings(), whiteBalance: method });
+  };
+
+  /**
+   * Re-analyze the previewed item using a clicked neutral color as the white reference
+   */
+  const handlePickReference = async (rgb) => {
+    const item = wardrobeItems.find(candidate => candidate.id === previewItemId);
+    if (!item) return;
+
+    setIsApplyingReference(true);
+    try {
+      const updates = await reanalyzeItem(item, { whiteBalance: { method: 'reference', reference: rgb } });
+      setWardrobeItems(updateWardrobeItem(item.id, updates));
+      toast({
+        title: "White balance updated",
+        description: `Colors of ${item.fileName} were re-measured against the picked neutral`,
+      });
     } catch (error) {
-      console.error('Upload failed:', error);
+      console.error('Reference white balance failed:', error);
       toast({
-        title: "Upload failed",
-        description: "There was an error processing your images",
+        title: "White balance failed",
+        description: "The image could not be re-analyzed",
         variant: "destructive"
       });
     } finally {
-      setIsUploading(false);
-      // Reset file input
-      if (fileInputRefs.current[category]) {
-        fileInputRefs.current[category].value = '';
-      }
+      setIsApplyingReference(false);
     }
-  }, [toast]);
+  };
 
   /**
    * Handle item deletion
@@ -124,16 +358,29 @@ const UploadWardrobe = ({ onNavigate }) => {
     });
   }, [toast]);
 
+  const previewItem = wardrobeItems.find(item => item.id === previewItemId);
+  const uncompressedCount = wardrobeItems.filter(item => !item.thumbnailUrl).length;
+  const storageUsage = useMemo(() => getStorageUsage(), [wardrobeItems]);
+
   /**
    * Group items by category
    */
   const groupedItems = wardrobeItems.reduce((groups, item) => {
-    const category = item.category.toLowerCase();
+    const category = getCategoryKey(item);
     if (!groups[category]) groups[category] = [];
     groups[category].push(item);
     return groups;
   }, {});
 
+  /**
+   * Group files still being processed by category
+   */
+  const processingByCategory = processingFiles.reduce((groups, entry) => {
+    if (!groups[entry.category]) groups[entry.category] = [];
+    groups[entry.category].push(entry);
+    return groups;
+  }, {});
+
   /**
    * Handle drag and drop
    */
@@ -143,6 +390,11 @@ const UploadWardrobe = ({ onNavigate }) => {
     handleFileUpload(files, category);
   }, [handleFileUpload]);
 
+  const handleBulkDrop = useCallback((e) => {
+    e.preventDefault();
+    handleBulkUpload(e.dataTransfer.files);
+  }, [handleBulkUpload]);
+
   const handleDragOver = useCallback((e) => {
     e.preventDefault();
   }, []);
@@ -161,10 +413,251 @@ const UploadWardrobe = ({ onNavigate }) => {
             Back to Dashboard
           </Button>
           
-          <div>
+          <div className="flex-1">
             <h1 className="text-3xl font-bold text-foreground">Upload Wardrobe</h1>
             <p className="text-muted-foreground">Add clothing items with automatic color extraction</p>
           </div>
+          
+          <Button
+            variant="outline"
+            onClick={() => setIsCategoryManagerOpen(true)}
+            className="flex items-center gap-2"
+          >
+            <Tags className="w-4 h-4" />
+            Categories
+          </Button>
+          
+          {processingFiles.length > 0 && (
+            <Badge variant="secondary" className="flex items-center gap-2 px-3 py-1">
+              <div className="animate-spin w-3 h-3 border-2 border-primary border-t-transparent rounded-full" />
+              Processing {processingFiles.length} image{processingFiles.length > 1 ? 's' : ''}...
+            </Badge>
+          )}
+        </div>
+
+        {/* Quick Import */}
+        <Card className="wardrobe-card mb-8">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Sparkles className="w-5 h-5" />
+              Quick Import
+            </CardTitle>
+            <p className="text-sm text-muted-foreground">
+              Drop photos of any category; each one gets a suggested category you can review before saving
+            </p>
+          </CardHeader>
+          <CardContent>
+            <div
+              className="border-2 border-dashed border-border rounded-lg p-8 text-center hover:border-primary/50 transition-colors cursor-pointer"
+              onDrop={handleBulkDrop}
+              onDragOver={handleDragOver}
+              onClick={() => fileInputRefs.current[REVIEW_KEY]?.click()}
+            >
+              <Upload className="w-8 h-8 mx-auto mb-4 text-muted-foreground" />
+              <p className="text-sm text-muted-foreground mb-2">
+                Drop everything here or click to browse
+              </p>
+              <p className="text-xs text-muted-foreground">
+                Categories are guessed from keywords in file names; check each one before saving
+              </p>
+              
+              <input
+                ref={(el) => fileInputRefs.current[REVIEW_KEY] = el}
+                type="file"
+                multiple
+                accept="image/*"
+                className="hidden"
+                onChange={(e) => handleBulkUpload(e.target.files)}
+              />
+            </div>
+
+            {/* Review Suggested Categories */}
+            {(reviewQueue.length > 0 || processingByCategory[REVIEW_KEY]?.length > 0) && (
+              <div className="mt-6 space-y-4">
+                <h4 className="font-medium">
+                  Review {reviewQueue.length} item{reviewQueue.length !== 1 ? 's' : ''}
+                </h4>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                  {reviewQueue.map((entry) => (
+                    <div key={entry.id} className="flex gap-3 p-3 rounded-lg border border-border">
+                      <div className="relative w-20 h-20 flex-shrink-0 rounded-md overflow-hidden bg-muted">
+                        <img
+                          src={entry.analysis.thumbnailUrl}
+                          alt={entry.fileName}
+                          className="w-full h-full object-cover"
+                        />
+                        <div
+                          className="absolute bottom-1 left-1 w-4 h-4 rounded-full border-2 border-white shadow-sm"
+                          style={{ backgroundColor: entry.analysis.hex }}
+                        />
+                      </div>
+                      <div className="flex-1 min-w-0 space-y-2">
+                        <div className="flex items-start justify-between gap-2">
+                          <div className="min-w-0">
+                            <p className="text-sm font-medium truncate">{entry.fileName}</p>
+                            <p className="text-xs text-muted-foreground">
+                              Suggested {categories.find(category => category.key === entry.suggestion.category)?.label} · {SUGGESTION_SOURCES[entry.suggestion.source]}
+                              {entry.suggestion.source !== 'default' && ` · ${Math.round(entry.suggestion.confidence * 100)}%`}
+                            </p>
+                          </div>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            className="w-6 h-6 p-0 flex-shrink-0"
+                            onClick={() => handleRemoveFromReview(entry.id)}
+                          >
+                            <X className="w-3 h-3" />
+                          </Button>
+                        </div>
+                        <div className="flex flex-wrap gap-1">
+                          {categories.map((category) => (
+                            <Button
+                              key={category.key}
+                              size="sm"
+                              variant={entry.category === category.key ? "default" : "outline"}
+                              className="h-7 px-2 text-xs"
+                              onClick={() => handleReviewCategoryChange(entry.id, category.key)}
+                            >
+                              {category.label}
+                            </Button>
+                          ))}
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                  
+                  {(processingByCategory[REVIEW_KEY] || []).map((entry) => (
+                    <div key={entry.id} className="flex items-center gap-3 p-3 rounded-lg border border-border">
+                      <div className="w-20 h-20 flex-shrink-0 rounded-md bg-muted flex items-center justify-center">
+                        <div className="animate-spin w-6 h-6 border-2 border-primary border-t-transparent rounded-full" />
+                      </div>
+                      <span className="text-sm text-muted-foreground truncate">{entry.fileName}</span>
+                    </div>
+                  ))}
+                </div>
+                
+                {reviewQueue.length > 0 && (
+                  <div className="flex gap-2">
+                    <Button onClick={handleConfirmReview}>
+                      Save {reviewQueue.length} item{reviewQueue.length !== 1 ? 's' : ''}
+                    </Button>
+                    <Button variant="outline" onClick={() => setReviewQueue([])}>
+                      Discard All
+                    </Button>
+                  </div>
+                )}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-8 mb-8">
+          {/* Lighting Correction */}
+          <Card className="wardrobe-card">
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <SunMedium className="w-5 h-5" />
+                Lighting Correction
+              </CardTitle>
+              <p className="text-sm text-muted-foreground">
+                Neutralize warm or cool lighting before colors are measured
+              </p>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="flex flex-wrap gap-2">
+                {AUTO_WHITE_BALANCE_METHODS.map((method) => (
+                  <Button
+                    key={method}
+                    size="sm"
+                    variant={whiteBalanceMethod === method ? "default" : "outline"}
+                    onClick={() => handleWhiteBalanceChange(method)}
+                  >
+                    {WHITE_BALANCE_METHODS[method]}
+                  </Button>
+                ))}
+              </div>
+              
+              {previewItem ? (
+                <div className="max-w-md">
+                  <p className="text-sm font-medium mb-2 truncate">Preview: {previewItem.fileName}</p>
+                  <WhiteBalancePreview
+                    item={previewItem}
+                    onPickReference={isApplyingReference ? undefined : handlePickReference}
+                  />
+                  <p className="text-xs text-muted-foreground mt-2">
+                    Click a white or gray area of the "Before" photo to use it as the neutral reference
+                  </p>
+                </div>
+              ) : (
+                <p className="text-sm text-muted-foreground">
+                  Upload a photo, or click an uploaded item, to preview the correction
+                </p>
+              )}
+            </CardContent>
+          </Card>
+
+          {/* Photo Storage */}
+          <Card className="wardrobe-card">
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <HardDrive className="w-5 h-5" />
+                Photo Storage
+              </CardTitle>
+              <p className="text-sm text-muted-foreground">
+                Photos are resized and compressed before they are saved in your browser
+              </p>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div>
+                <h4 className="text-sm font-medium mb-2">Photo Size</h4>
+                <div className="flex flex-wrap gap-2">
+                  {MAX_DIMENSION_OPTIONS.map((option) => (
+                    <Button
+                      key={option.value}
+                      size="sm"
+                      variant={imageIngest.maxDimension === option.value ? "default" : "outline"}
+                      onClick={() => handleImageIngestChange({ maxDimension: option.value })}
+                    >
+                      {option.label}
+                    </Button>
+                  ))}
+                </div>
+              </div>
+              
+              <div>
+                <h4 className="text-sm font-medium mb-2">Quality</h4>
+                <div className="flex flex-wrap gap-2">
+                  {QUALITY_OPTIONS.map((option) => (
+                    <Button
+                      key={option.value}
+                      size="sm"
+                      variant={imageIngest.quality === option.value ? "default" : "outline"}
+                      onClick={() => handleImageIngestChange({ quality: option.value })}
+                    >
+                      {option.label}
+                    </Button>
+                  ))}
+                </div>
+              </div>
+              
+              <p className="text-sm text-muted-foreground">
+                Using about {(storageUsage / (1024 * 1024)).toFixed(1)} MB of browser storage
+              </p>
+              
+              {uncompressedCount > 0 && (
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={handleCompressStoredPhotos}
+                  disabled={isCompressing}
+                >
+                  {isCompressing
+                    ? 'Compressing...'
+                    : `Compress ${uncompressedCount} full-size photo${uncompressedCount > 1 ? 's' : ''}`}
+                </Button>
+              )}
+            </CardContent>
+          </Card>
         </div>
 
         {/* Upload Categories */}
@@ -208,30 +701,37 @@ const UploadWardrobe = ({ onNavigate }) => {
                 </div>
 
                 {/* Items Grid */}
-                {groupedItems[category.key] && groupedItems[category.key].length > 0 && (
+                {(groupedItems[category.key]?.length > 0 || processingByCategory[category.key]?.length > 0) && (
                   <div className="mt-6">
                     <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
-                      {groupedItems[category.key].map((item) => (
-                        <div key={item.id} className="relative group">
+                      {(groupedItems[category.key] || []).map((item) => (
+                        <div
+                          key={item.id}
+                          className="relative group cursor-pointer"
+                          onClick={() => setPreviewItemId(item.id)}
+                        >
                           <div className="aspect-square rounded-lg overflow-hidden bg-muted">
                             <img
-                              src={item.dataUrl}
+                              src={getItemThumbnail(item)}
                               alt={item.fileName}
                               className="w-full h-full object-cover"
                             />
                             
                             {/* Color Swatch Overlay */}
-                            <div className="absolute bottom-2 left-2 flex items-center gap-2">
+                            <div className="absolute bottom-4 left-2 flex items-center gap-2">
                               <div
                                 className="w-6 h-6 rounded-full border-2 border-white shadow-sm"
                                 style={{ backgroundColor: item.dominantColorHex }}
                                 title={item.dominantColorHex}
                               />
-                              <span className="text-xs text-white bg-black/50 px-2 py-1 rounded">
-                                {item.dominantColorHex}
+                              <span className="text-xs text-white bg-black/50 px-2 py-1 rounded capitalize">
+                                {getItemColorName(item).name}
                               </span>
                             </div>
                             
+                            {/* Palette Strip */}
+                            <PaletteStrip item={item} className="absolute bottom-0 inset-x-0 h-1.5 rounded-none" />
+                            
                             {/* Delete Button */}
                             <Button
                               variant="destructive"
@@ -247,6 +747,19 @@ const UploadWardrobe = ({ onNavigate }) => {
                           </div>
                         </div>
                       ))}
+                      
+                      {/* Images Still Processing */}
+                      {(processingByCategory[category.key] || []).map((entry) => (
+                        <div
+                          key={entry.id}
+                          className="aspect-square rounded-lg bg-muted flex flex-col items-center justify-center gap-2 p-2"
+                        >
+                          <div className="animate-spin w-6 h-6 border-2 border-primary border-t-transparent rounded-full" />
+                          <span className="text-xs text-muted-foreground truncate max-w-full">
+                            {entry.fileName}
+                          </span>
+                        </div>
+                      ))}
                     </div>
                   </div>
                 )}
@@ -282,16 +795,12 @@ const UploadWardrobe = ({ onNavigate }) => {
           </CardContent>
         </Card>
 
-        {isUploading && (
-          <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
-            <Card>
-              <CardContent className="p-8 text-center">
-                <div className="animate-spin w-8 h-8 border-4 border-primary border-t-transparent rounded-full mx-auto mb-4" />
-                <p>Processing images and extracting colors...</p>
-              </CardContent>
-            </Card>
-          </div>
-        )}
+        <CategoryManager
+          open={isCategoryManagerOpen}
+          onOpenChange={setIsCategoryManagerOpen}
+          items={wardrobeItems}
+          onChange={setCategoryRegistry}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react';
+import { loadImage, getImagePixels, createCanvas, canvasToDataUrl } from '../utils/colorExtraction.js';
+import { applyWhiteBalance, WHITE_BALANCE_METHODS } from '../utils/whiteBalance.js';
+import EyedropperImage from './EyedropperImage.jsx';
+
+// Longest side, in pixels, of the corrected preview image
+const PREVIEW_SIZE = 400;
+
+/**
+ * Side-by-side before/after preview of an item's white-balance correction.
+ * When onPickReference is given, clicking the "before" photo picks a neutral
+ * reference color for a manual correction.
+ * @param {Object} props - Component props
+ * @param {Object} props.item - Wardrobe item
+ * @param {Function} props.onPickReference - Called with the sampled neutral [r, g, b]
+ */
+const WhiteBalancePreview = ({ item, onPickReference }) => {
+  const [correctedUrl, setCorrectedUrl] = useState(null);
+  const gains = item.whiteBalance?.gains || [1, 1, 1];
+  const gainsKey = gains.join(',');
+
+  // Render the corrected image whenever the photo or the gains change
+  useEffect(() => {
+    let cancelled = false;
+
+    const renderCorrected = async () => {
+      const img = await loadImage(item.dataUrl);
+      const imageData = getImagePixels(img, PREVIEW_SIZE);
+      const corrected = applyWhiteBalance(imageData, gainsKey.split(',').map(Number));
+
+      const canvas = createCanvas(imageData.width, imageData.height);
+      canvas.getContext('2d').putImageData(new ImageData(corrected.data, imageData.width, imageData.height), 0, 0);
+      return canvasToDataUrl(canvas, 'image/jpeg', 0.85);
+    };
+
+    renderCorrected()
+      .then((url) => {
+        if (!cancelled) setCorrectedUrl(url);
+      })
+      .catch(error => console.error('Failed to render white-balance preview:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [item.dataUrl, gainsKey]);
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <p className="text-xs text-muted-foreground mb-1">Before</p>
+          <EyedropperImage
+            src={item.dataUrl}
+            alt={`${item.fileName} before correction`}
+            active={Boolean(onPickReference)}
+            onSample={onPickReference}
+            className="aspect-square rounded-lg bg-muted"
+          />
+        </div>
+        <div>
+          <p className="text-xs text-muted-foreground mb-1">After</p>
+          <div className="aspect-square rounded-lg overflow-hidden bg-muted">
+            {correctedUrl && (
+              <img src={correctedUrl} alt={`${item.fileName} after correction`} className="w-full h-full object-cover" />
+            )}
+          </div>
+        </div>
+      </div>
+      <p className="text-xs text-muted-foreground">
+        {WHITE_BALANCE_METHODS[item.whiteBalance?.method || 'none']} · gains R {gains[0]} G {gains[1]} B {gains[2]}
+      </p>
+    </div>
+  );
+};
+
+export default WhiteBalancePreview;
@@ -4,36 +4,53 @@ import UploadWardrobe from '../components/UploadWardrobe.jsx';
 import OutfitSuggestions from '../components/OutfitSuggestions.jsx';
 import MyWardrobe from '../components/MyWardrobe.jsx';
 import SavedOutfits from '../components/SavedOutfits.jsx';
+import ScoringProfiles from '../components/ScoringProfiles.jsx';
+import PersonalColor from '../components/PersonalColor.jsx';
+import { OCCASIONS } from '../utils/occasions.js';
 
 /**
  * Main app component with navigation between different views
  */
 const Index = () => {
   const [currentView, setCurrentView] = useState('dashboard');
+  const [viewOptions, setViewOptions] = useState<{ anchorIds?: string[] }>({});
 
   /**
    * Handle navigation between different views
    * @param {string} view - The view to navigate to
+   * @param {Object} options - View options, e.g. anchorIds for anchored outfit suggestions
    */
-  const handleNavigate = (view) => {
+  const handleNavigate = (view, options = {}) => {
     setCurrentView(view);
+    setViewOptions(options);
   };
 
   /**
    * Render the current view based on state
    */
   const renderCurrentView = () => {
+    if (OCCASIONS[currentView]) {
+      return (
+        <OutfitSuggestions
+          key={`${currentView}-${viewOptions.anchorIds?.join('-') || ''}`}
+          onNavigate={handleNavigate}
+          occasionId={currentView}
+          anchorIds={viewOptions.anchorIds}
+        />
+      );
+    }
+
     switch (currentView) {
       case 'upload':
         return <UploadWardrobe onNavigate={handleNavigate} />;
-      case 'casual':
-        return <OutfitSuggestions onNavigate={handleNavigate} isFormal={false} />;
-      case 'formal':
-        return <OutfitSuggestions onNavigate={handleNavigate} isFormal={true} />;
       case 'wardrobe':
         return <MyWardrobe onNavigate={handleNavigate} />;
       case 'saved':
         return <SavedOutfits onNavigate={handleNavigate} />;
+      case 'scoring':
+        return <ScoringProfiles onNavigate={handleNavigate} />;
+      case 'personal-color':
+        return <PersonalColor onNavigate={handleNavigate} />;
       case 'dashboard':
       default:
         return <Dashboard onNavigate={handleNavigate} />;
@@ -0,0 +1,91 @@
+/**
+ * Where an item can be. Only available items are used in outfit suggestions.
+ */
+export const AVAILABILITY_STATUSES = {
+  available: { label: 'Available' },
+  laundry: { label: 'In laundry' },
+  'dry-cleaning': { label: 'At dry cleaner' },
+  'lent-out': { label: 'Lent out' },
+  storage: { label: 'Off-season storage' }
+};
+
+/**
+ * Availability of an item. Items added before availability existed are available.
+ * @param {Object} item - Wardrobe item
+ * @returns {{status: string, returnDate: string|null}} Status (key of AVAILABILITY_STATUSES) and expected return date (YYYY-MM-DD)
+ */
+export const getItemAvailability = (item) => ({
+  status: 'available',
+  returnDate: null,
+  ...item.availability
+});
+
+/**
+ * Whether an item can be worn now
+ * @param {Object} item - Wardrobe item
+ * @returns {boolean}
+ */
+export const isItemAvailable = (item) => getItemAvailability(item).status === 'available';
+
+/**
+ * Validate an availability change
+ * @param {Object} availability - Raw status and return date
+ * @returns {{status: string, returnDate: string|null}} Clean availability; available items have no return date
+ * @throws {Error} If the status is unknown or the return date is not a valid date
+ */
+export const normalizeAvailability = ({ status, returnDate }) => {
+  if (!AVAILABILITY_STATUSES[status]) {
+    throw new Error(`Unknown availability "${status}"`);
+  }
+  if (status === 'available') {
+    return { status, returnDate: null };
+  }
+  if (returnDate && Number.isNaN(Date.parse(returnDate))) {
+    throw new Error('Return date is not a valid date');
+  }
+  return { status, returnDate: returnDate || null };
+};
+
+/**
+ * Whether an unavailable item was expected back before today
+ * @param {Object} item - Wardrobe item
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export const isReturnOverdue = (item, now = new Date()) => {
+  const { status, returnDate } = getItemAvailability(item);
+  if (status === 'available' || !returnDate) return false;
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return new Date(`${returnDate}T00:00`) < today;
+};
+
+/**
+ * Short description of where an unavailable item is and when it is due back
+ * @param {Object} item - Wardrobe item
+ * @param {Date} now - Current time
+ * @returns {string} e.g. "In laundry, back Oct 21" or "Lent out, overdue since Oct 2"; "Available" for available items
+ */
+export const describeAvailability = (item, now = new Date()) => {
+  const { status, returnDate } = getItemAvailability(item);
+  const { label } = AVAILABILITY_STATUSES[status] || AVAILABILITY_STATUSES.available;
+  if (status === 'available' || !returnDate) return label;
+
+  const date = new Date(`${returnDate}T00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  return isReturnOverdue(item, now) ? `${label}, overdue since ${date}` : `${label}, back ${date}`;
+};
+
+/**
+ * Remove items that cannot be worn now
+ * @param {Object} wardrobe - Wardrobe object with categorized items
+ * @param {Object[]} keep - Items to keep whatever their status, e.g. anchors the user picked
+ * @returns {Object} Wardrobe with the same categories
+ */
+export const filterAvailableWardrobe = (wardrobe, keep = []) => {
+  const keepIds = new Set(keep.map(item => item.id));
+  return Object.fromEntries(
+    Object.entries(wardrobe).map(([category, items]) => [
+      category,
+      items.filter(item => keepIds.has(item.id) || isItemAvailable(item))
+    ])
+  );
+};
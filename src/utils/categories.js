@@ -0,0 +1,259 @@
+/**
+ * Layers worn on the upper body, innermost first
+ */
+export const LAYERS = {
+  base: { label: 'Base layer' },
+  mid: { label: 'Mid-layer' },
+  outer: { label: 'Outer layer' }
+};
+
+/**
+ * Outfit slots, in the order the outfit generator fills them. Every category
+ * fills one or more slots, and an outfit holds at most one piece per slot.
+ * Upper-body slots name the layer (key of LAYERS) their pieces are worn as.
+ */
+export const OUTFIT_SLOTS = {
+  top: { label: 'Tops', layer: 'base' },
+  midlayer: { label: 'Mid-layers', layer: 'mid' },
+  outerwear: { label: 'Outerwear', layer: 'outer' },
+  bottom: { label: 'Bottoms' },
+  footwear: { label: 'Footwear' },
+  accessory: { label: 'Accessories' },
+  bag: { label: 'Bags' }
+};
+
+// Slot of jackets, coats and anything else marked as worn over the outfit
+export const OUTERWEAR_SLOT = 'outerwear';
+
+/**
+ * Turn subcategory names into subcategory definitions
+ * @param {string[]} labels - Names, e.g. ["T-shirt", "Dress shoes"]
+ * @returns {{key: string, label: string}[]} e.g. [{ key: 't-shirt', label: 'T-shirt' }, ...]
+ */
+const createSubcategories = (labels) => labels.map(label => ({ key: label.toLowerCase().replace(/\s+/g, '-'), label }));
+
+/**
+ * Built-in wardrobe categories. A category's key is its label in lowercase,
+ * which is how items store it (item.category holds the label).
+ * - slots: outfit slots an item of the category fills; a dress fills both top and bottom
+ * - subcategories: finer kinds of item the user can pick, { key, label }
+ */
+export const BUILT_IN_CATEGORIES = {
+  tops: {
+    key: 'tops',
+    label: 'Tops',
+    description: 'Shirts, t-shirts, blouses, sweaters',
+    slots: ['top'],
+    subcategories: createSubcategories(['T-shirt', 'Shirt', 'Blouse', 'Sweater', 'Hoodie'])
+  },
+  bottoms: {
+    key: 'bottoms',
+    label: 'Bottoms',
+    description: 'Pants, jeans, skirts, shorts',
+    slots: ['bottom'],
+    subcategories: createSubcategories(['Jeans', 'Trousers', 'Skirt', 'Shorts'])
+  },
+  dresses: {
+    key: 'dresses',
+    label: 'Dresses',
+    description: 'Dresses, jumpsuits and other one-piece outfits',
+    slots: ['top', 'bottom'],
+    subcategories: createSubcategories(['Dress', 'Jumpsuit', 'Romper'])
+  },
+  'mid-layers': {
+    key: 'mid-layers',
+    label: 'Mid-layers',
+    description: 'Cardigans, vests, overshirts worn over a top',
+    slots: ['midlayer'],
+    subcategories: createSubcategories(['Cardigan', 'Vest', 'Overshirt', 'Fleece'])
+  },
+  outerwear: {
+    key: 'outerwear',
+    label: 'Outerwear',
+    description: 'Jackets, coats, blazers',
+    slots: ['outerwear'],
+    subcategories: createSubcategories(['Jacket', 'Coat', 'Blazer'])
+  },
+  footwear: {
+    key: 'footwear',
+    label: 'Footwear',
+    description: 'Shoes, boots, sneakers, sandals',
+    slots: ['footwear'],
+    subcategories: createSubcategories(['Sneakers', 'Boots', 'Dress shoes', 'Sandals'])
+  },
+  accessories: {
+    key: 'accessories',
+    label: 'Accessories',
+    description: 'Ties, belts, scarves, jewelry',
+    slots: ['accessory'],
+    subcategories: createSubcategories(['Tie', 'Belt', 'Scarf', 'Jewelry', 'Hat'])
+  },
+  bags: {
+    key: 'bags',
+    label: 'Bags',
+    description: 'Handbags, backpacks, totes, clutches',
+    slots: ['bag'],
+    subcategories: createSubcategories(['Handbag', 'Backpack', 'Tote', 'Clutch'])
+  }
+};
+
+/**
+ * Split comma-separated subcategory names into subcategory definitions
+ * @param {string} text - e.g. "Kimono, Poncho"
+ * @returns {{key: string, label: string}[]} Without blanks or duplicates
+ */
+export const parseSubcategories = (text) => {
+  const labels = text.split(',').map(label => label.trim()).filter(Boolean);
+  const subcategories = createSubcategories(labels);
+  return subcategories.filter((subcategory, index) => subcategories.findIndex(other => other.key === subcategory.key) === index);
+};
+
+/**
+ * Subcategories from comma-separated names that a category does not have yet
+ * @param {string} text - e.g. "Kimono, Poncho"
+ * @param {Object} category - Category definition
+ * @returns {{key: string, label: string}[]}
+ */
+export const getNewSubcategories = (text, category) => {
+  return parseSubcategories(text).filter(subcategory => !category.subcategories.some(existing => existing.key === subcategory.key));
+};
+
+/**
+ * All categories: the built-in ones with any subcategories the user added,
+ * followed by the user's own categories
+ * @param {Object} settings - App settings
+ * @param {Object[]} settings.customCategories - User-defined categories
+ * @param {Object<string, Object[]>} settings.customSubcategories - Subcategories added to built-in categories, by category key
+ * @returns {Object<string, Object>} Categories by key, in display order
+ */
+export const getCategoryRegistry = ({ customCategories = [], customSubcategories = {} } = {}) => {
+  const registry = {};
+  Object.values(BUILT_IN_CATEGORIES).forEach((category) => {
+    registry[category.key] = {
+      ...category,
+      builtIn: true,
+      subcategories: [...category.subcategories, ...(customSubcategories[category.key] || [])]
+    };
+  });
+  customCategories.forEach((category) => {
+    registry[category.key] = { ...category, builtIn: false };
+  });
+  return registry;
+};
+
+// Keys user categories cannot take: 'all' stands for every category in the wardrobe filters
+const RESERVED_CATEGORY_KEYS = ['all'];
+
+// Built-in categories only, for callers without app settings
+export const DEFAULT_CATEGORIES = getCategoryRegistry();
+
+/**
+ * Category key of an item
+ * @param {Object} item - Wardrobe item
+ * @returns {string} e.g. 'tops'
+ */
+export const getCategoryKey = (item) => item.category.toLowerCase();
+
+/**
+ * Outfit slots an item fills. Items marked as outerwear (see weather.js) are
+ * worn over the outfit whatever their category.
+ * @param {Object} item - Wardrobe item
+ * @param {Object} categories - Category registry
+ * @returns {string[]} Slot keys in fill order; empty for items of an unknown category
+ */
+export const getItemSlots = (item, categories = DEFAULT_CATEGORIES) => {
+  if (item.weather?.outerwear) return [OUTERWEAR_SLOT];
+  const slots = categories[getCategoryKey(item)]?.slots || [];
+  return Object.keys(OUTFIT_SLOTS).filter(slot => slots.includes(slot));
+};
+
+/**
+ * Layer an item is worn as, from the first of its slots that is layered
+ * @param {Object} item - Wardrobe item
+ * @param {Object} categories - Category registry
+ * @returns {string|null} Key of LAYERS; a dress is a base layer, shoes are no layer
+ */
+export const getItemLayer = (item, categories = DEFAULT_CATEGORIES) => {
+  const slot = getItemSlots(item, categories).find(key => OUTFIT_SLOTS[key].layer);
+  return slot ? OUTFIT_SLOTS[slot].layer : null;
+};
+
+/**
+ * Split a layered outfit into its upper-body layers and the other pieces. An
+ * outfit with a single upper-body piece is not layered.
+ * @param {Object[]} items - Outfit items
+ * @param {Object} categories - Category registry
+ * @returns {{layers: {layer: string, item: Object}[], others: Object[]}} Layers innermost first, empty if the outfit is not layered
+ */
+export const getOutfitLayers = (items, categories = DEFAULT_CATEGORIES) => {
+  const order = Object.keys(LAYERS);
+  const layers = items
+    .map(item => ({ layer: getItemLayer(item, categories), item }))
+    .filter(entry => entry.layer)
+    .sort((a, b) => order.indexOf(a.layer) - order.indexOf(b.layer));
+  if (layers.length < 2) {
+    return { layers: [], others: items };
+  }
+  return { layers, others: items.filter(item => !getItemLayer(item, categories)) };
+};
+
+/**
+ * Label of an item's subcategory
+ * @param {Object} item - Wardrobe item
+ * @param {Object} categories - Category registry
+ * @returns {string|null} e.g. "Jumpsuit", or null if none is set
+ */
+export const getSubcategoryLabel = (item, categories = DEFAULT_CATEGORIES) => {
+  if (!item.subcategory) return null;
+  const subcategory = categories[getCategoryKey(item)]?.subcategories.find(entry => entry.key === item.subcategory);
+  return subcategory?.label || null;
+};
+
+/**
+ * Validate a new user category
+ * @param {Object} form - Raw values: label, description, slots and subcategories (comma-separated)
+ * @param {Object} categories - Current category registry
+ * @returns {Object} Category definition
+ * @throws {Error} If the name is empty, reserved or taken, or no slot is chosen
+ */
+export const createCategory = (form, categories) => {
+  const label = form.label.trim();
+  if (!label) {
+    throw new Error('Give the category a name');
+  }
+  const key = label.toLowerCase();
+  if (RESERVED_CATEGORY_KEYS.includes(key)) {
+    throw new Error(`"${label}" is reserved; choose another name`);
+  }
+  if (categories[key]) {
+    throw new Error(`There is already a "${categories[key].label}" category`);
+  }
+  const slots = Object.keys(OUTFIT_SLOTS).filter(slot => form.slots.includes(slot));
+  if (slots.length === 0) {
+    throw new Error('Choose at least one outfit slot the category fills');
+  }
+  return {
+    key,
+    label,
+    description: form.description.trim(),
+    slots,
+    subcategories: parseSubcategories(form.subcategories)
+  };
+};
+
+/**
+ * Check that a user category can be deleted
+ * @param {string} key - Category key
+ * @param {Object[]} items - Wardrobe items
+ * @param {Object} categories - Category registry
+ * @throws {Error} If the category is built in or still has items
+ */
+export const assertCategoryRemovable = (key, items, categories) => {
+  if (categories[key]?.builtIn) {
+    throw new Error('Built-in categories cannot be deleted');
+  }
+  const count = items.filter(item => getCategoryKey(item) === key).length;
+  if (count > 0) {
+    throw new Error(`Move or delete its ${count} item${count > 1 ? 's' : ''} first`);
+  }
+};
@@ -0,0 +1,84 @@
+/**
+ * Wardrobe categories that can be suggested, in display order
+ */
+export const SUGGESTABLE_CATEGORIES = ['tops', 'bottoms', 'dresses', 'mid-layers', 'outerwear', 'footwear', 'accessories', 'bags'];
+
+/**
+ * Filename keywords per category, matched against whole words of the file name
+ */
+const CATEGORY_KEYWORDS = {
+  tops: [
+    'shirt', 'tshirt', 'tee', 'top', 'blouse', 'sweater', 'jumper', 'hoodie', 'sweatshirt', 'polo',
+    'tank', 'tunic', 'turtleneck', 'camisole'
+  ],
+  bottoms: [
+    'jeans', 'pants', 'trousers', 'chinos', 'slacks', 'skirt', 'shorts', 'leggings', 'joggers',
+    'sweatpants', 'culottes', 'denim'
+  ],
+  dresses: ['dress', 'sundress', 'gown', 'jumpsuit', 'romper', 'playsuit', 'overalls', 'dungarees'],
+  'mid-layers': ['cardigan', 'vest', 'gilet', 'waistcoat', 'overshirt', 'fleece'],
+  outerwear: [
+    'jacket', 'blazer', 'coat', 'parka', 'anorak', 'raincoat', 'trench', 'puffer', 'windbreaker', 'overcoat'
+  ],
+  footwear: [
+    'shoe', 'shoes', 'sneaker', 'sneakers', 'trainers', 'boot', 'boots', 'sandal', 'sandals', 'heels',
+    'loafers', 'oxfords', 'brogues', 'flats', 'pumps', 'slippers', 'espadrilles', 'mules'
+  ],
+  accessories: [
+    'tie', 'bowtie', 'belt', 'scarf', 'hat', 'cap', 'beanie', 'watch',
+    'necklace', 'bracelet', 'earrings', 'ring', 'sunglasses', 'glasses', 'jewelry', 'jewellery', 'gloves'
+  ],
+  bags: ['bag', 'handbag', 'purse', 'backpack', 'tote', 'clutch', 'satchel', 'crossbody']
+};
+
+/**
+ * Lowercase words of a file name, without its extension
+ * @param {string} fileName - Original file name
+ * @returns {string[]} Words in order
+ */
+const getFileNameWords = (fileName) => fileName
+  .toLowerCase()
+  .replace(/\.[a-z0-9]+$/, '')
+  .replace(/t-shirt/g, 'tshirt')
+  .replace(/bow-tie/g, 'bowtie')
+  .split(/[^a-z]+/)
+  .filter(Boolean);
+
+/**
+ * Categories named by keywords in a file name
+ * @param {string} fileName - Original file name
+ * @returns {string[]} Matching category keys
+ */
+export const matchCategoryKeywords = (fileName) => {
+  const words = getFileNameWords(fileName);
+
+  return SUGGESTABLE_CATEGORIES.filter(category => {
+    return words.some(word => CATEGORY_KEYWORDS[category].includes(word));
+  });
+};
+
+/**
+ * Propose a category for an uploaded photo from keywords in its file name.
+ * This is a guess for the user to confirm: photos are not classified, so a
+ * file name without a keyword gives no suggestion beyond the first category.
+ * When keywords of several categories match, the last keyword in the name
+ * wins, as the garment usually follows its description ("denim jacket").
+ * @param {string} fileName - Original file name
+ * @returns {{category: string, confidence: number, source: 'filename'|'default'}} Confidence is 1 divided by the number of matching categories, 0 without a match
+ */
+export const suggestCategory = (fileName) => {
+  const keywordMatches = matchCategoryKeywords(fileName);
+  if (keywordMatches.length === 0) {
+    return { category: SUGGESTABLE_CATEGORIES[0], confidence: 0, source: 'default' };
+  }
+
+  const lastKeyword = getFileNameWords(fileName).reverse().find(word => {
+    return keywordMatches.some(category => CATEGORY_KEYWORDS[category].includes(word));
+  });
+
+  return {
+    category: keywordMatches.find(category => CATEGORY_KEYWORDS[category].includes(lastKeyword)),
+    confidence: Math.round(100 / keywordMatches.length) / 100,
+    source: 'filename'
+  };
+};
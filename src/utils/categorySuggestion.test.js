@@ -0,0 +1,18 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { suggestCategory } from './categorySuggestion.js';
+
+describe('suggestCategory', () => {
+  it('suggests the category named in the file name', () => {
+    assert.deepEqual(suggestCategory('Red T-Shirt.webp'), { category: 'tops', confidence: 1, source: 'filename' });
+  });
+
+  it('prefers the last keyword when several categories match', () => {
+    assert.equal(suggestCategory('denim-jacket.png').category, 'outerwear');
+    assert.equal(suggestCategory('jacket-over-jeans.png').category, 'bottoms');
+  });
+
+  it('makes no real suggestion without a keyword', () => {
+    assert.deepEqual(suggestCategory('IMG_0001.jpg'), { category: 'tops', confidence: 0, source: 'default' });
+  });
+});
@@ -1,34 +1,447 @@
-import ColorThief from 'colorthief';
+import quantize from '@lokesh.dhakar/quantize';
+import { estimateWhiteBalance, applyWhiteBalance } from './whiteBalance.js';
+
+// Longest side, in pixels, of the bitmap used for segmentation and palette extraction
+const ANALYSIS_SIZE = 160;
+
+// Maximum RGB distance from a border reference color for a pixel to count as background
+const BACKGROUND_TOLERANCE = 40;
+
+// Maximum RGB distance between neighbouring pixels for the background fill to keep spreading
+const BACKGROUND_STEP_TOLERANCE = 20;
+
+/**
+ * Extract dominant color and weighted palette from an image.
+ * The photo background is removed first so only the garment is measured, and
+ * an optional white-balance correction neutralizes the lighting before quantization.
+ * Works on the main thread and inside a Web Worker.
+ * @param {HTMLImageElement|ImageBitmap} img - The image element or decoded bitmap
+ * @param {Object} options - Extraction options
+ * @param {boolean} options.removeBackground - Segment the garment before extraction
+ * @param {{method: string, reference?: number[]}} options.whiteBalance - White-balance method and optional neutral reference
+ * @returns {Promise<{rgb: number[], hex: string, hsl: number[], lab: number[], palette: Object[], segmentation: Object|null, whiteBalance: Object}>}
+ */
+export const extractDominantColor = async (img, { removeBackground = true, whiteBalance = null } = {}) => {
+  if (typeof HTMLImageElement !== 'undefined' && img instanceof HTMLImageElement) {
+    await waitForImage(img);
+  }
+
+  const imageData = getImagePixels(img, ANALYSIS_SIZE);
+  let mask = null;
+  let segmentation = null;
+
+  if (removeBackground) {
+    const result = segmentGarment(imageData);
+
+    segmentation = {
+      maskDataUrl: result.isSegmented ? await createMaskOverlay(result) : null,
+      foregroundRatio: Math.round(result.foregroundRatio * 1000) / 1000,
+      isSegmented: result.isSegmented
+    };
+
+    if (result.isSegmented) {
+      mask = result.mask;
+    }
+  }
+
+  // Segmentation runs on the original pixels; only the measured colors are corrected
+  const correction = estimateWhiteBalance(imageData, { ...whiteBalance, mask });
+  const palette = extractColorPalette(applyWhiteBalance(imageData, correction.gains), mask);
+  const { rgb, hex, hsl, lab } = palette[0];
+  return { rgb, hex, hsl, lab, palette, segmentation, whiteBalance: correction };
+};
 
 /**
- * Extract dominant color from an image using ColorThief
+ * Resolve once an image element has finished loading
  * @param {HTMLImageElement} img - The image element
- * @returns {Promise<{rgb: number[], hex: string, hsl: number[]}>}
+ * @returns {Promise<HTMLImageElement>} Rejects if the image failed to load
+ */
+const waitForImage = (img) => {
+  return new Promise((resolve, reject) => {
+    if (img.complete && img.naturalWidth > 0) {
+      resolve(img);
+    } else if (img.complete) {
+      // A failed image is also complete, and its load events have already fired
+      reject(new Error('Image failed to load'));
+    } else {
+      img.onload = () => resolve(img);
+      img.onerror = reject;
+    }
+  });
+};
+
+/**
+ * Load an image element from a URL
+ * @param {string} src - Image URL or data URL
+ * @returns {Promise<HTMLImageElement>}
  */
-export const extractDominantColor = async (img) => {
+export const loadImage = (src) => {
   return new Promise((resolve, reject) => {
-    try {
-      const colorThief = new ColorThief();
-      
-      // Ensure image is loaded
-      if (img.complete) {
-        const rgb = colorThief.getColor(img);
-        const hex = rgbToHex(rgb[0], rgb[1], rgb[2]);
-        const hsl = rgbToHsl(rgb[0], rgb[1], rgb[2]);
-        resolve({ rgb, hex, hsl });
-      } else {
-        img.onload = () => {
-          const rgb = colorThief.getColor(img);
-          const hex = rgbToHex(rgb[0], rgb[1], rgb[2]);
-          const hsl = rgbToHsl(rgb[0], rgb[1], rgb[2]);
-          resolve({ rgb, hex, hsl });
-        };
-        img.onerror = reject;
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = reject;
+    img.src = src;
+  });
+};
+
+/**
+ * Create a 2D canvas: a DOM canvas on the main thread, an OffscreenCanvas in workers
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export const createCanvas = (width, height) => {
+  if (typeof document === 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+/**
+ * Encode a canvas as a data URL, on either a DOM canvas or an OffscreenCanvas
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to encode
+ * @param {string} type - Image MIME type
+ * @param {number} quality - Encoder quality (0-1) for lossy formats
+ * @returns {Promise<string>} Data URL
+ */
+export const canvasToDataUrl = async (canvas, type = 'image/png', quality) => {
+  if (typeof canvas.toDataURL === 'function') {
+    return canvas.toDataURL(type, quality);
+  }
+  const blob = await canvas.convertToBlob({ type, quality });
+  return blobToDataUrl(blob);
+};
+
+/**
+ * Read a Blob or File as a data URL
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<string>} Data URL
+ */
+export const blobToDataUrl = (blob) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+};
+
+/**
+ * Separate the garment from the photo background.
+ * Colors sampled along the image border form the background model; a flood fill
+ * grows inward from the border through pixels that match the model and change
+ * smoothly from their neighbour. Whatever the fill cannot reach is the garment,
+ * so interior areas that happen to share the background color are kept.
+ * @param {ImageData} imageData - Downscaled pixels from getImagePixels
+ * @returns {{mask: Uint8Array, width: number, height: number, foregroundRatio: number, isSegmented: boolean}}
+ *   mask holds 1 for garment pixels and 0 for background
+ */
+export const segmentGarment = (imageData) => {
+  const { data, width, height } = imageData;
+  const pixelCount = width * height;
+  const colorAt = (index) => [data[index * 4], data[index * 4 + 1], data[index * 4 + 2]];
+
+  // Sample a thin ring along the image border
+  const ring = Math.max(1, Math.round(Math.min(width, height) * 0.02));
+  const borderIndices = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (x < ring || y < ring || x >= width - ring || y >= height - ring) {
+        borderIndices.push(y * width + x);
       }
-    } catch (error) {
-      reject(error);
+    }
+  }
+
+  const references = getBackgroundReferences(borderIndices.map(colorAt));
+  const matchesBackground = (rgb) =>
+    references.some(reference => colorDistance(rgb, reference) <= BACKGROUND_TOLERANCE);
+
+  const background = new Uint8Array(pixelCount);
+  const queue = new Int32Array(pixelCount);
+  let head = 0;
+  let tail = 0;
+
+  // Transparent pixels (e.g. cut-out PNGs) are background already
+  for (let index = 0; index < pixelCount; index++) {
+    if (data[index * 4 + 3] < 125) background[index] = 1;
+  }
+
+  borderIndices.forEach((index) => {
+    if (!background[index] && matchesBackground(colorAt(index))) {
+      background[index] = 1;
+      queue[tail++] = index;
+    }
+  });
+
+  while (head < tail) {
+    const index = queue[head++];
+    const x = index % width;
+    const current = colorAt(index);
+    const neighbours = [];
+
+    if (x > 0) neighbours.push(index - 1);
+    if (x < width - 1) neighbours.push(index + 1);
+    if (index >= width) neighbours.push(index - width);
+    if (index < pixelCount - width) neighbours.push(index + width);
+
+    neighbours.forEach((neighbour) => {
+      if (background[neighbour]) return;
+      const color = colorAt(neighbour);
+      if (colorDistance(color, current) <= BACKGROUND_STEP_TOLERANCE && matchesBackground(color)) {
+        background[neighbour] = 1;
+        queue[tail++] = neighbour;
+      }
+    });
+  }
+
+  let foregroundCount = 0;
+  for (let index = 0; index < pixelCount; index++) {
+    if (!background[index]) foregroundCount++;
+  }
+  const foregroundRatio = foregroundCount / pixelCount;
+
+  // Nearly nothing or nearly everything left means the garment could not be told
+  // apart from its background, so fall back to measuring the whole photo
+  const isSegmented = foregroundRatio >= 0.05 && foregroundRatio <= 0.97;
+  const mask = new Uint8Array(pixelCount);
+  for (let index = 0; index < pixelCount; index++) {
+    mask[index] = isSegmented ? 1 - background[index] : 1;
+  }
+
+  return {
+    mask,
+    width,
+    height,
+    foregroundRatio: isSegmented ? foregroundRatio : 1,
+    isSegmented
+  };
+};
+
+/**
+ * Build the background color model from border pixels by bucketing similar colors
+ * and averaging the buckets that cover a meaningful share of the border
+ * @param {number[][]} borderColors - RGB colors sampled along the border
+ * @returns {number[][]} Up to four reference background colors
+ */
+const getBackgroundReferences = (borderColors) => {
+  const buckets = new Map();
+
+  borderColors.forEach(([r, g, b]) => {
+    const key = ((r >> 5) << 6) | ((g >> 5) << 3) | (b >> 5);
+    const bucket = buckets.get(key) || { count: 0, sum: [0, 0, 0] };
+    bucket.count++;
+    bucket.sum[0] += r;
+    bucket.sum[1] += g;
+    bucket.sum[2] += b;
+    buckets.set(key, bucket);
+  });
+
+  return [...buckets.values()]
+    .filter(bucket => bucket.count >= borderColors.length * 0.1)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 4)
+    .map(bucket => bucket.sum.map(channel => Math.round(channel / bucket.count)));
+};
+
+/**
+ * Euclidean distance between two RGB colors
+ * @param {number[]} rgb1 - First color [r, g, b]
+ * @param {number[]} rgb2 - Second color [r, g, b]
+ * @returns {number}
+ */
+const colorDistance = (rgb1, rgb2) => {
+  return Math.sqrt((rgb1[0] - rgb2[0]) ** 2 + (rgb1[1] - rgb2[1]) ** 2 + (rgb1[2] - rgb2[2]) ** 2);
+};
+
+/**
+ * Render a garment mask as a PNG overlay that dims the background and leaves
+ * the measured region clear, sized to be laid over the item photo
+ * @param {{mask: Uint8Array, width: number, height: number}} segmentation - Result of segmentGarment
+ * @returns {Promise<string>} PNG data URL
+ */
+const createMaskOverlay = ({ mask, width, height }) => {
+  const canvas = createCanvas(width, height);
+  const context = canvas.getContext('2d');
+  const overlay = context.createImageData(width, height);
+  for (let index = 0; index < mask.length; index++) {
+    overlay.data[index * 4 + 3] = mask[index] ? 0 : 170;
+  }
+
+  context.putImageData(overlay, 0, 0);
+  return canvasToDataUrl(canvas, 'image/png');
+};
+
+/**
+ * Draw an image onto a small canvas and read back its pixels
+ * @param {CanvasImageSource} img - A loaded image, bitmap or canvas
+ * @param {number} maxDimension - Longest side of the sampled bitmap in pixels
+ * @returns {ImageData} Downscaled RGBA pixel data
+ */
+export const getImagePixels = (img, maxDimension = 100) => {
+  const sourceWidth = img.naturalWidth || img.width;
+  const sourceHeight = img.naturalHeight || img.height;
+  const scale = Math.min(1, maxDimension / Math.max(sourceWidth, sourceHeight));
+
+  const canvas = createCanvas(
+    Math.max(1, Math.round(sourceWidth * scale)),
+    Math.max(1, Math.round(sourceHeight * scale))
+  );
+
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+/**
+ * Extract a weighted palette (primary, secondary and accent colors) from image pixels.
+ * Median-cut quantization (the algorithm behind ColorThief) proposes the candidate
+ * colors; every sampled pixel is then assigned to its nearest candidate so each color
+ * carries the share of the garment it actually covers.
+ * @param {ImageData} imageData - Pixels from getImagePixels
+ * @param {Uint8Array|null} mask - Garment mask from segmentGarment; null measures every pixel
+ * @param {number} colorCount - Number of candidate colors to quantize to
+ * @param {number} minCoverage - Colors covering less than this fraction are dropped
+ * @returns {Object[]} Palette sorted by coverage: [{rgb, hex, hsl, lab, weight, role}]
+ */
+export const extractColorPalette = (imageData, mask = null, colorCount = 6, minCoverage = 0.04) => {
+  const { data } = imageData;
+  const pixels = [];
+
+  for (let index = 0; index < data.length / 4; index++) {
+    // Skip transparent pixels and anything outside the garment
+    if (data[index * 4 + 3] < 125) continue;
+    if (mask && !mask[index]) continue;
+    pixels.push([data[index * 4], data[index * 4 + 1], data[index * 4 + 2]]);
+  }
+
+  if (pixels.length === 0) {
+    throw new Error('No opaque pixels to extract colors from');
+  }
+
+  const colorMap = quantize(pixels, colorCount);
+  const candidates = colorMap ? colorMap.palette() : [averageColor(pixels)];
+
+  const counts = new Array(candidates.length).fill(0);
+  pixels.forEach((rgb) => {
+    counts[nearestColorIndex(rgb, candidates)]++;
+  });
+
+  const palette = candidates
+    .map((rgb, index) => ({ rgb, weight: counts[index] / pixels.length }))
+    .filter(color => color.weight >= minCoverage)
+    .sort((a, b) => b.weight - a.weight);
+
+  // Fall back to the first candidate if every color was filtered out
+  if (palette.length === 0) {
+    palette.push({ rgb: candidates[0], weight: 1 });
+  }
+
+  const totalWeight = palette.reduce((sum, color) => sum + color.weight, 0);
+
+  return palette.map((color, index) => ({
+    rgb: color.rgb,
+    hex: rgbToHex(color.rgb[0], color.rgb[1], color.rgb[2]),
+    hsl: rgbToHsl(color.rgb[0], color.rgb[1], color.rgb[2]),
+    lab: rgbToLab(color.rgb[0], color.rgb[1], color.rgb[2]),
+    weight: Math.round((color.weight / totalWeight) * 1000) / 1000,
+    role: index === 0 ? 'primary' : index === 1 ? 'secondary' : 'accent'
+  }));
+};
+
+/**
+ * Average a list of RGB colors
+ * @param {number[][]} pixels - RGB colors
+ * @returns {number[]} Mean color [r, g, b]
+ */
+const averageColor = (pixels) => {
+  const sum = pixels.reduce((total, rgb) => [total[0] + rgb[0], total[1] + rgb[1], total[2] + rgb[2]], [0, 0, 0]);
+  return sum.map(channel => Math.round(channel / pixels.length));
+};
+
+/**
+ * Find the palette color closest to a pixel (squared RGB distance)
+ * @param {number[]} rgb - Pixel color [r, g, b]
+ * @param {number[][]} colors - Candidate colors
+ * @returns {number} Index of the nearest candidate
+ */
+const nearestColorIndex = (rgb, colors) => {
+  let bestIndex = 0;
+  let bestDistance = Infinity;
+
+  colors.forEach((color, index) => {
+    const distance = (rgb[0] - color[0]) ** 2 + (rgb[1] - color[1]) ** 2 + (rgb[2] - color[2]) ** 2;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestIndex = index;
     }
   });
+
+  return bestIndex;
+};
+
+/**
+ * Get an item's weighted palette, falling back to its dominant color for items
+ * saved before palettes were extracted
+ * @param {Object} item - Wardrobe item
+ * @returns {Object[]} Palette entries [{rgb, hex, hsl, lab, weight, role}]
+ */
+export const getItemPalette = (item) => {
+  if (item.palette && item.palette.length > 0) {
+    return item.palette;
+  }
+  return [{ rgb: item.rgb, hex: item.dominantColorHex, hsl: item.hsl, lab: item.lab, weight: 1, role: 'primary' }];
+};
+
+/**
+ * Average the pixels of a rectangular region
+ * @param {ImageData} imageData - Source pixels
+ * @param {{x: number, y: number, width: number, height: number}} region - Region in pixel coordinates
+ * @returns {number[]} Mean color [r, g, b]
+ */
+export const averageRegion = (imageData, { x, y, width, height }) => {
+  const left = Math.max(0, Math.floor(x));
+  const top = Math.max(0, Math.floor(y));
+  const right = Math.min(imageData.width, Math.ceil(x + width));
+  const bottom = Math.min(imageData.height, Math.ceil(y + height));
+  const pixels = [];
+
+  for (let row = top; row < bottom; row++) {
+    for (let column = left; column < right; column++) {
+      const offset = (row * imageData.width + column) * 4;
+      pixels.push([imageData.data[offset], imageData.data[offset + 1], imageData.data[offset + 2]]);
+    }
+  }
+
+  if (pixels.length === 0) {
+    throw new Error('Sample region is outside the image');
+  }
+
+  return averageColor(pixels);
+};
+
+/**
+ * Build the full color representation stored on items from an RGB value
+ * @param {number[]} rgb - Color [r, g, b]
+ * @returns {{rgb: number[], hex: string, hsl: number[], lab: number[]}}
+ */
+export const createColorData = (rgb) => {
+  const [r, g, b] = rgb;
+  return { rgb: [r, g, b], hex: rgbToHex(r, g, b), hsl: rgbToHsl(r, g, b), lab: rgbToLab(r, g, b) };
+};
+
+/**
+ * Convert HEX to RGB
+ * @param {string} hex - HEX color string, e.g. "#1f2a44"
+ * @returns {number[]} RGB array [r, g, b]
+ */
+export const hexToRgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
 };
 
 /**
@@ -75,16 +488,169 @@ export const rgbToHsl = (r, g, b) => {
   return [Math.round(h * 360), Math.round(s * 100), Math.round(l * 100)];
 };
 
+// D65 reference white used for XYZ -> Lab conversion
+const D65_WHITE = [95.047, 100, 108.883];
+
+/**
+ * Convert RGB to CIE XYZ (sRGB companding, D65 illuminant)
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @returns {number[]} XYZ array [x, y, z] scaled so that white has Y = 100
+ */
+export const rgbToXyz = (r, g, b) => {
+  const [lr, lg, lb] = [r, g, b].map((channel) => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+
+  return [
+    (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) * 100,
+    (lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750) * 100,
+    (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) * 100
+  ];
+};
+
+/**
+ * Convert CIE XYZ to CIELAB
+ * @param {number} x - X value
+ * @param {number} y - Y value
+ * @param {number} z - Z value
+ * @returns {number[]} Lab array [L, a, b] where L is 0-100
+ */
+export const xyzToLab = (x, y, z) => {
+  const [fx, fy, fz] = [x / D65_WHITE[0], y / D65_WHITE[1], z / D65_WHITE[2]].map(t =>
+    t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116
+  );
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+};
+
+/**
+ * Convert RGB to CIELAB, rounded to one decimal for storage
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @returns {number[]} Lab array [L, a, b]
+ */
+export const rgbToLab = (r, g, b) => {
+  return xyzToLab(...rgbToXyz(r, g, b)).map(value => Math.round(value * 10) / 10);
+};
+
+/**
+ * Convert CIELAB to cylindrical LCh
+ * @param {number[]} lab - Lab array [L, a, b]
+ * @returns {number[]} LCh array [L, c, h] where c is chroma and h is 0-360
+ */
+export const labToLch = ([l, a, b]) => {
+  const c = Math.sqrt(a * a + b * b);
+  let h = Math.atan2(b, a) * 180 / Math.PI;
+  if (h < 0) h += 360;
+  return [l, c, h];
+};
+
+/**
+ * Get the Lab coordinates of a stored color, deriving them from RGB for
+ * colors saved before Lab was recorded
+ * @param {{rgb: number[], lab?: number[]}} color - Item or palette entry
+ * @returns {number[]} Lab array [L, a, b]
+ */
+export const getColorLab = (color) => {
+  return color.lab || rgbToLab(color.rgb[0], color.rgb[1], color.rgb[2]);
+};
+
+/**
+ * Get the LCh coordinates of a stored color
+ * @param {{rgb: number[], lab?: number[]}} color - Item or palette entry
+ * @returns {number[]} LCh array [L, c, h]
+ */
+export const getColorLch = (color) => {
+  return labToLch(getColorLab(color));
+};
+
+/**
+ * CIEDE2000 color difference between two Lab colors
+ * @param {number[]} lab1 - First color [L, a, b]
+ * @param {number[]} lab2 - Second color [L, a, b]
+ * @returns {number} Delta E (about 1 is a just-noticeable difference)
+ */
+export const deltaE2000 = (lab1, lab2) => {
+  const [l1, a1, b1] = lab1;
+  const [l2, a2, b2] = lab2;
+  const toRadians = Math.PI / 180;
+
+  const c1 = Math.sqrt(a1 * a1 + b1 * b1);
+  const c2 = Math.sqrt(a2 * a2 + b2 * b2);
+  const cBar7 = ((c1 + c2) / 2) ** 7;
+  const g = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + 25 ** 7)));
+
+  const a1p = a1 * (1 + g);
+  const a2p = a2 * (1 + g);
+  const c1p = Math.sqrt(a1p * a1p + b1 * b1);
+  const c2p = Math.sqrt(a2p * a2p + b2 * b2);
+
+  const hueAngle = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) / toRadians;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hueAngle(b1, a1p);
+  const h2p = hueAngle(b2, a2p);
+
+  const deltaLp = l2 - l1;
+  const deltaCp = c2p - c1p;
+
+  let deltahp = 0;
+  if (c1p * c2p !== 0) {
+    deltahp = h2p - h1p;
+    if (deltahp > 180) deltahp -= 360;
+    else if (deltahp < -180) deltahp += 360;
+  }
+  const deltaHp = 2 * Math.sqrt(c1p * c2p) * Math.sin((deltahp / 2) * toRadians);
+
+  const lBarp = (l1 + l2) / 2;
+  const cBarp = (c1p + c2p) / 2;
+
+  let hBarp = h1p + h2p;
+  if (c1p * c2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hBarp /= 2;
+    else if (h1p + h2p < 360) hBarp = (hBarp + 360) / 2;
+    else hBarp = (hBarp - 360) / 2;
+  }
+
+  const t = 1
+    - 0.17 * Math.cos((hBarp - 30) * toRadians)
+    + 0.24 * Math.cos(2 * hBarp * toRadians)
+    + 0.32 * Math.cos((3 * hBarp + 6) * toRadians)
+    - 0.20 * Math.cos((4 * hBarp - 63) * toRadians);
+
+  const deltaTheta = 30 * Math.exp(-(((hBarp - 275) / 25) ** 2));
+  const cBarp7 = cBarp ** 7;
+  const rc = 2 * Math.sqrt(cBarp7 / (cBarp7 + 25 ** 7));
+  const sl = 1 + (0.015 * (lBarp - 50) ** 2) / Math.sqrt(20 + (lBarp - 50) ** 2);
+  const sc = 1 + 0.045 * cBarp;
+  const sh = 1 + 0.015 * cBarp * t;
+  const rt = -Math.sin(2 * deltaTheta * toRadians) * rc;
+
+  return Math.sqrt(
+    (deltaLp / sl) ** 2 +
+    (deltaCp / sc) ** 2 +
+    (deltaHp / sh) ** 2 +
+    rt * (deltaCp / sc) * (deltaHp / sh)
+  );
+};
+
 /**
  * Check if a color is considered neutral (low saturation or specific color ranges)
  * @param {number[]} hsl - HSL array [h, s, l]
+ * @param {number} maxSaturation - Saturation (%) below which any color is neutral
  * @returns {boolean}
  */
-export const isNeutralColor = (hsl) => {
+export const isNeutralColor = (hsl, maxSaturation = 12) => {
   const [h, s, l] = hsl;
   
   // Low saturation colors are neutral
-  if (s < 12) return true;
+  if (s < maxSaturation) return true;
   
   // Very light or very dark colors tend to be neutral
   if (l > 85 || l < 15) return true;
@@ -1,4 +1,92 @@
-import { isNeutralColor } from './colorExtraction.js';
+import { isNeutralColor, getItemPalette, getColorLab, getColorLch, labToLch, deltaE2000 } from './colorExtraction.js';
+import { getItemColorName } from './colorNaming.js';
+import { getItemPattern, PATTERN_TYPES } from './patternDetection.js';
+import { DEFAULT_SCORING_WEIGHTS } from './scoringProfiles.js';
+import { OCCASIONS, isFormalOccasion, getMissingSlots } from './occasions.js';
+import { SUB_SEASONS, scoreOutfitForWearer } from './personalColor.js';
+import { needsOuterwear, filterWardrobeForWeather, scoreOutfitForWeather, describeWeather } from './weather.js';
+import { getOutfitFeatures, scorePreference } from './preferenceModel.js';
+import { getItemDetails } from './itemDetails.js';
+import { filterAvailableWardrobe } from './availability.js';
+import { OUTFIT_SLOTS, OUTERWEAR_SLOT, DEFAULT_CATEGORIES, getItemSlots, getItemLayer, getOutfitLayers } from './categories.js';
+
+// LCh chroma below which a color reads as gray and its hue angle is ignored
+const ACHROMATIC_CHROMA = 10;
+
+// Chroma both colors need before an awkward hue gap counts as a clash
+const CLASH_MIN_CHROMA = 35;
+
+// CIEDE2000 range where two colors look like a failed attempt at matching
+const NEAR_MATCH_DELTA_E = [2, 7];
+
+// Hues closer than this (degrees) count as the same hue when detecting schemes
+const SCHEME_HUE_MERGE = 20;
+
+// Allowed deviation (degrees) from the ideal angles of a color scheme
+const SCHEME_TOLERANCE = 25;
+
+// Widest hue arc still read as monochromatic / analogous
+const MONOCHROMATIC_SPREAD = 12;
+const ANALOGOUS_SPREAD = 60;
+
+/**
+ * Whole-outfit color schemes. How much each one adds to casual and formal
+ * scores is set by the scoring profile.
+ */
+export const COLOR_SCHEMES = {
+  monochromatic: {
+    label: 'Monochromatic',
+    description: 'Shades and tints of a single hue for a tonal, elongating look'
+  },
+  analogous: {
+    label: 'Analogous',
+    description: 'Neighbouring hues on the color wheel create soothing, harmonious outfits'
+  },
+  complementary: {
+    label: 'Complementary',
+    description: 'Opposite hues create striking, balanced contrast'
+  },
+  'split-complementary': {
+    label: 'Split-Complementary',
+    description: 'One hue with the two neighbours of its opposite: contrast with less tension'
+  },
+  triadic: {
+    label: 'Triadic',
+    description: 'Three hues evenly spaced around the wheel for a bold, playful mix'
+  },
+  tetradic: {
+    label: 'Tetradic',
+    description: 'Two complementary pairs: rich but hard to balance, so let one color lead'
+  },
+  neutral: {
+    label: 'Neutral',
+    description: 'Neutral colors, optionally with a single accent, work in any setting'
+  }
+};
+
+// Number of possible outfits up to which every combination is scored
+const EXHAUSTIVE_SEARCH_LIMIT = 2000;
+
+// Partial outfits kept after each slot of the beam search
+const BEAM_WIDTH = 60;
+
+// Partial outfits of each size kept after each slot, however well larger or smaller ones score
+const BEAM_RESERVE_PER_SIZE = 10;
+
+// Extensions of each partial outfit that are fully scored, picked by pairwise harmony
+const EXTENSIONS_PER_BEAM = 12;
+
+// Top-ranked outfits the diversity re-ranking chooses from, beyond those already shown
+const DIVERSITY_POOL_SIZE = 40;
+
+// CIEDE2000 distance at which two outfit palettes count as completely different
+const PALETTE_DISTINCT_DELTA_E = 30;
+
+// Raw score that maps to about 7.3/10 (and its negative to 2.7/10)
+const SCORE_SCALE = 3;
+
+// Weight in pair harmony of a base layer worn under another layer, which mostly hides it
+const COVERED_LAYER_WEIGHT = 0.6;
 
 /**
  * Calculate the minimal angular difference between two hues on the color wheel
@@ -11,41 +99,85 @@ export const hueDifference = (h1, h2) => {
   return Math.min(diff, 360 - diff);
 };
 
+/**
+ * Compare two colors in perceptual (CIELAB / LCh) space.
+ * Hue relationships are only reported when both colors carry enough chroma for
+ * their hue to be visible; grays and near-blacks have no meaningful hue angle.
+ * @param {{rgb: number[], lab?: number[], hsl: number[]}} color1 - First item or palette entry
+ * @param {{rgb: number[], lab?: number[], hsl: number[]}} color2 - Second item or palette entry
+ * @param {Object} weights - Scoring profile weights and thresholds
+ * @returns {{hueDistance: number|null, relation: string|null, lightnessGap: number, deltaE: number, isNearMatch: boolean}}
+ */
+export const compareColors = (color1, color2, weights = DEFAULT_SCORING_WEIGHTS) => {
+  const lab1 = getColorLab(color1);
+  const lab2 = getColorLab(color2);
+  const [, c1, h1] = labToLch(lab1);
+  const [, c2, h2] = labToLch(lab2);
+
+  const isChromatic = c1 >= ACHROMATIC_CHROMA && c2 >= ACHROMATIC_CHROMA;
+  const hueDistance = isChromatic ? hueDifference(h1, h2) : null;
+
+  let relation = null;
+  if (hueDistance !== null && hueDistance >= weights.complementaryMinHue) {
+    relation = 'complementary';
+  } else if (hueDistance !== null && hueDistance <= weights.analogousMaxHue) {
+    relation = 'analogous';
+  }
+
+  const deltaE = deltaE2000(lab1, lab2);
+  const bothNeutral = isNeutralColor(color1.hsl, weights.neutralSaturation) &&
+    isNeutralColor(color2.hsl, weights.neutralSaturation);
+
+  return {
+    hueDistance,
+    relation,
+    lightnessGap: Math.abs(lab1[0] - lab2[0]),
+    deltaE,
+    isNearMatch: !bothNeutral && deltaE >= NEAR_MATCH_DELTA_E[0] && deltaE <= NEAR_MATCH_DELTA_E[1]
+  };
+};
+
 /**
  * Calculate color harmony score between two colors
- * @param {number[]} hsl1 - First color HSL [h, s, l]
- * @param {number[]} hsl2 - Second color HSL [h, s, l]
+ * @param {{rgb: number[], lab?: number[], hsl: number[]}} color1 - First item or palette entry
+ * @param {{rgb: number[], lab?: number[], hsl: number[]}} color2 - Second item or palette entry
  * @param {boolean} isFormalContext - Whether this is for formal outfit suggestions
+ * @param {Object} options - Scoring options
+ * @param {boolean} options.includeHue - Score the hue relation; off when the whole-outfit scheme already covers it
+ * @param {Object} options.weights - Scoring profile weights and thresholds
  * @returns {number} Harmony score
  */
-export const calculateColorHarmony = (hsl1, hsl2, isFormalContext = false) => {
-  const [h1, s1, l1] = hsl1;
-  const [h2, s2, l2] = hsl2;
+export const calculateColorHarmony = (color1, color2, isFormalContext = false, { includeHue = true, weights = DEFAULT_SCORING_WEIGHTS } = {}) => {
+  const { relation, lightnessGap, isNearMatch } = compareColors(color1, color2, weights);
   
   let score = 0;
-  const hueDistance = hueDifference(h1, h2);
   
-  const isNeutral1 = isNeutralColor(hsl1);
-  const isNeutral2 = isNeutralColor(hsl2);
+  const isNeutral1 = isNeutralColor(color1.hsl, weights.neutralSaturation);
+  const isNeutral2 = isNeutralColor(color2.hsl, weights.neutralSaturation);
   
   // Complementary colors (opposite on color wheel) - strong harmony
-  if (hueDistance >= 150 && hueDistance <= 210) {
-    score += 2;
+  if (includeHue && relation === 'complementary') {
+    score += weights.complementaryScore;
   }
   // Analogous colors (close on color wheel) - gentle harmony
-  else if (hueDistance <= 30) {
-    score += 1;
+  else if (includeHue && relation === 'analogous') {
+    score += weights.analogousScore;
   }
   
   // High contrast (light vs dark) adds harmony
-  if ((l1 < 30 && l2 > 70) || (l2 < 30 && l1 > 70)) {
-    score += 1;
+  if (lightnessGap >= weights.contrastLightnessGap) {
+    score += weights.contrastScore;
+  }
+  
+  // Colors that almost match but not quite look like a mistake
+  if (isNearMatch) {
+    score -= weights.nearMatchPenalty;
   }
   
   // Neutral pairings
   if (isNeutral1 || isNeutral2) {
     if (isFormalContext) {
-      score += 1; // Neutrals are preferred in formal context
+      score += weights.formalNeutralPairBonus; // Neutrals are preferred in formal context
     }
   }
   
@@ -53,45 +185,324 @@ export const calculateColorHarmony = (hsl1, hsl2, isFormalContext = false) => {
 };
 
 /**
- * Score an outfit combination based on color harmony rules
- * @param {Object[]} items - Array of wardrobe items with extracted colors
+ * Check whether two saturated colors sit in the awkward hue gap between
+ * analogous and complementary, where they tend to fight rather than harmonize
+ * @param {{rgb: number[], lab?: number[], hsl: number[]}} color1 - First item or palette entry
+ * @param {{rgb: number[], lab?: number[], hsl: number[]}} color2 - Second item or palette entry
+ * @param {Object} weights - Scoring profile weights and thresholds
+ * @returns {boolean}
+ */
+export const isClashingPair = (color1, color2, weights = DEFAULT_SCORING_WEIGHTS) => {
+  if (isNeutralColor(color1.hsl, weights.neutralSaturation) || isNeutralColor(color2.hsl, weights.neutralSaturation)) return false;
+
+  const [, c1, h1] = getColorLch(color1);
+  const [, c2, h2] = getColorLch(color2);
+  if (c1 < CLASH_MIN_CHROMA || c2 < CLASH_MIN_CHROMA) return false;
+
+  const hueDistance = hueDifference(h1, h2);
+  return hueDistance > 40 && hueDistance < 100;
+};
+
+/**
+ * Group hue angles that are within SCHEME_HUE_MERGE degrees of each other
+ * @param {number[]} hues - Hue angles (0-360)
+ * @returns {number[]} Sorted hue angle of each group
+ */
+const clusterHues = (hues) => {
+  const sorted = [...hues].sort((a, b) => a - b);
+  const clusters = [];
+
+  sorted.forEach((hue) => {
+    const last = clusters[clusters.length - 1];
+    if (last && hue - last.hues[last.hues.length - 1] <= SCHEME_HUE_MERGE) {
+      last.hues.push(hue);
+    } else {
+      clusters.push({ hues: [hue] });
+    }
+  });
+
+  // The wheel wraps around: merge the last group into the first when they touch across 0°
+  if (clusters.length > 1) {
+    const first = clusters[0];
+    const last = clusters[clusters.length - 1];
+    if (first.hues[0] + 360 - last.hues[last.hues.length - 1] <= SCHEME_HUE_MERGE) {
+      first.hues = [...last.hues.map(hue => hue - 360), ...first.hues];
+      clusters.pop();
+    }
+  }
+
+  return clusters
+    .map(cluster => {
+      const mean = cluster.hues.reduce((sum, hue) => sum + hue, 0) / cluster.hues.length;
+      return (mean + 360) % 360;
+    })
+    .sort((a, b) => a - b);
+};
+
+/**
+ * Smallest arc of the color wheel that contains every hue
+ * @param {number[]} hues - Hue angles (0-360)
+ * @returns {number} Arc width in degrees
+ */
+const hueSpread = (hues) => {
+  const sorted = [...hues].sort((a, b) => a - b);
+  let largestGap = 360 - (sorted[sorted.length - 1] - sorted[0]);
+  for (let i = 1; i < sorted.length; i++) {
+    largestGap = Math.max(largestGap, sorted[i] - sorted[i - 1]);
+  }
+  return 360 - largestGap;
+};
+
+/**
+ * Check whether an angle is within SCHEME_TOLERANCE of a target
+ * @param {number} angle - Measured angle in degrees
+ * @param {number} target - Ideal angle in degrees
+ * @returns {boolean}
+ */
+const isNear = (angle, target) => Math.abs(angle - target) <= SCHEME_TOLERANCE;
+
+/**
+ * Detect the color scheme of a whole outfit from the hues of all its items.
+ * Only chromatic primary colors carry a hue; neutrals fit every scheme and
+ * are ignored. Hues are grouped first, then the angles between the groups are
+ * matched against the classic schemes.
+ * @param {Object[]} items - Wardrobe items
+ * @param {Object} weights - Scoring profile weights and thresholds
+ * @returns {string|null} Key of COLOR_SCHEMES, or null when the hues follow no scheme
+ */
+export const detectColorScheme = (items, weights = DEFAULT_SCORING_WEIGHTS) => {
+  const hues = items
+    .filter(item => !isNeutralColor(item.hsl, weights.neutralSaturation))
+    .map(item => getColorLch(item))
+    .filter(([, chroma]) => chroma >= ACHROMATIC_CHROMA)
+    .map(([, , hue]) => hue);
+
+  if (hues.length <= 1) return 'neutral';
+
+  const spread = hueSpread(hues);
+  if (spread <= MONOCHROMATIC_SPREAD) return 'monochromatic';
+  if (spread <= ANALOGOUS_SPREAD) return 'analogous';
+
+  const groups = clusterHues(hues);
+  // Angles between neighbouring groups, going around the wheel
+  const gaps = groups.map((hue, i) => {
+    const next = groups[(i + 1) % groups.length];
+    return (next - hue + 360) % 360 || 360;
+  });
+
+  if (groups.length === 2) {
+    return isNear(hueDifference(groups[0], groups[1]), 180) ? 'complementary' : null;
+  }
+
+  if (groups.length === 3) {
+    if (gaps.every(gap => isNear(gap, 120))) return 'triadic';
+
+    // One hue facing the two neighbours of its complement: a small gap flanked by two large ones
+    const isSplit = gaps.some((gap, i) => {
+      return gap >= 30 && gap <= 90 &&
+        isNear(gaps[(i + 1) % 3], 180 - gap / 2) &&
+        isNear(gaps[(i + 2) % 3], 180 - gap / 2);
+    });
+    return isSplit ? 'split-complementary' : null;
+  }
+
+  if (groups.length === 4) {
+    // Two complementary pairs form a rectangle: opposite gaps are equal
+    const isRectangle = gaps.every(gap => gap >= 30) &&
+      isNear(gaps[0], gaps[2]) && isNear(gaps[1], gaps[3]);
+    return isRectangle ? 'tetradic' : null;
+  }
+
+  return null;
+};
+
+/**
+ * Score contribution of an outfit's color scheme
+ * @param {string|null} scheme - Key of COLOR_SCHEMES, or null
  * @param {boolean} isFormal - Whether this is for formal styling
- * @returns {Object} Scoring result with total score and explanation
+ * @param {Object} weights - Scoring profile weights and thresholds
+ * @returns {number}
+ */
+export const scoreColorScheme = (scheme, isFormal = false, weights = DEFAULT_SCORING_WEIGHTS) => {
+  if (!scheme) return weights.noSchemeScore;
+  return weights.schemeScores[scheme][isFormal ? 'formal' : 'casual'];
+};
+
+/**
+ * Score how the secondary and accent colors of two items interact.
+ * The primary-to-primary pairing is scored by calculateColorHarmony; every other
+ * palette pairing contributes in proportion to the coverage of both colors, so a
+ * thin stripe matters less than a large panel.
+ * @param {Object} item1 - First wardrobe item
+ * @param {Object} item2 - Second wardrobe item
+ * @param {boolean} isFormalContext - Whether this is for formal outfit suggestions
+ * @param {Object} weights - Scoring profile weights and thresholds
+ * @returns {number} Weighted harmony contribution (negative when accents clash)
+ */
+export const calculatePaletteHarmony = (item1, item2, isFormalContext = false, weights = DEFAULT_SCORING_WEIGHTS) => {
+  const palette1 = getItemPalette(item1);
+  const palette2 = getItemPalette(item2);
+  let score = 0;
+
+  palette1.forEach((color1, i) => {
+    palette2.forEach((color2, j) => {
+      if (i === 0 && j === 0) return;
+
+      const weight = color1.weight * color2.weight;
+      const harmony = calculateColorHarmony(color1, color2, isFormalContext, { weights });
+      const clashPenalty = isClashingPair(color1, color2, weights) ? weights.clashPenalty : 0;
+      score += weight * (harmony - clashPenalty);
+    });
+  });
+
+  return score;
+};
+
+/**
+ * Profile weights adjusted for an occasion's contrast preference
+ * @param {Object} weights - Scoring profile weights and thresholds
+ * @param {Object} occasion - Occasion definition
+ * @returns {Object} Effective weights
+ */
+const getOccasionWeights = (weights, occasion) => ({
+  ...weights,
+  contrastScore: weights.contrastScore * occasion.contrastMultiplier
+});
+
+/**
+ * Short description of an item for explanations: its color name, then the
+ * material and name the user gave it, falling back to the category
+ * @param {Object} item - Wardrobe item
+ * @returns {string} e.g. "navy wool blazer" or "navy tops"
+ */
+const describeItem = (item) => {
+  const { name, material } = getItemDetails(item);
+  const noun = name || item.category.toLowerCase();
+  const showMaterial = material && !noun.toLowerCase().includes(material.toLowerCase());
+  return [getItemColorName(item).name, showMaterial ? material.toLowerCase() : null, noun].filter(Boolean).join(' ');
+};
+
+/**
+ * Map a raw rule score onto 0–10. The curve is steepest around 0, so small
+ * differences between ordinary outfits stay visible, and it never reaches the
+ * ends, so the order of outfits is kept even for extreme raw scores.
+ * @param {number} rawScore - Sum of rule points
+ * @returns {number} Score from 0 to 10, 5 for a raw score of 0
  */
-export const scoreOutfitCombination = (items, isFormal = false) => {
+export const toTenPointScale = (rawScore) => 10 / (1 + Math.exp(-rawScore / SCORE_SCALE));
+
+/**
+ * Score an outfit combination based on color harmony rules.
+ * Outfit-wide rules count once, pair rules are averaged over all pairs and the
+ * formal neutral bonus uses the share of neutral pieces, so an outfit does not
+ * score higher just for having more pieces. In a layered outfit the average
+ * is weighted by how much of each piece shows: most for the outer layer, least
+ * for the base layer under it. The rule points add up to a raw score, which is
+ * mapped onto 0–10.
+ * @param {Object[]} items - Array of wardrobe items with extracted colors
+ * @param {Object} occasion - Occasion definition from OCCASIONS
+ * @param {Object} profileWeights - Scoring profile weights and thresholds
+ * @param {Object} options - Scoring options
+ * @param {string|null} options.personalColor - Wearer's sub-season (key of SUB_SEASONS), adds a "suits you" term
+ * @param {Object|null} options.weather - Weather conditions; items unsuited to them lower the score
+ * @param {Object|null} options.preferenceModel - Model trained on the wearer's likes and dislikes
+ * @param {Object} options.categories - Category registry, which decides the outfit slots of each item
+ * @returns {Object} Scoring result with the 0–10 score, raw score, per-rule breakdown and explanation
+ */
+export const scoreOutfitCombination = (items, occasion = OCCASIONS.casual, profileWeights = DEFAULT_SCORING_WEIGHTS, { personalColor = null, weather = null, preferenceModel = null, categories = DEFAULT_CATEGORIES } = {}) => {
   if (items.length < 2) {
-    return { score: 0, explanation: "Not enough items for scoring" };
+    return { score: 0, rawScore: 0, breakdown: [], explanation: "Not enough items for scoring" };
   }
   
-  let totalScore = 0;
+  const isFormal = isFormalOccasion(occasion);
+  const weights = getOccasionWeights(profileWeights, occasion);
+  const occasionName = occasion.label.toLowerCase();
+  
+  const breakdown = [];
+  // Record the points a rule contributed; rules that did not apply are left out
+  const addPoints = (rule, label, points) => {
+    if (points !== 0) {
+      breakdown.push({ rule, label, points });
+    }
+  };
+  
   let harmonyDetails = [];
   let neutralCount = 0;
   let avgSaturation = 0;
+  let hueDistanceSum = 0;
+  let chromaticPairs = 0;
+  let lightnessGapSum = 0;
+  
+  // Hue relationships are judged across the whole outfit
+  const scheme = detectColorScheme(items, weights);
+  addPoints('scheme', scheme ? `${COLOR_SCHEMES[scheme].label} color scheme` : 'Hues follow no color scheme', scoreColorScheme(scheme, isFormal, weights));
+  if (occasion.schemeBonuses[scheme]) {
+    addPoints('occasion-scheme', `${COLOR_SCHEMES[scheme].label} scheme suits ${occasionName}`, occasion.schemeBonuses[scheme]);
+  }
+  if (scheme && scheme !== 'neutral') {
+    harmonyDetails.push(`Whole outfit: ${COLOR_SCHEMES[scheme].label.toLowerCase()} color scheme`);
+  } else if (!scheme) {
+    harmonyDetails.push('Whole outfit: hues follow no color scheme');
+  }
+  
+  // Upper-body layers, innermost first; the pieces that show most weigh most
+  const { layers } = getOutfitLayers(items, categories);
+  const isLayered = layers.length > 0;
+  const layerOf = new Map(layers.map(({ layer, item }) => [item.id, layer]));
+  const visibleArea = (item) => {
+    if (!isLayered) return 1;
+    if (layerOf.get(item.id) === 'outer') return weights.outerLayerWeight;
+    return layerOf.get(item.id) === 'base' ? COVERED_LAYER_WEIGHT : 1;
+  };
   
   // Calculate pairwise scores and gather statistics
+  const pairs = [];
   for (let i = 0; i < items.length; i++) {
     for (let j = i + 1; j < items.length; j++) {
       const item1 = items[i];
       const item2 = items[j];
+      const notes = [];
+      
+      const relationship = compareColors(item1, item2, weights);
+      if (relationship.hueDistance !== null) {
+        hueDistanceSum += relationship.hueDistance;
+        chromaticPairs++;
+      }
+      lightnessGapSum += relationship.lightnessGap;
+      const harmonyScore = calculateColorHarmony(item1, item2, isFormal, { includeHue: false, weights });
+      const paletteScore = calculatePaletteHarmony(item1, item2, isFormal, weights);
       
-      const harmonyScore = calculateColorHarmony(item1.hsl, item2.hsl, isFormal);
-      totalScore += harmonyScore;
+      if (harmonyScore > 0 && (isNeutralColor(item1.hsl, weights.neutralSaturation) || isNeutralColor(item2.hsl, weights.neutralSaturation))) {
+        notes.push('neutral pairing');
+      }
       
-      if (harmonyScore > 0) {
-        const hueDistance = hueDifference(item1.hsl[0], item2.hsl[0]);
-        if (hueDistance >= 150 && hueDistance <= 210) {
-          harmonyDetails.push(`${item1.category} + ${item2.category}: complementary colors`);
-        } else if (hueDistance <= 30) {
-          harmonyDetails.push(`${item1.category} + ${item2.category}: analogous harmony`);
-        }
-        
-        if (isNeutralColor(item1.hsl) || isNeutralColor(item2.hsl)) {
-          harmonyDetails.push(`${item1.category} + ${item2.category}: neutral pairing`);
-        }
+      if (relationship.lightnessGap >= weights.contrastLightnessGap) {
+        notes.push('light/dark contrast');
       }
+      
+      if (relationship.isNearMatch) {
+        notes.push('colors too close without matching');
+      }
+      
+      if (paletteScore >= 0.5) {
+        notes.push('secondary colors tie the look together');
+      } else if (paletteScore <= -0.5) {
+        notes.push('clashing accent colors');
+      }
+      
+      notes
+        .filter(note => note !== 'light/dark contrast')
+        .forEach(note => harmonyDetails.push(`${item1.category} + ${item2.category}: ${note}`));
+      pairs.push({
+        itemIds: [item1.id, item2.id],
+        label: `${describeItem(item1)} + ${describeItem(item2)}`,
+        points: harmonyScore + paletteScore,
+        weight: (visibleArea(item1) + visibleArea(item2)) / 2,
+        notes
+      });
     }
     
-    if (isNeutralColor(items[i].hsl)) {
+    if (isNeutralColor(items[i].hsl, weights.neutralSaturation)) {
       neutralCount++;
     }
     avgSaturation += items[i].hsl[1];
@@ -99,31 +510,132 @@ export const scoreOutfitCombination = (items, isFormal = false) => {
   
   avgSaturation /= items.length;
   
+  // Pairs count on average, so more pieces do not mean more points
+  const totalWeight = pairs.reduce((sum, pair) => sum + pair.weight, 0);
+  const pairAverage = pairs.reduce((sum, pair) => sum + pair.points * pair.weight, 0) / totalWeight;
+  breakdown.push({
+    rule: 'pairs',
+    label: `Pair harmony (average of ${pairs.length} pair${pairs.length !== 1 ? 's' : ''}${isLayered ? ', weighted by visible area' : ''})`,
+    points: pairAverage,
+    pairs
+  });
+  
+  // The base layer shows at the collar of the layer over it; a clear
+  // light/dark step there frames the face instead of blurring into it
+  if (isLayered && layers[0].layer === 'base') {
+    const [{ item: base }, { item: over }] = layers;
+    if (compareColors(base, over, weights).lightnessGap >= weights.layerContrastGap) {
+      addPoints('layer-contrast', `Layers: ${describeItem(base)} stands out at the collar`, weights.layerContrastScore);
+      harmonyDetails.push(`Layers: ${describeItem(base)} frames the collar of the ${describeItem(over)}`);
+    }
+  }
+  
   // Apply formal/casual preferences
   if (isFormal) {
     // Formal prefers neutrals and lower saturation
-    totalScore += neutralCount * 0.5;
-    if (avgSaturation > 55) {
-      totalScore -= 1; // Penalize overly bright combinations in formal context
+    addPoints('formal-neutrals', `Formal: ${neutralCount} of ${items.length} pieces neutral`, (neutralCount / items.length) * weights.formalNeutralShareBonus);
+    if (avgSaturation > weights.formalSaturationLimit) {
+      addPoints('formal-saturation', 'Formal: too bright overall', -weights.formalSaturationPenalty);
     }
   } else {
     // Casual allows bolder combinations
-    if (avgSaturation > 40) {
-      totalScore += 0.5; // Reward vibrant combinations in casual context
+    if (avgSaturation > weights.casualSaturationThreshold) {
+      addPoints('casual-vibrancy', 'Casual: vibrant colors', weights.casualVibrancyBonus);
+    }
+  }
+  
+  // Occasion-specific saturation band
+  const fitsSaturation = !occasion.saturationRange ||
+    (avgSaturation >= occasion.saturationRange[0] && avgSaturation <= occasion.saturationRange[1]);
+  if (!fitsSaturation) {
+    const tooBright = avgSaturation > occasion.saturationRange[1];
+    addPoints('occasion-saturation', `${tooBright ? 'Too bright' : 'Too muted'} for ${occasionName}`, -occasion.saturationPenalty);
+    harmonyDetails.push(`Whole outfit: ${tooBright ? 'too bright' : 'too muted'} for ${occasionName}`);
+  }
+  
+  // Colors that flatter the wearer, weighted towards pieces worn near the face
+  let suitsYou = null;
+  if (SUB_SEASONS[personalColor]) {
+    suitsYou = scoreOutfitForWearer(items, personalColor, categories);
+    const subSeasonLabel = SUB_SEASONS[personalColor].label.toLowerCase();
+    addPoints('personal-color', `Fit with your ${subSeasonLabel} coloring`, suitsYou * weights.personalColorWeight);
+    if (suitsYou >= 0.5) {
+      harmonyDetails.push(`Whole outfit: colors that suit your ${subSeasonLabel} coloring`);
+    } else if (suitsYou <= -0.5) {
+      harmonyDetails.push(`Whole outfit: colors that fight your ${subSeasonLabel} coloring`);
     }
   }
   
+  // Pieces made for other temperatures, or that would get soaked
+  let weatherMismatch = null;
+  if (weather) {
+    const { mismatch, tooWarm, tooCold, wet } = scoreOutfitForWeather(items, weather, categories);
+    weatherMismatch = Math.round(mismatch * 100) / 100;
+    addPoints('weather', `Unsuitable for ${describeWeather(weather)}`, -mismatch * weights.weatherMismatchSharePenalty);
+    const names = (list) => list.map(item => item.category.toLowerCase()).join(' and ');
+    if (tooWarm.length > 0) {
+      harmonyDetails.push(`Weather: ${names(tooWarm)} too warm for ${weather.temperature}°C`);
+    }
+    if (tooCold.length > 0) {
+      harmonyDetails.push(`Weather: ${names(tooCold)} too light for ${weather.temperature}°C`);
+    }
+    if (wet.length > 0) {
+      harmonyDetails.push(`Weather: ${names(wet)} not waterproof`);
+    }
+  }
+  
+  // One patterned piece among solids reads as a deliberate statement;
+  // several patterns compete for attention, the more so the larger their share
+  const patternedItems = items.filter(item => getItemPattern(item) !== 'solid');
+  let patternNote = null;
+  if (patternedItems.length === 1) {
+    const [statementItem] = patternedItems;
+    const statementName = `${PATTERN_TYPES[getItemPattern(statementItem)].toLowerCase()} ${statementItem.category.toLowerCase()}`;
+    patternNote = `${statementName} as the statement piece`;
+    addPoints('pattern', `Statement piece: ${statementName}`, weights.statementPatternBonus);
+  } else if (patternedItems.length > 1) {
+    patternNote = `competing patterns on ${patternedItems.map(item => item.category.toLowerCase()).join(' and ')}`;
+    addPoints('pattern', `Competing patterns (${patternedItems.length} of ${items.length} pieces patterned)`, -(patternedItems.length / items.length) * weights.competingPatternSharePenalty);
+  }
+  
+  const details = {
+    harmonyDetails,
+    scheme,
+    occasion: occasion.id,
+    fitsSaturation,
+    suitsYou: suitsYou === null ? null : Math.round(suitsYou * 100) / 100,
+    weatherMismatch,
+    preference: null,
+    neutralCount,
+    patternedCount: patternedItems.length,
+    avgSaturation: Math.round(avgSaturation),
+    avgHueDistance: chromaticPairs > 0 ? Math.round(hueDistanceSum / chromaticPairs) : null,
+    avgLightnessGap: Math.round(lightnessGapSum / pairs.length)
+  };
+  
+  // Blend in what the wearer's likes and dislikes taught the preference model
+  if (preferenceModel) {
+    const preference = scorePreference(preferenceModel, getOutfitFeatures(details, items.length));
+    details.preference = Math.round(preference * 100) / 100;
+    addPoints('preference', 'Learned from your ratings', preference * weights.preferenceWeight);
+    if (preference >= 0.4) {
+      harmonyDetails.push('Learned: similar to outfits you liked');
+    } else if (preference <= -0.4) {
+      harmonyDetails.push('Learned: similar to outfits you disliked');
+    }
+  }
+  
+  const rawScore = breakdown.reduce((sum, entry) => sum + entry.points, 0);
+  
   // Generate human-readable explanation
-  let explanation = generateOutfitExplanation(items, harmonyDetails, isFormal, neutralCount, avgSaturation);
+  let explanation = generateOutfitExplanation(items, harmonyDetails, occasion, neutralCount, avgSaturation, patternNote);
   
   return {
-    score: totalScore,
+    score: toTenPointScale(rawScore),
+    rawScore,
+    breakdown,
     explanation,
-    details: {
-      harmonyDetails,
-      neutralCount,
-      avgSaturation: Math.round(avgSaturation)
-    }
+    details
   };
 };
 
@@ -131,16 +643,19 @@ export const scoreOutfitCombination = (items, isFormal = false) => {
  * Generate human-readable explanation for outfit combination
  * @param {Object[]} items - Wardrobe items
  * @param {string[]} harmonyDetails - Detailed harmony information
- * @param {boolean} isFormal - Formal context
+ * @param {Object} occasion - Occasion definition
  * @param {number} neutralCount - Number of neutral items
  * @param {number} avgSaturation - Average saturation
+ * @param {string|null} patternNote - Note on how the outfit mixes patterns
  * @returns {string} Human-readable explanation
  */
-const generateOutfitExplanation = (items, harmonyDetails, isFormal, neutralCount, avgSaturation) => {
-  const itemNames = items.map(item => `${item.hex} ${item.category.toLowerCase()}`);
+const generateOutfitExplanation = (items, harmonyDetails, occasion, neutralCount, avgSaturation, patternNote = null) => {
+  const itemNames = items.map(describeItem);
+  const isFormal = isFormalOccasion(occasion);
   
   if (harmonyDetails.length === 0 && neutralCount === 0) {
-    return `${itemNames.join(" + ")} — experimental color combination for ${isFormal ? 'formal' : 'casual'} wear`;
+    const experimental = `${itemNames.join(" + ")} — experimental color combination for ${occasion.label.toLowerCase()} wear`;
+    return patternNote ? `${experimental}; ${patternNote}` : experimental;
   }
   
   let explanation = "";
@@ -155,86 +670,355 @@ const generateOutfitExplanation = (items, harmonyDetails, isFormal, neutralCount
     explanation += primaryHarmony.split(': ')[1];
   }
   
-  if (isFormal && neutralCount > 0) {
-    explanation += " — professional and sophisticated";
-  } else if (!isFormal && avgSaturation > 50) {
-    explanation += " — vibrant and expressive";
+  if (patternNote) {
+    if (explanation) explanation += "; ";
+    explanation += patternNote;
+  }
+  
+  if ((isFormal && neutralCount > 0) || (!isFormal && avgSaturation > 50)) {
+    explanation += ` — ${occasion.tagline}`;
   }
   
   return `${itemNames.join(" + ")} — ${explanation}`;
 };
 
 /**
- * Generate outfit suggestions from wardrobe items
- * @param {Object} wardrobe - Wardrobe object with categorized items
- * @param {boolean} isFormal - Whether to generate formal outfits
- * @param {number} maxSuggestions - Maximum number of suggestions to return
- * @returns {Object[]} Array of outfit suggestions
+ * Deterministic pseudo-random number in [0, 1) for a string and seed (FNV-1a hash)
+ * @param {string} key - Value to hash
+ * @param {number} seed - Seed mixed into the hash
+ * @returns {number}
  */
-export const generateOutfitSuggestions = (wardrobe, isFormal = false, maxSuggestions = 3) => {
-  const { tops = [], bottoms = [], footwear = [], accessories = [] } = wardrobe;
-  
-  if (tops.length === 0 && bottoms.length === 0) {
-    return [];
+const seededRandom = (key, seed) => {
+  let hash = (2166136261 ^ seed) >>> 0;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 16777619) >>> 0;
   }
-  
-  const suggestions = [];
-  const maxCandidates = 200;
-  let attempts = 0;
-  
-  // Generate random combinations
-  while (suggestions.length < maxSuggestions && attempts < maxCandidates) {
-    attempts++;
-    
-    const combination = [];
-    
-    // Always try to include a top if available
-    if (tops.length > 0) {
-      combination.push(tops[Math.floor(Math.random() * tops.length)]);
-    }
-    
-    // Always try to include a bottom if available
-    if (bottoms.length > 0) {
-      combination.push(bottoms[Math.floor(Math.random() * bottoms.length)]);
+  return hash / 4294967296;
+};
+
+/**
+ * Stable key of a combination, independent of item order
+ * @param {Object[]} items - Wardrobe items
+ * @returns {string}
+ */
+const combinationKey = (items) => items.map(item => item.id).sort().join('-');
+
+/**
+ * Build the slots an outfit is assembled from, as the occasion defines them.
+ * Each item is offered in the first slot it fills; a piece that fills several
+ * slots, like a dress, also covers the later ones. An anchored slot holds only
+ * its anchor, which every outfit wears even if the occasion would normally
+ * leave that slot empty. When the weather is known, the outerwear slot is
+ * required in the cold and optional otherwise.
+ * @param {Object} wardrobe - Wardrobe object with categorized items
+ * @param {Object} occasion - Occasion definition
+ * @param {Object[]} anchors - Items every outfit must include, at most one per slot
+ * @param {Object|null} weather - Weather conditions
+ * @param {Object} categories - Category registry
+ * @returns {{slot: string, items: Object[], optional: boolean, coverable: boolean}[]} Slots in fill order; a slot is only empty if it is required or an earlier slot's pieces can cover it
+ */
+const getOutfitSlots = (wardrobe, occasion, anchors = [], weather = null, categories = DEFAULT_CATEGORIES) => {
+  const items = Object.values(wardrobe).flat();
+  const firstSlotOf = (item) => getItemSlots(item, categories)[0];
+
+  const slots = Object.keys(OUTFIT_SLOTS).map((slot) => {
+    const anchor = anchors.find(item => getItemSlots(item, categories).includes(slot));
+    if (anchor) {
+      return { slot, items: firstSlotOf(anchor) === slot ? [anchor] : [], optional: false };
     }
-    
-    // Optionally add footwear
-    if (footwear.length > 0 && Math.random() > 0.3) {
-      combination.push(footwear[Math.floor(Math.random() * footwear.length)]);
+    const role = slot === OUTERWEAR_SLOT && weather
+      ? (needsOuterwear(weather) ? 'required' : 'optional')
+      : occasion.slots[slot];
+    if (!role) {
+      return { slot, items: [], optional: true };
     }
-    
-    // Optionally add accessories
-    if (accessories.length > 0 && Math.random() > 0.5) {
-      combination.push(accessories[Math.floor(Math.random() * accessories.length)]);
+    return { slot, items: items.filter(item => firstSlotOf(item) === slot), optional: role === 'optional', required: role === 'required' };
+  });
+
+  return slots
+    .map((current, index) => ({
+      ...current,
+      coverable: slots.slice(0, index).some(earlier => earlier.items.some(item => getItemSlots(item, categories).includes(current.slot)))
+    }))
+    .filter(current => current.items.length > 0 || current.required || (current.coverable && !current.optional));
+};
+
+/**
+ * Score every combination, or beam-search when there are too many to score.
+ * The beam search fills one slot at a time; for each partial outfit only the
+ * extensions with the best pairwise harmony against the pieces already chosen
+ * are fully scored, and the best partial outfits move on (see pruneToBeam).
+ * @param {Object} wardrobe - Wardrobe object with categorized items
+ * @param {Object} occasion - Occasion definition from OCCASIONS
+ * @param {Object} options - Search options
+ * @param {number} options.seed - Seed for breaking ties between equal scores
+ * @param {number} options.limit - Number of combinations to return
+ * @param {Object} options.weights - Scoring profile weights and thresholds
+ * @param {Object[]} options.anchors - Items every combination must include, at most one per slot
+ * @param {string|null} options.personalColor - Wearer's sub-season (key of SUB_SEASONS)
+ * @param {Object|null} options.weather - Weather conditions; items that cannot be worn in them are left out
+ * @param {Object|null} options.preferenceModel - Model trained on the wearer's likes and dislikes
+ * @param {Object} options.categories - Category registry, which decides the slots each item fills
+ * @param {boolean} options.includeUnavailable - Also use items that are in the laundry, lent out or stored; anchors are always used
+ * @returns {{items: Object[], key: string, scoring: Object}[]} Combinations, best first
+ */
+export const rankOutfitCombinations = (wardrobe, occasion = OCCASIONS.casual, { seed = 0, limit = 3, weights = DEFAULT_SCORING_WEIGHTS, anchors = [], personalColor = null, weather = null, preferenceModel = null, categories = DEFAULT_CATEGORIES, includeUnavailable = false } = {}) => {
+  const available = filterWardrobeForWeather(includeUnavailable ? wardrobe : filterAvailableWardrobe(wardrobe, anchors), weather);
+  const slots = getOutfitSlots(available, occasion, anchors, weather, categories);
+  if (getMissingSlots(available, occasion, categories).length > 0 ||
+    !slots.some(slot => !slot.optional) ||
+    slots.some(slot => slot.items.length === 0 && !slot.coverable)) {
+    return [];
+  }
+
+  const slotsOf = (item) => getItemSlots(item, categories);
+  const layerOf = (item) => getItemLayer(item, categories);
+  // Slots held by anchors; other pieces that would also fill them are left out
+  const anchorIds = new Set(anchors.map(anchor => anchor.id));
+  const anchoredSlots = new Set(anchors.flatMap(slotsOf));
+  const fitsAnchors = (item) => anchorIds.has(item.id) || !slotsOf(item).some(slot => anchoredSlots.has(slot));
+
+  const isFormal = isFormalOccasion(occasion);
+  const pairWeights = getOccasionWeights(weights, occasion);
+  const combinationCount = slots.reduce((count, slot) => count * (slot.items.length + (slot.optional ? 1 : 0)), 1);
+
+  const pairScores = new Map();
+  const pairScore = (item1, item2) => {
+    const key = item1.id < item2.id ? `${item1.id}|${item2.id}` : `${item2.id}|${item1.id}`;
+    if (!pairScores.has(key)) {
+      pairScores.set(key, calculateColorHarmony(item1, item2, isFormal, { weights: pairWeights }) + calculatePaletteHarmony(item1, item2, isFormal, pairWeights));
     }
-    
-    // Skip if we don't have enough items
-    if (combination.length < 2) continue;
-    
-    // Score the combination
-    const scoring = scoreOutfitCombination(combination, isFormal);
-    
-    // Check if this combination already exists
-    const combinationIds = combination.map(item => item.id).sort().join('-');
-    const exists = suggestions.some(suggestion => 
-      suggestion.items.map(item => item.id).sort().join('-') === combinationIds
-    );
-    
-    if (!exists) {
-      suggestions.push({
-        id: `outfit-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-        items: combination,
-        score: scoring.score,
-        explanation: scoring.explanation,
-        details: scoring.details,
-        style: isFormal ? 'formal' : 'casual',
-        timestamp: Date.now()
+    return pairScores.get(key);
+  };
+
+  const evaluate = (items) => ({
+    items,
+    key: combinationKey(items),
+    filled: new Set(items.flatMap(slotsOf)),
+    scoring: items.length >= 2 ? scoreOutfitCombination(items, occasion, weights, { personalColor, weather, preferenceModel, categories }) : { score: 0 }
+  });
+
+  const byScore = (a, b) => {
+    return (b.scoring.score - a.scoring.score) || (seededRandom(a.key, seed) - seededRandom(b.key, seed));
+  };
+
+  // Keep the best BEAM_WIDTH partial outfits, and the best few of every size.
+  // A dress alone, or a top still waiting for its bottom, cannot be scored yet
+  // and always moves on; an unlayered outfit is kept even when layered ones
+  // with more pieces outscore it, so it can still win once it is complete.
+  const pruneToBeam = (extended) => {
+    const scored = extended.filter(partial => partial.items.length >= 2).sort(byScore);
+    const kept = new Set(scored.slice(0, BEAM_WIDTH));
+    const keptPerSize = new Map();
+    scored.forEach((partial) => {
+      const size = partial.items.length;
+      const count = keptPerSize.get(size) || 0;
+      if (count < BEAM_RESERVE_PER_SIZE) kept.add(partial);
+      keptPerSize.set(size, count + 1);
+    });
+    return extended.filter(partial => partial.items.length < 2 || kept.has(partial));
+  };
+
+  let partials = [evaluate([])];
+  slots.forEach((slot) => {
+    const slotItems = slot.items.filter(fitsAnchors);
+    const options = slot.optional ? [...slotItems, null] : slotItems;
+    const extended = [];
+
+    partials.forEach((partial) => {
+      // A piece chosen earlier, like a dress, already fills this slot
+      if (partial.filled.has(slot.slot)) {
+        extended.push(partial);
+        return;
+      }
+      // A mid-layer is only worn over a base layer
+      const hasBase = partial.items.some(chosen => layerOf(chosen) === 'base');
+      let candidates = options.filter(item => !item || (
+        !slotsOf(item).some(filled => partial.filled.has(filled)) && (hasBase || layerOf(item) !== 'mid')
+      ));
+
+      if (combinationCount > EXHAUSTIVE_SEARCH_LIMIT && partial.items.length > 0) {
+        // Prune on pairwise harmony with the pieces already in the outfit
+        const pairwise = (item) => item ? partial.items.reduce((sum, chosen) => sum + pairScore(chosen, item), 0) : 0;
+        candidates = [...candidates]
+          .sort((a, b) => pairwise(b) - pairwise(a))
+          .slice(0, EXTENSIONS_PER_BEAM);
+        if (slot.optional && !candidates.includes(null)) {
+          candidates.push(null);
+        }
+      }
+
+      candidates.forEach((item) => {
+        extended.push(item ? evaluate([...partial.items, item]) : partial);
       });
-    }
+    });
+
+    partials = combinationCount > EXHAUSTIVE_SEARCH_LIMIT ? pruneToBeam(extended) : extended;
+  });
+
+  return partials
+    .filter(combination => combination.items.length >= 2)
+    .sort(byScore)
+    .slice(0, limit);
+};
+
+/**
+ * How alike two outfits look: the share of pieces they have in common, blended
+ * with how close their colors are
+ * @param {Object[]} items1 - First outfit's items
+ * @param {Object[]} items2 - Second outfit's items
+ * @returns {number} 0 (nothing in common) to 1 (same outfit)
+ */
+export const outfitSimilarity = (items1, items2) => {
+  const ids2 = new Set(items2.map(item => item.id));
+  const shared = items1.filter(item => ids2.has(item.id)).length;
+  const itemOverlap = shared / Math.min(items1.length, items2.length);
+
+  // Average distance from each color to the closest color of the other outfit
+  const closestDistance = (from, to) => {
+    const distances = from.map(item => Math.min(...to.map(other => deltaE2000(getColorLab(item), getColorLab(other)))));
+    return distances.reduce((sum, distance) => sum + distance, 0) / distances.length;
+  };
+  const paletteDistance = (closestDistance(items1, items2) + closestDistance(items2, items1)) / 2;
+  const paletteOverlap = 1 - Math.min(1, paletteDistance / PALETTE_DISTINCT_DELTA_E);
+
+  return 0.6 * itemOverlap + 0.4 * paletteOverlap;
+};
+
+/**
+ * Re-rank scored outfits with maximal marginal relevance: each pick maximizes
+ * its normalized score minus its similarity to the outfits already picked, so
+ * one versatile piece does not anchor every suggestion
+ * @param {{items: Object[], scoring: Object}[]} ranked - Combinations, best first
+ * @param {number} count - Number of combinations to pick
+ * @param {number} diversity - 0 keeps the score order, 1 favors the most different looks
+ * @returns {{items: Object[], scoring: Object}[]} Picked combinations in pick order
+ */
+export const rerankForDiversity = (ranked, count, diversity = 0) => {
+  if (diversity <= 0 || ranked.length <= 1) {
+    return ranked.slice(0, count);
   }
-  
-  // Sort by score and return top suggestions
-  return suggestions
-    .sort((a, b) => b.score - a.score)
-    .slice(0, maxSuggestions);
-};
\ No newline at end of file
+
+  const scores = ranked.map(combination => combination.scoring.score);
+  const best = Math.max(...scores);
+  const range = best - Math.min(...scores) || 1;
+
+  const remaining = [...ranked];
+  const picked = [];
+  while (picked.length < count && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+
+    remaining.forEach((candidate, index) => {
+      const quality = 1 - (best - candidate.scoring.score) / range;
+      const redundancy = picked.length > 0
+        ? Math.max(...picked.map(chosen => outfitSimilarity(candidate.items, chosen.items)))
+        : 0;
+      const value = (1 - diversity) * quality - diversity * redundancy;
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = index;
+      }
+    });
+
+    picked.push(remaining.splice(bestIndex, 1)[0]);
+  }
+
+  return picked;
+};
+
+/**
+ * Explain why an item was picked to go with the anchor pieces, from its
+ * strongest relation to the anchor it harmonizes with best
+ * @param {Object} item - Picked item
+ * @param {Object[]} anchors - Anchor items
+ * @param {Object} occasion - Occasion definition
+ * @param {Object} weights - Scoring profile weights and thresholds
+ * @param {string|null} scheme - Color scheme of the whole outfit
+ * @returns {string} Short reason, e.g. "opposite hue to the red tops: striking contrast"
+ */
+export const explainAnchorPick = (item, anchors, occasion = OCCASIONS.casual, weights = DEFAULT_SCORING_WEIGHTS, scheme = null) => {
+  const isFormal = isFormalOccasion(occasion);
+  const occasionWeights = getOccasionWeights(weights, occasion);
+  const pairScore = (anchor) => calculateColorHarmony(item, anchor, isFormal, { weights: occasionWeights }) +
+    calculatePaletteHarmony(item, anchor, isFormal, occasionWeights);
+  const anchor = anchors.reduce((best, candidate) => pairScore(candidate) > pairScore(best) ? candidate : best);
+
+  const anchorName = describeItem(anchor);
+  const relationship = compareColors(item, anchor, occasionWeights);
+  const itemNeutral = isNeutralColor(item.hsl, weights.neutralSaturation);
+  const anchorNeutral = isNeutralColor(anchor.hsl, weights.neutralSaturation);
+
+  if (relationship.relation === 'complementary') {
+    return `opposite hue to the ${anchorName}: striking contrast`;
+  }
+  if (!itemNeutral && !anchorNeutral && relationship.deltaE < NEAR_MATCH_DELTA_E[0]) {
+    return `same color as the ${anchorName} for a tonal look`;
+  }
+  if (relationship.relation === 'analogous') {
+    return `neighbouring hue to the ${anchorName}: calm and harmonious`;
+  }
+  if (itemNeutral && !anchorNeutral) {
+    return `neutral base that lets the ${anchorName} stand out`;
+  }
+  if (!itemNeutral && anchorNeutral) {
+    return `adds color against the neutral ${anchorName}`;
+  }
+  if (relationship.lightnessGap >= weights.contrastLightnessGap) {
+    return `light/dark contrast with the ${anchorName}`;
+  }
+  if (calculatePaletteHarmony(item, anchor, isFormal, occasionWeights) >= 0.5) {
+    return `picks up the secondary colors of the ${anchorName}`;
+  }
+  if (scheme && scheme !== 'neutral') {
+    return `completes the ${COLOR_SCHEMES[scheme].label.toLowerCase()} color scheme with the ${anchorName}`;
+  }
+  return `best-scoring match for the ${anchorName}`;
+};
+
+/**
+ * Generate outfit suggestions from wardrobe items.
+ * Results come from the highest-scoring combinations, so the same wardrobe,
+ * occasion and settings always produce the same suggestions.
+ * @param {Object} wardrobe - Wardrobe object with categorized items
+ * @param {Object} occasion - Occasion definition from OCCASIONS
+ * @param {number} maxSuggestions - Maximum number of suggestions to return
+ * @param {Object} options - Search options
+ * @param {number} options.seed - Seed for breaking ties between equal scores
+ * @param {number} options.offset - Number of suggestions to skip, for paging through results
+ * @param {number} options.diversity - Trade-off between score (0) and variety (1)
+ * @param {Object} options.weights - Scoring profile weights and thresholds
+ * @param {Object[]} options.anchors - Items to build every outfit around; the other slots are filled with their best complements
+ * @param {string|null} options.personalColor - Wearer's sub-season (key of SUB_SEASONS)
+ * @param {Object|null} options.weather - Weather conditions; unsuitable items are left out or down-ranked, and cold weather requires outerwear
+ * @param {Object|null} options.preferenceModel - Model trained on the wearer's likes and dislikes, blended with the rule score
+ * @param {Object} options.categories - Category registry, which decides the slots each item fills
+ * @param {boolean} options.includeUnavailable - Also use items that are in the laundry, lent out or stored, e.g. when planning ahead
+ * @returns {Object[]} Array of outfit suggestions
+ */
+export const generateOutfitSuggestions = (wardrobe, occasion = OCCASIONS.casual, maxSuggestions = 3, { seed = 0, offset = 0, diversity = 0, weights = DEFAULT_SCORING_WEIGHTS, anchors = [], personalColor = null, weather = null, preferenceModel = null, categories = DEFAULT_CATEGORIES, includeUnavailable = false } = {}) => {
+  const count = offset + maxSuggestions;
+  const poolSize = diversity > 0 ? count + DIVERSITY_POOL_SIZE : count;
+  const ranked = rankOutfitCombinations(wardrobe, occasion, { seed, limit: poolSize, weights, anchors, personalColor, weather, preferenceModel, categories, includeUnavailable });
+  const ordered = rerankForDiversity(ranked, count, diversity);
+  const anchorIds = new Set(anchors.map(anchor => anchor.id));
+
+  return ordered.slice(offset, count).map(({ items, key, scoring }) => ({
+    id: `outfit-${key}`,
+    items,
+    score: scoring.score,
+    rawScore: scoring.rawScore,
+    breakdown: scoring.breakdown,
+    explanation: scoring.explanation,
+    details: scoring.details,
+    style: occasion.id,
+    anchorIds: [...anchorIds],
+    anchorNotes: anchors.length > 0
+      ? items
+        .filter(item => !anchorIds.has(item.id))
+        .map(item => ({ itemId: item.id, reason: explainAnchorPick(item, anchors, occasion, weights, scoring.details.scheme) }))
+      : [],
+    timestamp: Date.now()
+  }));
+};
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankOutfitCombinations } from './colorMatching.js';
+import { createColorData } from './colorExtraction.js';
+import { OCCASIONS } from './occasions.js';
+
+/**
+ * Seeded pseudo-random generator (Park-Miller)
+ * @param {number} seed - Starting seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+};
+
+/**
+ * Items in colors from a seeded generator, so every run builds the same wardrobe
+ * @param {Function} random - Generator returning numbers in [0, 1)
+ * @param {string} category - Category label, e.g. "Tops"
+ * @param {number} count - Number of items
+ * @param {Object} weather - Weather attributes of every item, e.g. { warmth: 2 }
+ * @returns {Object[]} Wardrobe items
+ */
+const createRandomItems = (random, category, count, weather = {}) => Array.from({ length: count }, (_, i) => {
+  const { rgb, hex, hsl, lab } = createColorData([0, 0, 0].map(() => Math.floor(random() * 256)));
+  return { id: `${category}-${i}`, category, rgb, hsl, lab, dominantColorHex: hex, weather };
+});
+
+describe('rankOutfitCombinations in beam mode', () => {
+  it('keeps dress outfits that score as well as two-piece outfits', () => {
+    const random = createRandom(11);
+    const wardrobe = {
+      tops: createRandomItems(random, 'Tops', 12),
+      bottoms: createRandomItems(random, 'Bottoms', 12),
+      footwear: createRandomItems(random, 'Footwear', 6),
+      accessories: createRandomItems(random, 'Accessories', 6),
+      dresses: createRandomItems(random, 'Dresses', 6)
+    };
+
+    const ranked = rankOutfitCombinations(wardrobe, OCCASIONS.casual, { limit: 60 });
+    // Few enough dress outfits to score every one of them
+    const [bestDressOutfit] = rankOutfitCombinations(
+      { footwear: wardrobe.footwear, accessories: wardrobe.accessories, dresses: wardrobe.dresses },
+      OCCASIONS.casual,
+      { limit: 1 }
+    );
+
+    assert.ok(bestDressOutfit.scoring.score >= ranked[ranked.length - 1].scoring.score);
+    assert.ok(ranked.some(({ items }) => items.some(item => item.category === 'Dresses')));
+  });
+
+  it('suggests an unlayered outfit when the layers are too warm for the weather', () => {
+    const random = createRandom(11);
+    const wardrobe = {
+      tops: createRandomItems(random, 'Tops', 10, { warmth: 2 }),
+      bottoms: createRandomItems(random, 'Bottoms', 10, { warmth: 2 }),
+      footwear: createRandomItems(random, 'Footwear', 4, { warmth: 2 }),
+      'mid-layers': createRandomItems(random, 'Mid-layers', 10, { warmth: 3 }),
+      outerwear: createRandomItems(random, 'Outerwear', 10, { warmth: 3 })
+    };
+
+    const [best] = rankOutfitCombinations(wardrobe, OCCASIONS.casual, {
+      limit: 1,
+      weather: { temperature: 27, precipitation: 'none' }
+    });
+
+    assert.deepEqual(best.items.map(item => item.category).sort(), ['Bottoms', 'Tops']);
+  });
+});
@@ -0,0 +1,121 @@
+import { getColorLab, rgbToLab, deltaE2000 } from './colorExtraction.js';
+
+/**
+ * Color families used for grouping and filtering, in display order
+ */
+export const COLOR_FAMILIES = [
+  { key: 'neutral-dark', label: 'Dark Neutrals', swatch: '#2b2d31' },
+  { key: 'neutral', label: 'Grays', swatch: '#9a9a9a' },
+  { key: 'neutral-light', label: 'Light Neutrals', swatch: '#ede3c8' },
+  { key: 'brown', label: 'Browns', swatch: '#a0724a' },
+  { key: 'red', label: 'Reds', swatch: '#b3202f' },
+  { key: 'pink', label: 'Pinks', swatch: '#e48fae' },
+  { key: 'orange', label: 'Oranges', swatch: '#e57a30' },
+  { key: 'yellow', label: 'Yellows', swatch: '#e3c23a' },
+  { key: 'green', label: 'Greens', swatch: '#3f7a4a' },
+  { key: 'blue', label: 'Blues', swatch: '#2d4f90' },
+  { key: 'purple', label: 'Purples', swatch: '#6a3d9a' }
+];
+
+/**
+ * Fashion color names with a representative sRGB value and their family
+ */
+const NAMED_COLORS = [
+  { name: 'black', family: 'neutral-dark', rgb: [16, 16, 16] },
+  { name: 'charcoal', family: 'neutral-dark', rgb: [59, 61, 66] },
+  { name: 'slate gray', family: 'neutral', rgb: [107, 113, 120] },
+  { name: 'gray', family: 'neutral', rgb: [154, 154, 154] },
+  { name: 'silver', family: 'neutral-light', rgb: [196, 196, 196] },
+  { name: 'light gray', family: 'neutral-light', rgb: [218, 218, 216] },
+  { name: 'white', family: 'neutral-light', rgb: [247, 247, 245] },
+  { name: 'ivory', family: 'neutral-light', rgb: [243, 238, 219] },
+  { name: 'cream', family: 'neutral-light', rgb: [237, 227, 200] },
+  { name: 'beige', family: 'neutral-light', rgb: [216, 200, 168] },
+  { name: 'stone', family: 'neutral-light', rgb: [189, 181, 166] },
+  { name: 'taupe', family: 'brown', rgb: [139, 125, 107] },
+  { name: 'khaki', family: 'brown', rgb: [185, 166, 118] },
+  { name: 'camel', family: 'brown', rgb: [193, 154, 107] },
+  { name: 'tan', family: 'brown', rgb: [176, 141, 102] },
+  { name: 'cognac', family: 'brown', rgb: [154, 79, 36] },
+  { name: 'brown', family: 'brown', rgb: [111, 74, 47] },
+  { name: 'chocolate', family: 'brown', rgb: [78, 48, 36] },
+  { name: 'burgundy', family: 'red', rgb: [109, 31, 45] },
+  { name: 'maroon', family: 'red', rgb: [90, 26, 26] },
+  { name: 'red', family: 'red', rgb: [200, 32, 47] },
+  { name: 'brick', family: 'red', rgb: [164, 69, 47] },
+  { name: 'blush', family: 'pink', rgb: [232, 185, 180] },
+  { name: 'dusty rose', family: 'pink', rgb: [196, 139, 139] },
+  { name: 'pink', family: 'pink', rgb: [234, 143, 176] },
+  { name: 'fuchsia', family: 'pink', rgb: [200, 42, 128] },
+  { name: 'coral', family: 'orange', rgb: [240, 128, 106] },
+  { name: 'peach', family: 'orange', rgb: [245, 194, 160] },
+  { name: 'orange', family: 'orange', rgb: [236, 122, 37] },
+  { name: 'terracotta', family: 'orange', rgb: [192, 100, 63] },
+  { name: 'rust', family: 'orange', rgb: [179, 86, 43] },
+  { name: 'mustard', family: 'yellow', rgb: [201, 162, 39] },
+  { name: 'gold', family: 'yellow', rgb: [201, 168, 76] },
+  { name: 'yellow', family: 'yellow', rgb: [240, 212, 58] },
+  { name: 'butter', family: 'yellow', rgb: [246, 230, 160] },
+  { name: 'olive', family: 'green', rgb: [107, 107, 46] },
+  { name: 'forest green', family: 'green', rgb: [46, 90, 58] },
+  { name: 'emerald', family: 'green', rgb: [31, 138, 91] },
+  { name: 'sage', family: 'green', rgb: [156, 174, 140] },
+  { name: 'mint', family: 'green', rgb: [168, 220, 192] },
+  { name: 'lime', family: 'green', rgb: [156, 204, 60] },
+  { name: 'teal', family: 'blue', rgb: [18, 122, 122] },
+  { name: 'turquoise', family: 'blue', rgb: [48, 192, 192] },
+  { name: 'navy', family: 'blue', rgb: [31, 42, 68] },
+  { name: 'denim', family: 'blue', rgb: [87, 115, 160] },
+  { name: 'cobalt', family: 'blue', rgb: [0, 71, 171] },
+  { name: 'royal blue', family: 'blue', rgb: [45, 79, 176] },
+  { name: 'sky blue', family: 'blue', rgb: [135, 181, 224] },
+  { name: 'powder blue', family: 'blue', rgb: [182, 207, 230] },
+  { name: 'plum', family: 'purple', rgb: [94, 39, 80] },
+  { name: 'purple', family: 'purple', rgb: [106, 61, 154] },
+  { name: 'mauve', family: 'purple', rgb: [160, 122, 143] },
+  { name: 'lavender', family: 'purple', rgb: [185, 167, 214] },
+  { name: 'lilac', family: 'purple', rgb: [200, 162, 200] }
+].map(color => ({ ...color, lab: rgbToLab(color.rgb[0], color.rgb[1], color.rgb[2]) }));
+
+/**
+ * Find the closest fashion color name for a color
+ * @param {{rgb: number[], lab?: number[]}} color - Item or palette entry
+ * @returns {{name: string, family: string}} Color name and family key
+ */
+export const nameColor = (color) => {
+  const lab = getColorLab(color);
+  let closest = NAMED_COLORS[0];
+  let closestDistance = Infinity;
+
+  NAMED_COLORS.forEach((named) => {
+    const distance = deltaE2000(lab, named.lab);
+    if (distance < closestDistance) {
+      closestDistance = distance;
+      closest = named;
+    }
+  });
+
+  return { name: closest.name, family: closest.family };
+};
+
+/**
+ * Get an item's color name, naming it on the fly for items saved before
+ * names were stored
+ * @param {Object} item - Wardrobe item
+ * @returns {{name: string, family: string}} Color name and family key
+ */
+export const getItemColorName = (item) => {
+  if (item.colorName && item.colorFamily) {
+    return { name: item.colorName, family: item.colorFamily };
+  }
+  return nameColor(item);
+};
+
+/**
+ * Get the display label of a color family
+ * @param {string} familyKey - Family key, e.g. 'neutral-dark'
+ * @returns {string} Family label
+ */
+export const getColorFamilyLabel = (familyKey) => {
+  return COLOR_FAMILIES.find(family => family.key === familyKey)?.label || familyKey;
+};
@@ -0,0 +1,168 @@
+import { extractDominantColor, blobToDataUrl, loadImage, createColorData, getItemPalette } from './colorExtraction.js';
+import { nameColor } from './colorNaming.js';
+import { detectPattern } from './patternDetection.js';
+import { prepareImageForStorage } from './imageIngest.js';
+
+/**
+ * Run every analysis stage on a garment photo: background removal, palette
+ * extraction, color naming and pattern detection.
+ * Works on the main thread and inside the image processing worker.
+ * @param {HTMLImageElement|ImageBitmap} source - Decoded image
+ * @param {Object} options - Analysis options
+ * @param {{method: string, reference?: number[]}} options.whiteBalance - White-balance correction to apply
+ * @returns {Promise<Object>} Color data, color name/family and pattern for a wardrobe item
+ */
+export const analyzeGarmentImage = async (source, { whiteBalance = null } = {}) => {
+  const colorData = await extractDominantColor(source, { whiteBalance });
+  const colorName = nameColor(colorData);
+  const pattern = detectPattern(source);
+
+  return {
+    ...colorData,
+    colorName: colorName.name,
+    colorFamily: colorName.family,
+    pattern
+  };
+};
+
+/**
+ * Decode, analyze and compress an image file on the main thread, for browsers
+ * without OffscreenCanvas support in workers
+ * @param {File} file - Image file
+ * @param {Object} options - Analysis options passed to analyzeGarmentImage
+ * @param {Object} options.ingest - Compression options passed to prepareImageForStorage
+ * @returns {Promise<Object>} Analysis result plus the stored image and thumbnail data URLs
+ */
+export const analyzeImageFile = async (file, options = {}) => {
+  const img = await loadImage(await blobToDataUrl(file));
+  const analysis = await analyzeGarmentImage(img, options);
+  const image = await prepareImageForStorage(img, options.ingest);
+  return { ...image, ...analysis };
+};
+
+/**
+ * Item fields that describe its primary color
+ */
+const PRIMARY_COLOR_FIELDS = ['dominantColorHex', 'rgb', 'hsl', 'lab', 'colorName', 'colorFamily'];
+
+/**
+ * Copy the primary color fields of an item
+ * @param {Object} item - Wardrobe item (or item fields)
+ * @returns {Object} Primary color fields
+ */
+const pickPrimaryColor = (item) => {
+  return Object.fromEntries(PRIMARY_COLOR_FIELDS.map(field => [field, item[field]]));
+};
+
+/**
+ * Replace the color of a palette's primary entry, keeping its coverage
+ * @param {Object[]} palette - Palette entries
+ * @param {{rgb: number[], hex: string, hsl: number[], lab: number[]}} color - New primary color
+ * @returns {Object[]} Updated palette
+ */
+const replacePrimaryColor = (palette, color) => {
+  return palette.map((entry, index) => index === 0
+    ? { ...entry, rgb: color.rgb, hex: color.hex, hsl: color.hsl, lab: color.lab }
+    : entry
+  );
+};
+
+/**
+ * Map an analysis result to the fields stored on a wardrobe item
+ * @param {Object} analysis - Result of analyzeGarmentImage
+ * @returns {Object} Item fields
+ */
+export const getItemAnalysisFields = (analysis) => ({
+  dominantColorHex: analysis.hex,
+  rgb: analysis.rgb,
+  hsl: analysis.hsl,
+  lab: analysis.lab,
+  colorName: analysis.colorName,
+  colorFamily: analysis.colorFamily,
+  pattern: analysis.pattern,
+  palette: analysis.palette,
+  segmentation: analysis.segmentation,
+  whiteBalance: analysis.whiteBalance
+});
+
+/**
+ * Build the item updates for a user color correction.
+ * The detected color is kept in extractedColor so the correction can be reverted.
+ * @param {Object} item - Wardrobe item
+ * @param {number[]} rgb - Corrected color [r, g, b]
+ * @returns {Object} Item updates
+ */
+export const createColorCorrection = (item, rgb) => {
+  const color = createColorData(rgb);
+  const colorName = nameColor(color);
+
+  return {
+    dominantColorHex: color.hex,
+    rgb: color.rgb,
+    hsl: color.hsl,
+    lab: color.lab,
+    colorName: colorName.name,
+    colorFamily: colorName.family,
+    palette: replacePrimaryColor(getItemPalette(item), color),
+    colorCorrected: true,
+    extractedColor: item.colorCorrected ? item.extractedColor : pickPrimaryColor(item)
+  };
+};
+
+/**
+ * Build the item updates that restore the detected color after a correction
+ * @param {Object} item - Wardrobe item
+ * @returns {Object} Item updates (empty if the item was never corrected)
+ */
+export const revertColorCorrection = (item) => {
+  if (!item.colorCorrected || !item.extractedColor) return {};
+
+  const detected = item.extractedColor;
+  return {
+    ...detected,
+    palette: replacePrimaryColor(getItemPalette(item), {
+      rgb: detected.rgb,
+      hex: detected.dominantColorHex,
+      hsl: detected.hsl,
+      lab: detected.lab
+    }),
+    colorCorrected: false,
+    extractedColor: null
+  };
+};
+
+/**
+ * Build the item updates from a fresh analysis. A user-corrected color is
+ * never overwritten; the new detection is stored as extractedColor instead.
+ * @param {Object} item - Wardrobe item
+ * @param {Object} analysis - Result of analyzeGarmentImage
+ * @returns {Object} Item updates
+ */
+export const getReanalysisUpdates = (item, analysis) => {
+  const fields = getItemAnalysisFields(analysis);
+  if (!item.colorCorrected) return fields;
+
+  return {
+    ...fields,
+    ...pickPrimaryColor(item),
+    palette: replacePrimaryColor(fields.palette, {
+      rgb: item.rgb,
+      hex: item.dominantColorHex,
+      hsl: item.hsl,
+      lab: item.lab
+    }),
+    extractedColor: pickPrimaryColor(fields)
+  };
+};
+
+/**
+ * Re-run the full analysis on a stored item's image
+ * @param {Object} item - Wardrobe item
+ * @param {Object} options - Analysis options; defaults to the item's stored white balance
+ * @returns {Promise<Object>} Item updates
+ */
+export const reanalyzeItem = async (item, options = { whiteBalance: item.whiteBalance }) => {
+  const img = await loadImage(item.dataUrl);
+  const analysis = await analyzeGarmentImage(img, options);
+  return getReanalysisUpdates(item, analysis);
+};
@@ -0,0 +1,106 @@
+import { createCanvas, canvasToDataUrl, loadImage } from './colorExtraction.js';
+
+// Longest side, in pixels, of the thumbnails shown in wardrobe grids
+const THUMBNAIL_SIZE = 240;
+
+// Encoder quality for thumbnails
+const THUMBNAIL_QUALITY = 0.7;
+
+// Preferred encoding; browsers without a WebP encoder fall back to JPEG
+const PREFERRED_FORMAT = 'image/webp';
+
+/**
+ * Longest-side options for stored photos, in pixels
+ */
+export const MAX_DIMENSION_OPTIONS = [
+  { value: 800, label: 'Small (800px)' },
+  { value: 1280, label: 'Medium (1280px)' },
+  { value: 1920, label: 'Large (1920px)' }
+];
+
+/**
+ * Encoder quality options for stored photos
+ */
+export const QUALITY_OPTIONS = [
+  { value: 0.6, label: 'Compact' },
+  { value: 0.8, label: 'Balanced' },
+  { value: 0.92, label: 'High' }
+];
+
+/**
+ * Draw an image scaled down to fit a maximum dimension
+ * @param {HTMLImageElement|ImageBitmap} img - Source image
+ * @param {number} maxDimension - Longest side of the result in pixels
+ * @param {string|null} background - Fill color drawn under the image, for formats without alpha
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+const drawScaled = (img, maxDimension, background = null) => {
+  const sourceWidth = img.naturalWidth || img.width;
+  const sourceHeight = img.naturalHeight || img.height;
+  const scale = Math.min(1, maxDimension / Math.max(sourceWidth, sourceHeight));
+
+  const canvas = createCanvas(
+    Math.max(1, Math.round(sourceWidth * scale)),
+    Math.max(1, Math.round(sourceHeight * scale))
+  );
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+
+  if (background) {
+    context.fillStyle = background;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  context.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+/**
+ * Resize and re-encode an image as WebP, or JPEG where WebP encoding is unsupported
+ * @param {HTMLImageElement|ImageBitmap} img - Source image
+ * @param {number} maxDimension - Longest side of the result in pixels
+ * @param {number} quality - Encoder quality (0-1)
+ * @returns {Promise<string>} Encoded data URL
+ */
+const encodeImage = async (img, maxDimension, quality) => {
+  const dataUrl = await canvasToDataUrl(drawScaled(img, maxDimension), PREFERRED_FORMAT, quality);
+  if (dataUrl.startsWith(`data:${PREFERRED_FORMAT}`)) {
+    return dataUrl;
+  }
+
+  // The encoder fell back to PNG; JPEG is far smaller but has no alpha, so flatten onto white
+  return canvasToDataUrl(drawScaled(img, maxDimension, '#ffffff'), 'image/jpeg', quality);
+};
+
+/**
+ * Downscale and compress a photo for localStorage, plus a small grid thumbnail.
+ * Works on the main thread and inside a Web Worker.
+ * @param {HTMLImageElement|ImageBitmap} img - Decoded photo
+ * @param {Object} options - Ingest options
+ * @param {number} options.maxDimension - Longest side of the stored photo in pixels
+ * @param {number} options.quality - Encoder quality (0-1) of the stored photo
+ * @returns {Promise<{dataUrl: string, thumbnailUrl: string}>}
+ */
+export const prepareImageForStorage = async (img, { maxDimension = 1280, quality = 0.8 } = {}) => {
+  const dataUrl = await encodeImage(img, maxDimension, quality);
+  const thumbnailUrl = await encodeImage(img, THUMBNAIL_SIZE, THUMBNAIL_QUALITY);
+  return { dataUrl, thumbnailUrl };
+};
+
+/**
+ * Re-compress the photo of an item stored before ingest compression existed
+ * @param {Object} item - Wardrobe item
+ * @param {Object} options - Ingest options passed to prepareImageForStorage
+ * @returns {Promise<{dataUrl: string, thumbnailUrl: string}>} Item updates
+ */
+export const compressItemImage = async (item, options) => {
+  const img = await loadImage(item.dataUrl);
+  return prepareImageForStorage(img, options);
+};
+
+/**
+ * Get the image to show for an item in grids, falling back to the full photo
+ * for items stored before thumbnails existed
+ * @param {Object} item - Wardrobe item
+ * @returns {string} Image data URL
+ */
+export const getItemThumbnail = (item) => item.thumbnailUrl || item.dataUrl;
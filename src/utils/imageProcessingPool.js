@@ -0,0 +1,131 @@
+import { analyzeImageFile } from './imageAnalysis.js';
+
+/**
+ * Check whether this browser can decode and analyze images inside a worker
+ * @returns {boolean}
+ */
+const supportsWorkerProcessing = () => {
+  return typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof createImageBitmap !== 'undefined';
+};
+
+/**
+ * Default number of concurrent workers: leave a core for the UI and cap at four
+ * @returns {number}
+ */
+const getDefaultPoolSize = () => {
+  const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2;
+  return Math.max(1, Math.min(4, cores - 1));
+};
+
+/**
+ * Create a bounded pool that analyzes image files concurrently.
+ * Workers are spawned lazily up to the pool size and extra files wait in a queue,
+ * so dropping dozens of photos never starts more than `size` decodes at once.
+ * Without worker support, files are analyzed one at a time on the main thread.
+ * @param {number} size - Maximum number of files processed at once
+ * @returns {{process: (file: File, options?: Object) => Promise<Object>, terminate: () => void}}
+ *   process resolves with the analysis result plus the stored image and thumbnail data URLs
+ */
+export const createImageProcessingPool = (size = getDefaultPoolSize()) => {
+  const useWorkers = supportsWorkerProcessing();
+  const capacity = useWorkers ? size : 1;
+  const slots = [];
+  const queue = [];
+  const pending = new Map();
+  let nextJobId = 0;
+
+  const spawnWorker = (slot) => {
+    const worker = new Worker(new URL('../workers/imageProcessor.worker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = (event) => {
+      const { jobId, result, error } = event.data;
+      const job = pending.get(jobId);
+      if (!job) return;
+
+      pending.delete(jobId);
+      if (error) {
+        job.reject(new Error(error));
+      } else {
+        job.resolve(result);
+      }
+      releaseSlot(slot);
+    };
+
+    // A crashed worker fails its current job and is replaced
+    worker.onerror = (event) => {
+      event.preventDefault();
+      const job = pending.get(slot.jobId);
+      pending.delete(slot.jobId);
+      job?.reject(new Error(event.message || 'Image worker crashed'));
+
+      worker.terminate();
+      slot.worker = spawnWorker(slot);
+      releaseSlot(slot);
+    };
+
+    return worker;
+  };
+
+  const releaseSlot = (slot) => {
+    slot.busy = false;
+    slot.jobId = null;
+    runQueue();
+  };
+
+  const runQueue = () => {
+    while (queue.length > 0) {
+      let slot = slots.find(candidate => !candidate.busy);
+
+      if (!slot && slots.length < capacity) {
+        slot = { busy: false, jobId: null, worker: null };
+        if (useWorkers) slot.worker = spawnWorker(slot);
+        slots.push(slot);
+      }
+
+      if (!slot) return;
+
+      const job = queue.shift();
+      slot.busy = true;
+      slot.jobId = job.jobId;
+
+      if (useWorkers) {
+        pending.set(job.jobId, job);
+        slot.worker.postMessage({ jobId: job.jobId, file: job.file, options: job.options });
+      } else {
+        analyzeImageFile(job.file, job.options)
+          .then(job.resolve, job.reject)
+          .finally(() => releaseSlot(slot));
+      }
+    }
+  };
+
+  /**
+   * Queue a file for analysis
+   * @param {File} file - Image file
+   * @param {Object} options - Analysis options passed to analyzeGarmentImage
+   * @returns {Promise<Object>}
+   */
+  const process = (file, options = {}) => {
+    return new Promise((resolve, reject) => {
+      queue.push({ jobId: nextJobId++, file, options, resolve, reject });
+      runQueue();
+    });
+  };
+
+  /**
+   * Stop all workers and reject any queued or running jobs
+   */
+  const terminate = () => {
+    slots.forEach(slot => slot.worker?.terminate());
+    slots.length = 0;
+
+    const abandoned = [...pending.values(), ...queue];
+    pending.clear();
+    queue.length = 0;
+    abandoned.forEach(job => job.reject(new Error('Image processing was cancelled')));
+  };
+
+  return { process, terminate };
+};
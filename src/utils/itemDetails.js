@@ -0,0 +1,144 @@
+/**
+ * How a garment is cut to fit the body
+ */
+export const ITEM_FITS = {
+  slim: 'Slim',
+  regular: 'Regular',
+  relaxed: 'Relaxed',
+  oversized: 'Oversized'
+};
+
+// Longest note kept on an item
+const MAX_NOTES_LENGTH = 500;
+
+/**
+ * Descriptive fields of a new item, all empty until the user fills them in
+ * @returns {Object} name, brand, material, size, fit, purchaseDate, purchasePrice, notes and tags
+ */
+export const createItemDetails = () => ({
+  name: '',
+  brand: '',
+  material: '',
+  size: '',
+  fit: null,
+  purchaseDate: null,
+  purchasePrice: null,
+  notes: '',
+  tags: []
+});
+
+/**
+ * Descriptive fields of an item, with empty values for items added before
+ * they existed
+ * @param {Object} item - Wardrobe item
+ * @returns {Object} Same shape as createItemDetails
+ */
+export const getItemDetails = (item) => {
+  const defaults = createItemDetails();
+  return Object.fromEntries(
+    Object.entries(defaults).map(([field, empty]) => [field, item[field] ?? empty])
+  );
+};
+
+/**
+ * Name to show for an item: the one the user gave it, or its file name
+ * @param {Object} item - Wardrobe item
+ * @returns {string}
+ */
+export const getItemName = (item) => item.name || item.fileName;
+
+/**
+ * Split comma-separated tags into a clean list
+ * @param {string} text - e.g. "Work, summer , work"
+ * @returns {string[]} Lowercase tags without duplicates, e.g. ["work", "summer"]
+ */
+export const parseTags = (text) => {
+  const tags = text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+  return [...new Set(tags)];
+};
+
+/**
+ * Validate the item details form
+ * @param {Object} form - Raw form values; tags as a comma-separated string, price as text
+ * @returns {Object} Clean details, same shape as createItemDetails
+ * @throws {Error} If the price or purchase date is not usable
+ */
+export const normalizeItemDetails = (form) => {
+  const priceText = String(form.purchasePrice ?? '').trim();
+  const purchasePrice = priceText === '' ? null : Number(priceText);
+  if (purchasePrice !== null && (!Number.isFinite(purchasePrice) || purchasePrice < 0)) {
+    throw new Error('Price must be a positive number');
+  }
+
+  const purchaseDate = form.purchaseDate || null;
+  if (purchaseDate && Number.isNaN(Date.parse(purchaseDate))) {
+    throw new Error('Purchase date is not a valid date');
+  }
+  if (purchaseDate && Date.parse(purchaseDate) > Date.now()) {
+    throw new Error('Purchase date cannot be in the future');
+  }
+
+  return {
+    name: form.name.trim(),
+    brand: form.brand.trim(),
+    material: form.material.trim(),
+    size: form.size.trim(),
+    fit: ITEM_FITS[form.fit] ? form.fit : null,
+    purchaseDate,
+    purchasePrice: purchasePrice === null ? null : Math.round(purchasePrice * 100) / 100,
+    notes: form.notes.trim().slice(0, MAX_NOTES_LENGTH),
+    tags: Array.isArray(form.tags) ? form.tags : parseTags(form.tags)
+  };
+};
+
+/**
+ * Every tag used in the wardrobe with the number of items carrying it
+ * @param {Object[]} items - Wardrobe items
+ * @returns {{tag: string, count: number}[]} Most used first, then alphabetical
+ */
+export const getWardrobeTags = (items) => {
+  const counts = {};
+  items.forEach((item) => {
+    getItemDetails(item).tags.forEach((tag) => {
+      counts[tag] = (counts[tag] || 0) + 1;
+    });
+  });
+  return Object.entries(counts)
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+/**
+ * Whether an item matches a free-text search over its name, file name, brand,
+ * material, size, notes and tags
+ * @param {Object} item - Wardrobe item
+ * @param {string} query - Search text; every word has to match
+ * @returns {boolean}
+ */
+export const matchesItemSearch = (item, query) => {
+  const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+
+  const { name, brand, material, size, notes, tags } = getItemDetails(item);
+  const text = [name, item.fileName, brand, material, size, notes, ...tags].join(' ').toLowerCase();
+  return words.every(word => text.includes(word));
+};
+
+/**
+ * One-line summary of an item's brand, material, size and fit
+ * @param {Object} item - Wardrobe item
+ * @returns {string} e.g. "Uniqlo · wool · Size M · Slim fit", or "" when none are set
+ */
+export const describeItemSpecs = (item) => {
+  const { brand, material, size, fit } = getItemDetails(item);
+  return [brand, material, size && `Size ${size}`, ITEM_FITS[fit] && `${ITEM_FITS[fit]} fit`]
+    .filter(Boolean)
+    .join(' · ');
+};
+
+/**
+ * Format a purchase price for display
+ * @param {number} price - Price
+ * @returns {string} e.g. "49.90"
+ */
+export const formatPrice = (price) => price.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
@@ -0,0 +1,131 @@
+import { DEFAULT_CATEGORIES, getItemSlots } from './categories.js';
+
+/**
+ * Occasion definitions. Each occasion builds on the casual or formal rules of
+ * the active scoring profile (`style`) and adds its own preferences:
+ * - slots: role of each outfit slot (see OUTFIT_SLOTS). 'required' slots must
+ *   be filled in every outfit, and the wardrobe must have pieces for them;
+ *   'core' slots are filled in every outfit when the wardrobe has any;
+ *   'optional' slots may be left empty; missing slots are never filled
+ * - saturationRange: preferred average saturation (%); outfits outside it lose saturationPenalty
+ * - contrastMultiplier: scales the light/dark contrast bonus
+ * - schemeBonuses: extra score for whole-outfit color schemes that suit the occasion
+ * - tagline: appended to explanations of outfits that fit the occasion's mood
+ */
+export const OCCASIONS = {
+  casual: {
+    id: 'casual',
+    label: 'Casual',
+    description: 'Discover vibrant, expressive combinations perfect for everyday wear and social occasions.',
+    style: 'casual',
+    slots: { top: 'core', midlayer: 'optional', outerwear: 'optional', bottom: 'core', footwear: 'optional', accessory: 'optional', bag: 'optional' },
+    saturationRange: null,
+    saturationPenalty: 0,
+    contrastMultiplier: 1,
+    schemeBonuses: {},
+    tagline: 'vibrant and expressive'
+  },
+  formal: {
+    id: 'formal',
+    label: 'Formal',
+    description: 'Professional, sophisticated combinations with neutral tones and elegant color harmony.',
+    style: 'formal',
+    slots: { top: 'core', midlayer: 'optional', outerwear: 'optional', bottom: 'core', footwear: 'optional', accessory: 'optional', bag: 'optional' },
+    saturationRange: null,
+    saturationPenalty: 0,
+    contrastMultiplier: 1,
+    schemeBonuses: {},
+    tagline: 'professional and sophisticated'
+  },
+  'business-casual': {
+    id: 'business-casual',
+    label: 'Business Casual',
+    description: 'Polished but relaxed office looks: neutrals with one or two muted colors.',
+    style: 'formal',
+    slots: { top: 'required', midlayer: 'optional', outerwear: 'optional', bottom: 'required', footwear: 'required', accessory: 'optional', bag: 'optional' },
+    saturationRange: [0, 50],
+    saturationPenalty: 1,
+    contrastMultiplier: 1,
+    schemeBonuses: { analogous: 0.5, neutral: 0.5 },
+    tagline: 'smart without being stiff'
+  },
+  'black-tie': {
+    id: 'black-tie',
+    label: 'Black Tie',
+    description: 'Evening formalwear: dark, low-saturation pieces with crisp light/dark contrast and a tie or accessory.',
+    style: 'formal',
+    slots: { top: 'required', midlayer: 'optional', outerwear: 'optional', bottom: 'required', footwear: 'required', accessory: 'required', bag: 'optional' },
+    saturationRange: [0, 30],
+    saturationPenalty: 2,
+    contrastMultiplier: 1.5,
+    schemeBonuses: { monochromatic: 0.5, neutral: 1 },
+    tagline: 'elegant and understated'
+  },
+  athletic: {
+    id: 'athletic',
+    label: 'Athletic',
+    description: 'Gym and sports outfits that welcome bright, energetic colors.',
+    style: 'casual',
+    slots: { top: 'required', bottom: 'required', footwear: 'required' },
+    saturationRange: [35, 100],
+    saturationPenalty: 1,
+    contrastMultiplier: 1.25,
+    schemeBonuses: { complementary: 0.5, triadic: 0.5 },
+    tagline: 'energetic and sporty'
+  },
+  beach: {
+    id: 'beach',
+    label: 'Beach & Vacation',
+    description: 'Light, easygoing holiday looks in soft colors with gentle contrast.',
+    style: 'casual',
+    slots: { top: 'core', bottom: 'core', footwear: 'optional', accessory: 'optional', bag: 'optional' },
+    saturationRange: [20, 80],
+    saturationPenalty: 1,
+    contrastMultiplier: 0.5,
+    schemeBonuses: { analogous: 0.5 },
+    tagline: 'breezy and relaxed'
+  },
+  evening: {
+    id: 'evening',
+    label: 'Evening Out',
+    description: 'Dinner, drinks or a show: deep rather than bright colors with strong contrast and one statement piece.',
+    style: 'formal',
+    slots: { top: 'required', midlayer: 'optional', outerwear: 'optional', bottom: 'required', footwear: 'required', accessory: 'optional', bag: 'optional' },
+    saturationRange: [0, 65],
+    saturationPenalty: 1,
+    contrastMultiplier: 1.5,
+    schemeBonuses: { complementary: 0.5, monochromatic: 0.5 },
+    tagline: 'striking and refined'
+  }
+};
+
+// Occasion used when an unknown id is requested
+export const DEFAULT_OCCASION_ID = 'casual';
+
+/**
+ * Look up an occasion definition
+ * @param {string} occasionId - Key of OCCASIONS
+ * @returns {Object} Occasion definition, falling back to casual
+ */
+export const getOccasion = (occasionId) => OCCASIONS[occasionId] || OCCASIONS[DEFAULT_OCCASION_ID];
+
+/**
+ * Whether an occasion follows the formal rules of the scoring profile
+ * @param {Object} occasion - Occasion definition
+ * @returns {boolean}
+ */
+export const isFormalOccasion = (occasion) => occasion.style === 'formal';
+
+/**
+ * Required slots of an occasion that no item in the wardrobe fills
+ * @param {Object} wardrobe - Wardrobe object with categorized items
+ * @param {Object} occasion - Occasion definition
+ * @param {Object} categories - Category registry
+ * @returns {string[]} Slot keys
+ */
+export const getMissingSlots = (wardrobe, occasion, categories = DEFAULT_CATEGORIES) => {
+  const filled = new Set(Object.values(wardrobe).flat().flatMap(item => getItemSlots(item, categories)));
+  return Object.entries(occasion.slots)
+    .filter(([slot, role]) => role === 'required' && !filled.has(slot))
+    .map(([slot]) => slot);
+};
@@ -0,0 +1,194 @@
+import { getImagePixels, segmentGarment } from './colorExtraction.js';
+
+// Longest side, in pixels, of the bitmap used for texture analysis
+const ANALYSIS_SIZE = 160;
+
+// RGB gradient magnitude above which a pixel counts as an edge
+const EDGE_THRESHOLD = 40;
+
+// Share of garment pixels that must be edges before the garment counts as patterned
+const SOLID_MAX_EDGE_DENSITY = 0.08;
+
+// Autocorrelation peak above which a luminance profile is considered periodic
+const PERIODIC_THRESHOLD = 0.35;
+
+/**
+ * Pattern types with display labels
+ */
+export const PATTERN_TYPES = {
+  solid: 'Solid',
+  striped: 'Striped',
+  checked: 'Checked',
+  printed: 'Printed'
+};
+
+/**
+ * Classify a garment's surface as solid, striped, checked or printed.
+ * Edge density over the garment separates solids from patterns; for patterned
+ * garments, the row and column luminance profiles are checked for repeating
+ * structure — one periodic axis means stripes, both mean checks or plaid, and
+ * none means an irregular print (florals, graphics, etc.).
+ * @param {HTMLImageElement} img - A loaded image element
+ * @returns {{type: string, confidence: number, edgeDensity: number}}
+ */
+export const detectPattern = (img) => {
+  const imageData = getImagePixels(img, ANALYSIS_SIZE);
+  const { mask } = segmentGarment(imageData);
+  const { data, width, height } = imageData;
+
+  const luminance = new Float32Array(width * height);
+  for (let index = 0; index < luminance.length; index++) {
+    luminance[index] = 0.299 * data[index * 4] + 0.587 * data[index * 4 + 1] + 0.114 * data[index * 4 + 2];
+  }
+
+  // Count edges on interior garment pixels so the garment outline is not mistaken for texture
+  let garmentPixels = 0;
+  let edgePixels = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const index = y * width + x;
+      if (!mask[index] || !mask[index - 1] || !mask[index + 1] || !mask[index - width] || !mask[index + width]) {
+        continue;
+      }
+
+      garmentPixels++;
+      // Gradients use full RGB distance so prints in equally bright colors still register
+      const gx = pixelDistance(data, index + 1, index - 1);
+      const gy = pixelDistance(data, index + width, index - width);
+      if (Math.sqrt(gx * gx + gy * gy) > EDGE_THRESHOLD) {
+        edgePixels++;
+      }
+    }
+  }
+
+  const edgeDensity = garmentPixels > 0 ? edgePixels / garmentPixels : 0;
+
+  if (edgeDensity < SOLID_MAX_EDGE_DENSITY) {
+    return {
+      type: 'solid',
+      confidence: roundConfidence(1 - edgeDensity / SOLID_MAX_EDGE_DENSITY),
+      edgeDensity: roundConfidence(edgeDensity)
+    };
+  }
+
+  const columnPeriodicity = periodicityStrength(luminanceProfile(luminance, mask, width, height, 'columns'));
+  const rowPeriodicity = periodicityStrength(luminanceProfile(luminance, mask, width, height, 'rows'));
+  const strongest = Math.max(columnPeriodicity, rowPeriodicity);
+  const weakest = Math.min(columnPeriodicity, rowPeriodicity);
+
+  let type;
+  let confidence;
+  if (weakest >= PERIODIC_THRESHOLD) {
+    type = 'checked';
+    confidence = weakest;
+  } else if (strongest >= PERIODIC_THRESHOLD) {
+    type = 'striped';
+    confidence = strongest - weakest;
+  } else {
+    type = 'printed';
+    confidence = 1 - strongest / PERIODIC_THRESHOLD;
+  }
+
+  return {
+    type,
+    confidence: roundConfidence(Math.min(1, Math.max(0.3, confidence))),
+    edgeDensity: roundConfidence(edgeDensity)
+  };
+};
+
+/**
+ * Average garment luminance along each column (or row), high-pass filtered so
+ * lighting gradients and folds do not read as repetition
+ * @param {Float32Array} luminance - Per-pixel luminance
+ * @param {Uint8Array} mask - Garment mask (1 = garment)
+ * @param {number} width - Bitmap width
+ * @param {number} height - Bitmap height
+ * @param {'columns'|'rows'} axis - Profile direction
+ * @returns {number[]} Detrended profile over the garment's extent
+ */
+const luminanceProfile = (luminance, mask, width, height, axis) => {
+  const length = axis === 'columns' ? width : height;
+  const span = axis === 'columns' ? height : width;
+  const profile = [];
+
+  for (let i = 0; i < length; i++) {
+    let sum = 0;
+    let count = 0;
+    for (let j = 0; j < span; j++) {
+      const index = axis === 'columns' ? j * width + i : i * width + j;
+      if (mask[index]) {
+        sum += luminance[index];
+        count++;
+      }
+    }
+    // Skip lines that barely cross the garment
+    if (count >= 3) profile.push(sum / count);
+  }
+
+  const window = 4;
+  return profile.map((value, i) => {
+    const neighbours = profile.slice(Math.max(0, i - window), i + window + 1);
+    return value - neighbours.reduce((sum, v) => sum + v, 0) / neighbours.length;
+  });
+};
+
+/**
+ * Strength of the strongest repeating period in a profile, measured as the
+ * highest local maximum of its normalized autocorrelation
+ * @param {number[]} profile - Detrended luminance profile
+ * @returns {number} 0 (no repetition) to 1 (perfectly periodic)
+ */
+const periodicityStrength = (profile) => {
+  const n = profile.length;
+  const energy = profile.reduce((sum, v) => sum + v * v, 0);
+  if (n < 12 || energy === 0) return 0;
+
+  const maxLag = Math.floor(n / 3);
+  const correlation = [];
+  for (let lag = 0; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < n; i++) {
+      sum += profile[i] * profile[i + lag];
+    }
+    correlation.push(sum / energy);
+  }
+
+  let peak = 0;
+  for (let lag = 2; lag <= maxLag; lag++) {
+    const isLocalMax = correlation[lag] > correlation[lag - 1] && correlation[lag] >= correlation[lag + 1];
+    if (isLocalMax && correlation[lag] > peak) {
+      peak = correlation[lag];
+    }
+  }
+
+  return peak;
+};
+
+/**
+ * RGB distance between two pixels of an RGBA buffer
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} a - First pixel index
+ * @param {number} b - Second pixel index
+ * @returns {number}
+ */
+const pixelDistance = (data, a, b) => {
+  const dr = data[a * 4] - data[b * 4];
+  const dg = data[a * 4 + 1] - data[b * 4 + 1];
+  const db = data[a * 4 + 2] - data[b * 4 + 2];
+  return Math.sqrt(dr * dr + dg * dg + db * db);
+};
+
+/**
+ * Round a 0-1 measure to two decimals for storage
+ * @param {number} value - Value between 0 and 1
+ * @returns {number}
+ */
+const roundConfidence = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get an item's pattern type, treating items analyzed before pattern
+ * detection existed as solid
+ * @param {Object} item - Wardrobe item
+ * @returns {string} Pattern type key
+ */
+export const getItemPattern = (item) => item.pattern?.type || 'solid';
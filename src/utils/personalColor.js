@@ -0,0 +1,391 @@
+import { rgbToLab, labToLch, getColorLch } from './colorExtraction.js';
+import { DEFAULT_CATEGORIES, getItemSlots } from './categories.js';
+
+// LCh chroma below which a garment color has no visible temperature
+const ACHROMATIC_CHROMA = 10;
+
+// LCh hue angle of the warmest (golden) direction; its opposite is the coolest blue-violet
+const WARMEST_HUE = 85;
+
+// Distance (L* or C* units) outside a sub-season's range over which a color goes from fitting to clashing
+const RANGE_SOFTNESS = 20;
+
+// Item score above which an item counts as flattering, and below whose negative as unflattering
+const FLATTERING_THRESHOLD = 0.25;
+
+// How much the color in each outfit slot matters to the wearer's coloring: pieces near the face count most
+const FACE_PROXIMITY = {
+  top: 1,
+  midlayer: 1,
+  outerwear: 1,
+  accessory: 0.5,
+  bottom: 0.3,
+  bag: 0.3,
+  footwear: 0.1
+};
+
+// Proximity of items that fill no slot
+const DEFAULT_PROXIMITY = 0.3;
+
+/**
+ * The four seasons of personal color analysis
+ */
+export const SEASONS = {
+  spring: { label: 'Spring', description: 'Warm and clear: fresh, light-to-medium colors with a golden undertone' },
+  summer: { label: 'Summer', description: 'Cool and soft: gentle, muted colors with a blue-pink undertone' },
+  autumn: { label: 'Autumn', description: 'Warm and muted: rich, earthy colors with a golden undertone' },
+  winter: { label: 'Winter', description: 'Cool and clear: high-contrast, saturated colors and icy tones' }
+};
+
+/**
+ * The twelve sub-seasons, with the garment colors that suit them:
+ * - temperature: preferred undertone, -1 (cool) to 1 (warm)
+ * - lightness: preferred L* range
+ * - chroma: preferred C* range for chromatic colors
+ * - palette: example colors for the profile screen
+ */
+export const SUB_SEASONS = {
+  'light-spring': {
+    season: 'spring', label: 'Light Spring', characteristic: 'light',
+    temperature: 0.5, lightness: [60, 92], chroma: [20, 55],
+    palette: ['#F9D5A7', '#FFB38A', '#F6E27F', '#A8D8B9', '#8FC9E8', '#F4A7B9']
+  },
+  'warm-spring': {
+    season: 'spring', label: 'Warm Spring', characteristic: 'warm',
+    temperature: 1, lightness: [45, 85], chroma: [30, 70],
+    palette: ['#FF8C42', '#F2C14E', '#7FB800', '#00A6A6', '#E94F37', '#C68B59']
+  },
+  'bright-spring': {
+    season: 'spring', label: 'Bright Spring', characteristic: 'bright',
+    temperature: 0.5, lightness: [40, 80], chroma: [45, 90],
+    palette: ['#FF5E5B', '#00C2A8', '#FFD23F', '#3BB273', '#4361EE', '#FF7EB6']
+  },
+  'light-summer': {
+    season: 'summer', label: 'Light Summer', characteristic: 'light',
+    temperature: -0.5, lightness: [60, 92], chroma: [10, 40],
+    palette: ['#B8C5E0', '#E8B4C8', '#C3B1E1', '#A7D3C9', '#F0E6EF', '#9FB4C7']
+  },
+  'cool-summer': {
+    season: 'summer', label: 'Cool Summer', characteristic: 'cool',
+    temperature: -1, lightness: [40, 80], chroma: [15, 45],
+    palette: ['#5B7DB1', '#C05C7E', '#7A6C9D', '#4F9D9D', '#8E9AAF', '#D4A5C3']
+  },
+  'soft-summer': {
+    season: 'summer', label: 'Soft Summer', characteristic: 'soft',
+    temperature: -0.5, lightness: [35, 70], chroma: [5, 30],
+    palette: ['#8E9AAF', '#B38B91', '#9A8C98', '#7D9D9C', '#A39E93', '#6B7B8C']
+  },
+  'soft-autumn': {
+    season: 'autumn', label: 'Soft Autumn', characteristic: 'soft',
+    temperature: 0.5, lightness: [35, 70], chroma: [5, 35],
+    palette: ['#C9A27E', '#A3B18A', '#D08C60', '#B5838D', '#8D8D6E', '#E3C9A8']
+  },
+  'warm-autumn': {
+    season: 'autumn', label: 'Warm Autumn', characteristic: 'warm',
+    temperature: 1, lightness: [25, 65], chroma: [25, 60],
+    palette: ['#C1440E', '#D9A441', '#6B8E23', '#8B5A2B', '#E07A5F', '#2A7F62']
+  },
+  'deep-autumn': {
+    season: 'autumn', label: 'Deep Autumn', characteristic: 'deep',
+    temperature: 0.5, lightness: [10, 50], chroma: [20, 60],
+    palette: ['#7B3F00', '#556B2F', '#8B0000', '#B8860B', '#2F4F4F', '#5C4033']
+  },
+  'deep-winter': {
+    season: 'winter', label: 'Deep Winter', characteristic: 'deep',
+    temperature: -0.5, lightness: [0, 45], chroma: [20, 70],
+    palette: ['#000000', '#800020', '#004B49', '#1B1F5E', '#4B0082', '#36454F']
+  },
+  'cool-winter': {
+    season: 'winter', label: 'Cool Winter', characteristic: 'cool',
+    temperature: -1, lightness: [0, 100], chroma: [30, 80],
+    palette: ['#000000', '#FFFFFF', '#0047AB', '#DC143C', '#008080', '#C71585']
+  },
+  'bright-winter': {
+    season: 'winter', label: 'Bright Winter', characteristic: 'bright',
+    temperature: -0.5, lightness: [0, 100], chroma: [50, 100],
+    palette: ['#FF0080', '#0033FF', '#00A86B', '#FFFFFF', '#000000', '#FF2400']
+  }
+};
+
+/**
+ * Questionnaire. Each answer moves the wearer along three axes, all from -1 to 1:
+ * temperature (cool → warm), depth (light → deep) and clarity (soft → bright).
+ */
+export const PERSONAL_COLOR_QUESTIONS = [
+  {
+    id: 'veins',
+    question: 'What color are the veins on your inner wrist in daylight?',
+    answers: [
+      { id: 'blue', label: 'Blue or purple', axes: { temperature: -1 } },
+      { id: 'green', label: 'Green or olive', axes: { temperature: 1 } },
+      { id: 'both', label: "Both / can't tell", axes: {} }
+    ]
+  },
+  {
+    id: 'jewelry',
+    question: 'Which metal looks better against your skin?',
+    answers: [
+      { id: 'silver', label: 'Silver or platinum', axes: { temperature: -1 } },
+      { id: 'gold', label: 'Gold or brass', axes: { temperature: 1 } },
+      { id: 'both', label: 'Both look fine', axes: {} }
+    ]
+  },
+  {
+    id: 'hair',
+    question: 'What is your natural hair color?',
+    answers: [
+      { id: 'platinum', label: 'Platinum or ash blond', axes: { temperature: -0.5, depth: -1 } },
+      { id: 'golden', label: 'Golden or strawberry blond', axes: { temperature: 0.5, depth: -0.7 } },
+      { id: 'ash-brown', label: 'Light to medium ash brown', axes: { temperature: -0.5, clarity: -0.5 } },
+      { id: 'auburn', label: 'Auburn, copper or red', axes: { temperature: 1, depth: 0.2 } },
+      { id: 'dark-brown', label: 'Dark brown', axes: { depth: 0.7 } },
+      { id: 'black', label: 'Black', axes: { depth: 1, clarity: 0.5 } }
+    ]
+  },
+  {
+    id: 'eyes',
+    question: 'What color are your eyes?',
+    answers: [
+      { id: 'light-blue', label: 'Light blue or grey', axes: { temperature: -0.5, depth: -0.5 } },
+      { id: 'bright', label: 'Bright, clear blue or green', axes: { clarity: 1 } },
+      { id: 'hazel', label: 'Hazel or soft green', axes: { temperature: 0.3, clarity: -0.5 } },
+      { id: 'warm-brown', label: 'Warm brown or amber', axes: { temperature: 0.5, depth: 0.3 } },
+      { id: 'dark', label: 'Dark brown or black', axes: { depth: 1, clarity: 0.3 } }
+    ]
+  },
+  {
+    id: 'sun',
+    question: 'How does your skin react to the sun?',
+    answers: [
+      { id: 'burns', label: 'Burns easily, rarely tans', axes: { temperature: -0.3, depth: -0.5 } },
+      { id: 'both', label: 'Burns, then tans', axes: {} },
+      { id: 'tans', label: 'Tans easily', axes: { temperature: 0.3, depth: 0.5 } }
+    ]
+  },
+  {
+    id: 'contrast',
+    question: 'How much contrast is there between your hair, skin and eyes?',
+    answers: [
+      { id: 'low', label: 'Low: everything blends together', axes: { clarity: -1 } },
+      { id: 'medium', label: 'Medium', axes: {} },
+      { id: 'high', label: 'High: e.g. dark hair and fair skin', axes: { clarity: 1, depth: 0.3 } }
+    ]
+  },
+  {
+    id: 'white',
+    question: 'Which looks better next to your face?',
+    answers: [
+      { id: 'white', label: 'Pure white', axes: { temperature: -0.5, clarity: 0.5 } },
+      { id: 'cream', label: 'Cream or ivory', axes: { temperature: 0.5, clarity: -0.3 } },
+      { id: 'both', label: 'No difference', axes: {} }
+    ]
+  }
+];
+
+/**
+ * Features of the wearer that can be sampled from a selfie
+ */
+export const SELFIE_FEATURES = {
+  skin: 'Skin',
+  hair: 'Hair',
+  eyes: 'Eyes'
+};
+
+const clamp = (value) => Math.max(-1, Math.min(1, value));
+
+/**
+ * Average the axes of the answered questions
+ * @param {Object<string, string>} answers - Answer id per question id
+ * @returns {{temperature: number, depth: number, clarity: number}|null} Axes, or null when nothing is answered
+ */
+export const getQuestionnaireAxes = (answers) => {
+  const chosen = PERSONAL_COLOR_QUESTIONS
+    .map(question => question.answers.find(answer => answer.id === answers[question.id]))
+    .filter(Boolean);
+  if (chosen.length === 0) return null;
+
+  const sum = (axis) => chosen.reduce((total, answer) => total + (answer.axes[axis] || 0), 0);
+  // Each axis is only touched by a few questions, so scale by the questions that can move it
+  const reach = (axis) => Math.max(1, PERSONAL_COLOR_QUESTIONS.filter(question => {
+    return answers[question.id] && question.answers.some(answer => answer.axes[axis]);
+  }).length);
+
+  return {
+    temperature: clamp(sum('temperature') / reach('temperature')),
+    depth: clamp(sum('depth') / reach('depth')),
+    clarity: clamp(sum('clarity') / reach('clarity'))
+  };
+};
+
+/**
+ * Read the axes from colors sampled from a selfie: skin undertone from its
+ * Lab hue angle, depth from how dark hair and skin are, clarity from the
+ * hair/skin contrast and how vivid the eyes are
+ * @param {{skin?: number[], hair?: number[], eyes?: number[]}} samples - Sampled [r, g, b] per feature
+ * @returns {{temperature: number, depth: number, clarity: number}|null} Axes, or null without a skin sample
+ */
+export const getSelfieAxes = (samples) => {
+  if (!samples.skin) return null;
+
+  const skin = rgbToLab(...samples.skin);
+  const [, , skinHue] = labToLch(skin);
+  // Skin hue angles run from pinkish (~40°) to golden (~65°)
+  const temperature = clamp((skinHue - 52) / 12);
+
+  const hair = samples.hair ? rgbToLab(...samples.hair) : null;
+  const averageLightness = hair ? 0.6 * hair[0] + 0.4 * skin[0] : skin[0];
+  const depth = clamp((55 - averageLightness) / 30);
+
+  let clarity = 0;
+  if (hair) {
+    clarity += clamp((Math.abs(skin[0] - hair[0]) - 35) / 25);
+  }
+  if (samples.eyes) {
+    const [, eyeChroma] = labToLch(rgbToLab(...samples.eyes));
+    clarity += clamp((eyeChroma - 15) / 15);
+  }
+  const clarityTerms = (hair ? 1 : 0) + (samples.eyes ? 1 : 0);
+
+  return {
+    temperature,
+    depth,
+    clarity: clarityTerms > 0 ? clarity / clarityTerms : 0
+  };
+};
+
+/**
+ * Classify axes into a sub-season: the strongest characteristic picks the
+ * family (e.g. deep → deep autumn or deep winter), and the other axes pick the season
+ * @param {{temperature: number, depth: number, clarity: number}} axes - Wearer axes
+ * @returns {string} Key of SUB_SEASONS
+ */
+export const classifySubSeason = ({ temperature, depth, clarity }) => {
+  const characteristics = {
+    light: -depth,
+    deep: depth,
+    bright: clarity,
+    soft: -clarity,
+    warm: temperature,
+    cool: -temperature
+  };
+  const [dominant] = Object.entries(characteristics).sort((a, b) => b[1] - a[1])[0];
+  const isWarm = temperature >= 0;
+
+  switch (dominant) {
+    case 'light':
+      return isWarm ? 'light-spring' : 'light-summer';
+    case 'deep':
+      return isWarm ? 'deep-autumn' : 'deep-winter';
+    case 'bright':
+      return isWarm ? 'bright-spring' : 'bright-winter';
+    case 'soft':
+      return isWarm ? 'soft-autumn' : 'soft-summer';
+    case 'warm':
+      return clarity - depth >= 0 ? 'warm-spring' : 'warm-autumn';
+    case 'cool':
+    default:
+      return clarity + depth >= 0 ? 'cool-winter' : 'cool-summer';
+  }
+};
+
+/**
+ * Build a personal-color profile from questionnaire answers and selfie samples.
+ * Both sources count equally when both are present.
+ * @param {Object<string, string>} answers - Answer id per question id
+ * @param {{skin?: number[], hair?: number[], eyes?: number[]}} samples - Sampled [r, g, b] per feature
+ * @returns {Object|null} Profile for the app settings, or null without any input
+ */
+export const createPersonalColorProfile = (answers, samples = {}) => {
+  const sources = [getQuestionnaireAxes(answers), getSelfieAxes(samples)].filter(Boolean);
+  if (sources.length === 0) return null;
+
+  const average = (axis) => Math.round(sources.reduce((sum, axes) => sum + axes[axis], 0) / sources.length * 100) / 100;
+  const axes = {
+    temperature: average('temperature'),
+    depth: average('depth'),
+    clarity: average('clarity')
+  };
+
+  return {
+    subSeason: classifySubSeason(axes),
+    axes,
+    answers,
+    samples,
+    updatedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * How well a value fits a range: 1 inside, falling to -1 RANGE_SOFTNESS beyond either end
+ * @param {number} value - Measured value
+ * @param {number[]} range - [min, max]
+ * @returns {number}
+ */
+const rangeFit = (value, [min, max]) => {
+  const outside = Math.max(min - value, value - max, 0);
+  return 1 - 2 * Math.min(1, outside / RANGE_SOFTNESS);
+};
+
+/**
+ * How well a garment color suits a sub-season, from undertone, lightness and
+ * chroma. Grays, black and white carry no undertone and are judged on
+ * lightness alone, with less confidence.
+ * @param {{rgb: number[], lab?: number[]}} color - Item or palette entry
+ * @param {string} subSeason - Key of SUB_SEASONS
+ * @returns {number} -1 (clashes with the wearer) to 1 (flattering)
+ */
+export const scorePersonalColor = (color, subSeason) => {
+  const target = SUB_SEASONS[subSeason];
+  const [lightness, chroma, hue] = getColorLch(color);
+  const lightnessFit = rangeFit(lightness, target.lightness);
+
+  if (chroma < ACHROMATIC_CHROMA) {
+    return 0.6 * lightnessFit;
+  }
+
+  const warmth = Math.cos((hue - WARMEST_HUE) * Math.PI / 180) * Math.min(1, chroma / 30);
+  const temperatureFit = 1 - Math.abs(target.temperature - warmth);
+  return 0.4 * temperatureFit + 0.35 * lightnessFit + 0.25 * rangeFit(chroma, target.chroma);
+};
+
+// Display labels of the item flattery tags
+export const FLATTERY_LABELS = {
+  flattering: 'Suits you',
+  neutral: 'Neutral on you',
+  unflattering: 'Not your colors'
+};
+
+/**
+ * Tag an item as flattering or not for the wearer
+ * @param {Object} item - Wardrobe item
+ * @param {string|null} subSeason - Key of SUB_SEASONS, or null without a profile
+ * @returns {'flattering'|'neutral'|'unflattering'|null} Tag, or null without a profile
+ */
+export const getItemFlattery = (item, subSeason) => {
+  if (!SUB_SEASONS[subSeason]) return null;
+  const score = scorePersonalColor(item, subSeason);
+  if (score >= FLATTERING_THRESHOLD) return 'flattering';
+  if (score <= -FLATTERING_THRESHOLD) return 'unflattering';
+  return 'neutral';
+};
+
+/**
+ * "Suits you" term of an outfit: each item's fit with the wearer's coloring,
+ * weighted by how close the piece is worn to the face
+ * @param {Object[]} items - Outfit items
+ * @param {string} subSeason - Key of SUB_SEASONS
+ * @param {Object} categories - Category registry
+ * @returns {number} Weighted average of item scores, -1 to 1
+ */
+export const scoreOutfitForWearer = (items, subSeason, categories = DEFAULT_CATEGORIES) => {
+  let total = 0;
+  let totalProximity = 0;
+  items.forEach((item) => {
+    // A piece filling several slots, like a dress, counts by the one nearest the face
+    const slots = getItemSlots(item, categories);
+    const proximity = slots.length > 0 ? Math.max(...slots.map(slot => FACE_PROXIMITY[slot])) : DEFAULT_PROXIMITY;
+    total += proximity * scorePersonalColor(item, subSeason);
+    totalProximity += proximity;
+  });
+  return totalProximity > 0 ? total / totalProximity : 0;
+};
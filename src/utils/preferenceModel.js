@@ -0,0 +1,125 @@
+/**
+ * Outfit features the preference model learns from, all scaled to about 0–1.
+ * Each is read from the details scoreOutfitCombination already computes.
+ */
+export const PREFERENCE_FEATURES = [
+  { key: 'neutralShare', more: 'more neutral pieces', less: 'fewer neutral pieces' },
+  { key: 'saturation', more: 'brighter colors', less: 'more muted colors' },
+  { key: 'hueDistance', more: 'hues far apart on the color wheel', less: 'hues close together' },
+  { key: 'lightnessGap', more: 'strong light/dark contrast', less: 'soft light/dark contrast' },
+  { key: 'patternShare', more: 'more patterns', less: 'fewer patterns' },
+  { key: 'pieces', more: 'more pieces per outfit', less: 'fewer pieces per outfit' },
+  { key: 'boldScheme', more: 'bold color schemes', less: 'calm color schemes' }
+];
+
+// Color schemes that count as bold rather than calm
+const BOLD_SCHEMES = ['complementary', 'split-complementary', 'triadic', 'tetradic'];
+
+// Ratings needed, with at least one like and one dislike, before the model is used
+export const MIN_FEEDBACK = 4;
+
+// Ratings at which the model's output counts fully; fewer ratings scale it down
+export const FULL_CONFIDENCE_FEEDBACK = 20;
+
+// Gradient descent settings; the L2 penalty keeps a handful of ratings from producing extreme weights
+const TRAINING_EPOCHS = 300;
+const LEARNING_RATE = 1;
+const L2_PENALTY = 0.02;
+
+// Feature weight above which the model describes it as a preference
+const NOTABLE_WEIGHT = 0.3;
+
+const sigmoid = (value) => 1 / (1 + Math.exp(-value));
+
+/**
+ * Feature vector of a scored outfit
+ * @param {Object} details - Details returned by scoreOutfitCombination
+ * @param {number} itemCount - Number of items in the outfit
+ * @returns {number[]} Values in PREFERENCE_FEATURES order
+ */
+export const getOutfitFeatures = (details, itemCount) => {
+  const values = {
+    neutralShare: details.neutralCount / itemCount,
+    saturation: details.avgSaturation / 100,
+    hueDistance: (details.avgHueDistance || 0) / 180,
+    lightnessGap: (details.avgLightnessGap || 0) / 100,
+    patternShare: details.patternedCount / itemCount,
+    pieces: (itemCount - 2) / 3,
+    boldScheme: BOLD_SCHEMES.includes(details.scheme) ? 1 : 0
+  };
+  return PREFERENCE_FEATURES.map(feature => values[feature.key]);
+};
+
+/**
+ * Fit a logistic regression to the rated outfits
+ * @param {{features: number[], liked: boolean}[]} feedback - Rating history
+ * @returns {{weights: number[], bias: number, confidence: number, count: number}|null} Model, or null until there are enough likes and dislikes
+ */
+export const trainPreferenceModel = (feedback) => {
+  const likes = feedback.filter(entry => entry.liked).length;
+  if (feedback.length < MIN_FEEDBACK || likes === 0 || likes === feedback.length) {
+    return null;
+  }
+
+  const weights = PREFERENCE_FEATURES.map(() => 0);
+  let bias = 0;
+
+  for (let epoch = 0; epoch < TRAINING_EPOCHS; epoch++) {
+    const gradient = weights.map(() => 0);
+    let biasGradient = 0;
+
+    feedback.forEach(({ features, liked }) => {
+      const error = sigmoid(features.reduce((sum, value, i) => sum + value * weights[i], bias)) - (liked ? 1 : 0);
+      features.forEach((value, i) => {
+        gradient[i] += error * value;
+      });
+      biasGradient += error;
+    });
+
+    weights.forEach((weight, i) => {
+      weights[i] -= LEARNING_RATE * (gradient[i] / feedback.length + L2_PENALTY * weight);
+    });
+    bias -= LEARNING_RATE * biasGradient / feedback.length;
+  }
+
+  return {
+    weights,
+    bias,
+    confidence: Math.min(1, feedback.length / FULL_CONFIDENCE_FEEDBACK),
+    count: feedback.length
+  };
+};
+
+/**
+ * Probability that the wearer likes an outfit with these features
+ * @param {Object} model - Trained preference model
+ * @param {number[]} features - Outfit features
+ * @returns {number} 0 to 1
+ */
+export const predictPreference = (model, features) => {
+  return sigmoid(features.reduce((sum, value, i) => sum + value * model.weights[i], model.bias));
+};
+
+/**
+ * Score term of the learned preferences, scaled down while there are few ratings
+ * @param {Object} model - Trained preference model
+ * @param {number[]} features - Outfit features
+ * @returns {number} -1 (looks like disliked outfits) to 1 (looks like liked outfits)
+ */
+export const scorePreference = (model, features) => {
+  return (2 * predictPreference(model, features) - 1) * model.confidence;
+};
+
+/**
+ * Plain-language summary of what the model has learned, strongest first
+ * @param {Object|null} model - Trained preference model
+ * @returns {string[]} e.g. ["more neutral pieces", "soft light/dark contrast"]
+ */
+export const describePreferences = (model) => {
+  if (!model) return [];
+  return PREFERENCE_FEATURES
+    .map((feature, i) => ({ feature, weight: model.weights[i] }))
+    .filter(({ weight }) => Math.abs(weight) >= NOTABLE_WEIGHT)
+    .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight))
+    .map(({ feature, weight }) => weight > 0 ? feature.more : feature.less);
+};
@@ -0,0 +1,225 @@
+// Id of the built-in profile, which cannot be edited or deleted
+export const DEFAULT_PROFILE_ID = 'default';
+
+/**
+ * Weights and thresholds of the color harmony rules, as used when no custom
+ * profile is active
+ */
+export const DEFAULT_SCORING_WEIGHTS = {
+  complementaryScore: 2,
+  complementaryMinHue: 150,
+  analogousScore: 1,
+  analogousMaxHue: 30,
+  contrastScore: 1,
+  contrastLightnessGap: 40,
+  nearMatchPenalty: 1,
+  clashPenalty: 2,
+  neutralSaturation: 12,
+  formalNeutralPairBonus: 1,
+  formalNeutralShareBonus: 1,
+  formalSaturationLimit: 55,
+  formalSaturationPenalty: 1,
+  casualSaturationThreshold: 40,
+  casualVibrancyBonus: 0.5,
+  statementPatternBonus: 1,
+  competingPatternSharePenalty: 2,
+  outerLayerWeight: 1.5,
+  layerContrastScore: 1,
+  layerContrastGap: 25,
+  noSchemeScore: -1,
+  personalColorWeight: 1,
+  weatherMismatchSharePenalty: 6,
+  preferenceWeight: 2,
+  schemeScores: {
+    monochromatic: { casual: 1.5, formal: 2 },
+    analogous: { casual: 1.5, formal: 1.5 },
+    complementary: { casual: 2, formal: 1.5 },
+    'split-complementary': { casual: 2, formal: 1 },
+    triadic: { casual: 2, formal: 0.5 },
+    tetradic: { casual: 1, formal: 0 },
+    neutral: { casual: 0.5, formal: 1 }
+  }
+};
+
+/**
+ * Built-in profile with the default weights
+ */
+export const DEFAULT_SCORING_PROFILE = {
+  id: DEFAULT_PROFILE_ID,
+  name: 'Standard',
+  weights: DEFAULT_SCORING_WEIGHTS
+};
+
+/**
+ * Editable weights and thresholds, grouped for the profile editor
+ */
+export const SCORING_PARAMETER_GROUPS = [
+  {
+    label: 'Hue Relations',
+    parameters: [
+      { key: 'complementaryScore', label: 'Complementary pair bonus', min: 0, max: 5, step: 0.5 },
+      { key: 'complementaryMinHue', label: 'Complementary from (° apart)', min: 120, max: 180, step: 5 },
+      { key: 'analogousScore', label: 'Analogous pair bonus', min: 0, max: 5, step: 0.5 },
+      { key: 'analogousMaxHue', label: 'Analogous up to (° apart)', min: 10, max: 60, step: 5 },
+      { key: 'clashPenalty', label: 'Clashing accent penalty', min: 0, max: 5, step: 0.5 },
+      { key: 'noSchemeScore', label: 'No color scheme', min: -5, max: 0, step: 0.5 }
+    ]
+  },
+  {
+    label: 'Contrast',
+    parameters: [
+      { key: 'contrastScore', label: 'Light/dark contrast bonus', min: 0, max: 5, step: 0.5 },
+      { key: 'contrastLightnessGap', label: 'Contrast from (L* gap)', min: 10, max: 80, step: 5 },
+      { key: 'nearMatchPenalty', label: 'Near-match penalty', min: 0, max: 5, step: 0.5 }
+    ]
+  },
+  {
+    label: 'Neutrals & Saturation',
+    parameters: [
+      { key: 'neutralSaturation', label: 'Neutral below (% saturation)', min: 0, max: 40, step: 1 },
+      { key: 'formalNeutralPairBonus', label: 'Formal: neutral pairing bonus', min: 0, max: 5, step: 0.5 },
+      { key: 'formalNeutralShareBonus', label: 'Formal: bonus for an all-neutral outfit', min: 0, max: 5, step: 0.25 },
+      { key: 'formalSaturationLimit', label: 'Formal: too bright above (% saturation)', min: 20, max: 100, step: 5 },
+      { key: 'formalSaturationPenalty', label: 'Formal: too bright penalty', min: 0, max: 5, step: 0.5 },
+      { key: 'casualSaturationThreshold', label: 'Casual: vibrant above (% saturation)', min: 0, max: 100, step: 5 },
+      { key: 'casualVibrancyBonus', label: 'Casual: vibrancy bonus', min: 0, max: 3, step: 0.25 }
+    ]
+  },
+  {
+    label: 'Personal Color',
+    parameters: [
+      { key: 'personalColorWeight', label: '"Suits you" weight', min: 0, max: 3, step: 0.25 }
+    ]
+  },
+  {
+    label: 'Weather',
+    parameters: [
+      { key: 'weatherMismatchSharePenalty', label: 'Penalty for an outfit that is all unsuitable', min: 0, max: 10, step: 0.5 }
+    ]
+  },
+  {
+    label: 'Learned Preferences',
+    parameters: [
+      { key: 'preferenceWeight', label: 'Weight of your likes and dislikes', min: 0, max: 5, step: 0.5 }
+    ]
+  },
+  {
+    label: 'Layering',
+    parameters: [
+      { key: 'outerLayerWeight', label: 'Outer layer weight in pair harmony', min: 1, max: 3, step: 0.25 },
+      { key: 'layerContrastScore', label: 'Collar contrast bonus', min: 0, max: 3, step: 0.25 },
+      { key: 'layerContrastGap', label: 'Collar contrast from (L* gap)', min: 10, max: 60, step: 5 }
+    ]
+  },
+  {
+    label: 'Patterns',
+    parameters: [
+      { key: 'statementPatternBonus', label: 'Single statement pattern bonus', min: 0, max: 3, step: 0.25 },
+      { key: 'competingPatternSharePenalty', label: 'Penalty for an all-patterned outfit', min: 0, max: 5, step: 0.25 }
+    ]
+  }
+];
+
+// Bounds of the per-scheme scores in the profile editor
+export const SCHEME_SCORE_RANGE = { min: -3, max: 5, step: 0.5 };
+
+/**
+ * Fill in weights missing from a stored profile, e.g. ones added in a later
+ * version, and drop ones no longer used. A weight whose meaning changes gets a
+ * new key, so stored profiles fall back to its new default.
+ * @param {Object} weights - Stored weights
+ * @returns {Object} Complete weights
+ */
+export const normalizeScoringWeights = (weights = {}) => ({
+  ...DEFAULT_SCORING_WEIGHTS,
+  ...Object.fromEntries(Object.entries(weights).filter(([key]) => key in DEFAULT_SCORING_WEIGHTS)),
+  schemeScores: Object.fromEntries(
+    Object.entries(DEFAULT_SCORING_WEIGHTS.schemeScores).map(([scheme, scores]) => [
+      scheme,
+      { ...scores, ...weights.schemeScores?.[scheme] }
+    ])
+  )
+});
+
+/**
+ * All profiles available in the given settings, the built-in one first
+ * @param {Object} settings - App settings
+ * @returns {Object[]} Profiles with complete weights
+ */
+export const getScoringProfiles = (settings) => [
+  DEFAULT_SCORING_PROFILE,
+  ...(settings.scoringProfiles || []).map(profile => ({
+    ...profile,
+    weights: normalizeScoringWeights(profile.weights)
+  }))
+];
+
+/**
+ * The profile suggestions are scored with, falling back to the built-in one
+ * when the active profile was deleted
+ * @param {Object} settings - App settings
+ * @returns {Object} Active profile
+ */
+export const getActiveScoringProfile = (settings) => {
+  const profiles = getScoringProfiles(settings);
+  return profiles.find(profile => profile.id === settings.activeScoringProfileId) || DEFAULT_SCORING_PROFILE;
+};
+
+/**
+ * Create a custom profile
+ * @param {string} name - Profile name
+ * @param {Object} weights - Initial weights
+ * @returns {Object} New profile
+ */
+export const createScoringProfile = (name, weights = DEFAULT_SCORING_WEIGHTS) => ({
+  id: `profile-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+  name,
+  weights: normalizeScoringWeights(structuredClone(weights))
+});
+
+/**
+ * Copy a profile under a name not used by any existing profile
+ * @param {Object} profile - Profile to copy
+ * @param {Object[]} profiles - Existing profiles
+ * @returns {Object} New profile
+ */
+export const duplicateScoringProfile = (profile, profiles) => {
+  const names = new Set(profiles.map(existing => existing.name));
+  let name = `${profile.name} copy`;
+  for (let i = 2; names.has(name); i++) {
+    name = `${profile.name} copy ${i}`;
+  }
+  return createScoringProfile(name, profile.weights);
+};
+
+/**
+ * Add a custom profile to the settings, or replace the stored version of it
+ * @param {Object} settings - App settings
+ * @param {Object} profile - Custom profile
+ * @returns {Object} Updated settings
+ */
+export const upsertScoringProfile = (settings, profile) => {
+  const profiles = settings.scoringProfiles || [];
+  const exists = profiles.some(existing => existing.id === profile.id);
+  return {
+    ...settings,
+    scoringProfiles: exists
+      ? profiles.map(existing => existing.id === profile.id ? profile : existing)
+      : [...profiles, profile]
+  };
+};
+
+/**
+ * Remove a custom profile from the settings; scoring falls back to the
+ * built-in profile if it was active
+ * @param {Object} settings - App settings
+ * @param {string} profileId - Id of the profile to remove
+ * @returns {Object} Updated settings
+ */
+export const removeScoringProfile = (settings, profileId) => ({
+  ...settings,
+  scoringProfiles: (settings.scoringProfiles || []).filter(profile => profile.id !== profileId),
+  activeScoringProfileId: settings.activeScoringProfileId === profileId
+    ? DEFAULT_PROFILE_ID
+    : settings.activeScoringProfileId
+});
@@ -5,18 +5,59 @@
 const STORAGE_KEYS = {
   WARDROBE_ITEMS: 'wardrobe_items',
   SAVED_OUTFITS: 'saved_outfits',
+  OUTFIT_FEEDBACK: 'outfit_feedback',
+  WEAR_LOG: 'wear_log',
   APP_SETTINGS: 'app_settings'
 };
 
+const DEFAULT_APP_SETTINGS = {
+  strictFormal: false,
+  maxSuggestions: 3,
+  whiteBalance: 'none',
+  suggestionDiversity: 0.3,
+  scoringProfiles: [],
+  activeScoringProfileId: 'default',
+  personalColor: null,
+  customCategories: [],
+  customSubcategories: {},
+  unwornMonths: 6,
+  weather: {
+    mode: 'off',
+    temperature: 18,
+    precipitation: 'none',
+    providerId: 'sample'
+  },
+  imageIngest: {
+    maxDimension: 1280,
+    quality: 0.8
+  }
+};
+
+/**
+ * Check whether a storage error was caused by the localStorage quota
+ * @param {Error} error - Error thrown by localStorage
+ * @returns {boolean}
+ */
+const isQuotaError = (error) => {
+  return error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error?.code === 22;
+};
+
 /**
  * Save wardrobe items to localStorage
  * @param {Object[]} items - Array of wardrobe items
+ * @returns {boolean} Whether the items were saved
  */
 export const saveWardrobeItems = (items) => {
   try {
     localStorage.setItem(STORAGE_KEYS.WARDROBE_ITEMS, JSON.stringify(items));
+    return true;
   } catch (error) {
-    console.error('Failed to save wardrobe items:', error);
+    if (isQuotaError(error)) {
+      console.error('Failed to save wardrobe items: storage quota exceeded', error);
+    } else {
+      console.error('Failed to save wardrobe items:', error);
+    }
+    return false;
   }
 };
 
@@ -35,12 +76,17 @@ export const loadWardrobeItems = () => {
 };
 
 /**
- * Save a single outfit to saved outfits
+ * Save a single outfit to saved outfits. Suggestion ids come from the item
+ * combination, so a combination that is already saved is not stored again.
  * @param {Object} outfit - Outfit object to save
+ * @returns {Object|null} The saved outfit (the earlier copy if it was already saved), or null on failure
  */
 export const saveOutfit = (outfit) => {
   try {
     const savedOutfits = loadSavedOutfits();
+    const existing = outfit.id && savedOutfits.find(saved => saved.id === outfit.id);
+    if (existing) return existing;
+
     const outfitToSave = {
       ...outfit,
       id: outfit.id || `saved-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
@@ -63,13 +109,27 @@ export const saveOutfit = (outfit) => {
 export const loadSavedOutfits = () => {
   try {
     const outfits = localStorage.getItem(STORAGE_KEYS.SAVED_OUTFITS);
-    return outfits ? JSON.parse(outfits) : [];
+    if (!outfits) return [];
+    // Older versions could store the same combination twice under one id; keep the first copy
+    const seen = new Set();
+    return JSON.parse(outfits).filter((outfit) => {
+      if (seen.has(outfit.id)) return false;
+      seen.add(outfit.id);
+      return true;
+    });
   } catch (error) {
     console.error('Failed to load saved outfits:', error);
     return [];
   }
 };
 
+/**
+ * Whether an outfit is already in the saved outfits
+ * @param {string} outfitId - Outfit id
+ * @returns {boolean}
+ */
+export const isOutfitSaved = (outfitId) => loadSavedOutfits().some(outfit => outfit.id === outfitId);
+
 /**
  * Delete a saved outfit
  * @param {string} outfitId - ID of outfit to delete
@@ -84,6 +144,85 @@ export const deleteSavedOutfit = (outfitId) => {
   }
 };
 
+/**
+ * Record a thumbs up or down for an outfit, replacing any earlier rating of it
+ * @param {Object} entry - Feedback entry ({ outfitId, itemIds, occasion, features, liked })
+ * @returns {Object[]} Updated feedback history
+ */
+export const recordOutfitFeedback = (entry) => {
+  try {
+    const feedback = loadOutfitFeedback().filter(existing => existing.outfitId !== entry.outfitId);
+    feedback.push({ ...entry, timestamp: Date.now() });
+    localStorage.setItem(STORAGE_KEYS.OUTFIT_FEEDBACK, JSON.stringify(feedback));
+    return feedback;
+  } catch (error) {
+    console.error('Failed to save outfit feedback:', error);
+    return loadOutfitFeedback();
+  }
+};
+
+/**
+ * Load the outfit rating history from localStorage
+ * @returns {Object[]} Feedback entries, oldest first
+ */
+export const loadOutfitFeedback = () => {
+  try {
+    const feedback = localStorage.getItem(STORAGE_KEYS.OUTFIT_FEEDBACK);
+    return feedback ? JSON.parse(feedback) : [];
+  } catch (error) {
+    console.error('Failed to load outfit feedback:', error);
+    return [];
+  }
+};
+
+/**
+ * Forget all outfit ratings, which resets the learned preferences
+ */
+export const clearOutfitFeedback = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEYS.OUTFIT_FEEDBACK);
+  } catch (error) {
+    console.error('Failed to clear outfit feedback:', error);
+  }
+};
+
+/**
+ * Record that items were worn. Every outfit an item was worn with is kept, so
+ * each outfit's own wears can be counted; the same item, outfit and day is
+ * stored once.
+ * @param {Object[]} entries - Wear entries ({ itemId, outfitId, date })
+ * @returns {Object[]} Updated wear log
+ */
+export const recordWear = (entries) => {
+  try {
+    const log = loadWearLog();
+    entries.forEach((entry) => {
+      if (!log.some(existing => existing.itemId === entry.itemId && existing.outfitId === entry.outfitId && existing.date === entry.date)) {
+        log.push({ ...entry, timestamp: Date.now() });
+      }
+    });
+    localStorage.setItem(STORAGE_KEYS.WEAR_LOG, JSON.stringify(log));
+    return log;
+  } catch (error) {
+    console.error('Failed to save wear log:', error);
+    return loadWearLog();
+  }
+};
+
+/**
+ * Load the wear log from localStorage
+ * @returns {Object[]} Wear entries, oldest first
+ */
+export const loadWearLog = () => {
+  try {
+    const log = localStorage.getItem(STORAGE_KEYS.WEAR_LOG);
+    return log ? JSON.parse(log) : [];
+  } catch (error) {
+    console.error('Failed to load wear log:', error);
+    return [];
+  }
+};
+
 /**
  * Delete a wardrobe item and update localStorage
  * @param {string} itemId - ID of item to delete
@@ -100,9 +239,27 @@ export const deleteWardrobeItem = (itemId) => {
   }
 };
 
+/**
+ * Update fields of a wardrobe item and persist the change
+ * @param {string} itemId - ID of item to update
+ * @param {Object} updates - Fields to merge into the item
+ * @returns {Object[]} Updated array of wardrobe items
+ */
+export const updateWardrobeItem = (itemId, updates) => {
+  try {
+    const items = loadWardrobeItems();
+    const updatedItems = items.map(item => item.id === itemId ? { ...item, ...updates } : item);
+    return saveWardrobeItems(updatedItems) ? updatedItems : items;
+  } catch (error) {
+    console.error('Failed to update wardrobe item:', error);
+    return loadWardrobeItems();
+  }
+};
+
 /**
  * Add a wardrobe item
  * @param {Object} item - Wardrobe item to add
+ * @returns {Object|null} The saved item, or null if it could not be stored
  */
 export const addWardrobeItem = (item) => {
   try {
@@ -114,8 +271,7 @@ export const addWardrobeItem = (item) => {
     };
     
     items.push(newItem);
-    saveWardrobeItems(items);
-    return newItem;
+    return saveWardrobeItems(items) ? newItem : null;
   } catch (error) {
     console.error('Failed to add wardrobe item:', error);
     return null;
@@ -151,22 +307,31 @@ export const saveAppSettings = (settings) => {
 };
 
 /**
- * Load app settings
+ * Load app settings, filling in defaults for settings added after they were saved
  * @returns {Object} Settings object
  */
 export const loadAppSettings = () => {
   try {
     const settings = localStorage.getItem(STORAGE_KEYS.APP_SETTINGS);
-    return settings ? JSON.parse(settings) : {
-      strictFormal: false,
-      maxSuggestions: 3
-    };
+    return settings ? { ...DEFAULT_APP_SETTINGS, ...JSON.parse(settings) } : { ...DEFAULT_APP_SETTINGS };
   } catch (error) {
     console.error('Failed to load app settings:', error);
-    return {
-      strictFormal: false,
-      maxSuggestions: 3
-    };
+    return { ...DEFAULT_APP_SETTINGS };
+  }
+};
+
+/**
+ * Approximate localStorage space used by the app
+ * @returns {number} Stored size in bytes (UTF-16, two bytes per character)
+ */
+export const getStorageUsage = () => {
+  try {
+    return Object.values(STORAGE_KEYS).reduce((total, key) => {
+      return total + (localStorage.getItem(key)?.length || 0) * 2;
+    }, 0);
+  } catch (error) {
+    console.error('Failed to measure storage usage:', error);
+    return 0;
   }
 };
 
@@ -0,0 +1,148 @@
+import { getItemDetails } from './itemDetails.js';
+
+/**
+ * Choices for how many months without wear get an item highlighted in My Wardrobe
+ */
+export const UNWORN_MONTH_OPTIONS = [3, 6, 12];
+
+/**
+ * Calendar date in the wearer's time zone
+ * @param {Date} date - Point in time
+ * @returns {string} YYYY-MM-DD
+ */
+export const toLocalDate = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Wear entries for every piece of an outfit
+ * @param {Object[]} items - Items worn
+ * @param {string|null} outfitId - Outfit they were worn as
+ * @param {string} date - Day worn (YYYY-MM-DD)
+ * @returns {{itemId: string, outfitId: string|null, date: string}[]}
+ */
+export const createWearEntries = (items, outfitId = null, date = toLocalDate()) => {
+  return items.map(item => ({ itemId: item.id, outfitId, date }));
+};
+
+/**
+ * Whether an outfit was logged as worn on a day
+ * @param {Object[]} log - Wear log
+ * @param {string} outfitId - Outfit id
+ * @param {string} date - Day (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+export const wasOutfitWornOn = (log, outfitId, date = toLocalDate()) => {
+  return log.some(entry => entry.outfitId === outfitId && entry.date === date);
+};
+
+/**
+ * Whether an item was logged as worn on a day, with any outfit
+ * @param {Object[]} log - Wear log
+ * @param {string} itemId - Item id
+ * @param {string} date - Day (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+export const wasItemWornOn = (log, itemId, date = toLocalDate()) => {
+  return log.some(entry => entry.itemId === itemId && entry.date === date);
+};
+
+/**
+ * Days an outfit was logged as worn
+ * @param {Object[]} log - Wear log
+ * @param {string} outfitId - Outfit id
+ * @returns {number}
+ */
+export const countOutfitWears = (log, outfitId) => {
+  return new Set(log.filter(entry => entry.outfitId === outfitId).map(entry => entry.date)).size;
+};
+
+/**
+ * Times worn and the last day worn of every item in the log. An item counts
+ * once per day, however many outfits it was logged with.
+ * @param {Object[]} log - Wear log
+ * @returns {Object<string, {count: number, lastWorn: string}>} Stats by item id
+ */
+export const getWearStats = (log) => {
+  const stats = {};
+  const counted = new Set();
+  log.forEach((entry) => {
+    const itemStats = stats[entry.itemId] || (stats[entry.itemId] = { count: 0, lastWorn: null });
+    const day = `${entry.itemId}|${entry.date}`;
+    if (!counted.has(day)) {
+      counted.add(day);
+      itemStats.count++;
+    }
+    if (!itemStats.lastWorn || entry.date > itemStats.lastWorn) {
+      itemStats.lastWorn = entry.date;
+    }
+  });
+  return stats;
+};
+
+/**
+ * Wear stats of one item
+ * @param {Object} item - Wardrobe item
+ * @param {Object} stats - Stats by item id, from getWearStats
+ * @returns {{count: number, lastWorn: string|null}} lastWorn is null for items never worn
+ */
+export const getItemWearStats = (item, stats) => stats[item.id] || { count: 0, lastWorn: null };
+
+/**
+ * Purchase price divided by the times an item was worn
+ * @param {Object} item - Wardrobe item
+ * @param {number} count - Times worn
+ * @returns {number|null} Rounded to cents; null without a price or before the first wear
+ */
+export const getCostPerWear = (item, count) => {
+  const { purchasePrice } = getItemDetails(item);
+  if (purchasePrice === null || count === 0) return null;
+  return Math.round((purchasePrice / count) * 100) / 100;
+};
+
+/**
+ * Whether an item has gone unworn for the given number of months, counting
+ * from when it was added if it was never worn
+ * @param {Object} item - Wardrobe item
+ * @param {{lastWorn: string|null}} wearStats - The item's wear stats
+ * @param {number} months - Months without wear
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export const isLongUnworn = (item, { lastWorn }, months, now = new Date()) => {
+  const cutoff = new Date(now);
+  cutoff.setMonth(cutoff.getMonth() - months);
+  if (lastWorn) return new Date(`${lastWorn}T00:00`) < cutoff;
+  return !item.addedAt || new Date(item.addedAt) < cutoff;
+};
+
+/**
+ * Format a wear date for display
+ * @param {string} date - Day (YYYY-MM-DD)
+ * @returns {string} e.g. "Oct 2, 2026"
+ */
+export const formatWearDate = (date) => new Date(`${date}T00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+
+/**
+ * Toast text for logging an outfit as worn
+ * @param {Object[]} log - Wear log before the outfit was logged
+ * @param {Object[]} entries - The outfit's wear entries, from createWearEntries
+ * @returns {string} e.g. "3 pieces added to your wear log" or "1 of 3 pieces added; the others were already logged today"
+ */
+export const describeLoggedWear = (log, entries) => {
+  const added = entries.filter(entry => !wasItemWornOn(log, entry.itemId, entry.date)).length;
+  if (added === entries.length) return `${added} piece${added === 1 ? '' : 's'} added to your wear log`;
+  if (added === 0) return 'Every piece was already logged today';
+  return `${added} of ${entries.length} pieces added; the other${entries.length - added === 1 ? ' was' : 's were'} already logged today`;
+};
+
+/**
+ * One-line summary of how often and how recently an item was worn
+ * @param {{count: number, lastWorn: string|null}} wearStats - The item's wear stats
+ * @returns {string} e.g. "Worn 3× · last Oct 2, 2026" or "Never worn"
+ */
+export const describeWear = ({ count, lastWorn }) => {
+  return count > 0 ? `Worn ${count}× · last ${formatWearDate(lastWorn)}` : 'Never worn';
+};
@@ -0,0 +1,218 @@
+import { DEFAULT_CATEGORIES, OUTERWEAR_SLOT, getItemSlots } from './categories.js';
+
+/**
+ * Warmth levels an item can be tagged with, and the temperatures (°C) each is
+ * comfortable in
+ */
+export const WARMTH_LEVELS = {
+  1: { label: 'Very light', description: 'linen, shorts, sandals', range: [22, 45] },
+  2: { label: 'Light', description: 't-shirts, thin cotton', range: [15, 32] },
+  3: { label: 'Medium', description: 'shirts, jeans, light knits', range: [8, 24] },
+  4: { label: 'Warm', description: 'wool, sweaters, boots', range: [-2, 15] },
+  5: { label: 'Heavy', description: 'winter coats, down, thermal', range: [-30, 8] }
+};
+
+export const PRECIPITATION_TYPES = {
+  none: 'Dry',
+  rain: 'Rain',
+  snow: 'Snow'
+};
+
+// At or below this temperature (°C) every outfit needs an outerwear piece
+export const COLD_THRESHOLD = 12;
+
+// Degrees beyond an item's comfortable range at which it is left out entirely;
+// closer misses only lower the score
+const WEATHER_TOLERANCE = 6;
+
+// Outfit slots whose pieces get wet first in rain or snow
+const EXPOSED_SLOTS = ['footwear', OUTERWEAR_SLOT];
+
+// Conditions the sample provider reports, e.g. for trying out the feature offline
+const SAMPLE_CONDITIONS = { temperature: 9, precipitation: 'rain' };
+
+/**
+ * Weather attributes of an item. Untagged items have no warmth level and are
+ * never judged on temperature.
+ * @param {Object} item - Wardrobe item
+ * @returns {{warmth: number|null, waterproof: boolean, outerwear: boolean}}
+ */
+export const getItemWeather = (item) => ({
+  warmth: null,
+  waterproof: false,
+  outerwear: false,
+  ...item.weather
+});
+
+/**
+ * Whether an item is a jacket, coat or other piece worn over the outfit,
+ * either by its category or because it is marked as outerwear
+ * @param {Object} item - Wardrobe item
+ * @param {Object} categories - Category registry
+ * @returns {boolean}
+ */
+export const isOuterwear = (item, categories = DEFAULT_CATEGORIES) => getItemSlots(item, categories).includes(OUTERWEAR_SLOT);
+
+/**
+ * Whether the conditions call for an outerwear piece
+ * @param {Object|null} conditions - Weather conditions
+ * @returns {boolean}
+ */
+export const needsOuterwear = (conditions) => Boolean(conditions) && conditions.temperature <= COLD_THRESHOLD;
+
+/**
+ * Degrees by which the temperature falls outside an item's comfortable range
+ * @param {Object} item - Wardrobe item
+ * @param {Object} conditions - Weather conditions
+ * @returns {number} 0 inside the range; negative when too cold for the item, positive when too warm
+ */
+const getTemperatureMiss = (item, conditions) => {
+  const { warmth } = getItemWeather(item);
+  if (!WARMTH_LEVELS[warmth]) return 0;
+
+  const [min, max] = WARMTH_LEVELS[warmth].range;
+  if (conditions.temperature < min) return conditions.temperature - min;
+  if (conditions.temperature > max) return conditions.temperature - max;
+  return 0;
+};
+
+/**
+ * Whether an item would get soaked: an exposed piece that is not waterproof in rain or snow
+ * @param {Object} item - Wardrobe item
+ * @param {Object} conditions - Weather conditions
+ * @param {Object} categories - Category registry
+ * @returns {boolean}
+ */
+const isExposedToWet = (item, conditions, categories) => {
+  if (conditions.precipitation === 'none') return false;
+  return !getItemWeather(item).waterproof && getItemSlots(item, categories).some(slot => EXPOSED_SLOTS.includes(slot));
+};
+
+/**
+ * Whether an item can be worn at all in the conditions
+ * @param {Object} item - Wardrobe item
+ * @param {Object|null} conditions - Weather conditions, or null to allow everything
+ * @returns {boolean}
+ */
+export const isItemWeatherSuitable = (item, conditions) => {
+  if (!conditions) return true;
+  return Math.abs(getTemperatureMiss(item, conditions)) <= WEATHER_TOLERANCE;
+};
+
+/**
+ * Remove items that cannot be worn in the conditions
+ * @param {Object} wardrobe - Wardrobe object with categorized items
+ * @param {Object|null} conditions - Weather conditions, or null to keep everything
+ * @returns {Object} Wardrobe with the same categories
+ */
+export const filterWardrobeForWeather = (wardrobe, conditions) => {
+  if (!conditions) return wardrobe;
+  return Object.fromEntries(
+    Object.entries(wardrobe).map(([category, items]) => [
+      category,
+      items.filter(item => isItemWeatherSuitable(item, conditions))
+    ])
+  );
+};
+
+/**
+ * How badly an outfit fits the weather: each item adds the share of the
+ * tolerance its temperature range misses by, and 1 if it would get soaked.
+ * The sum is divided by the number of items, so outfits of any size compare.
+ * @param {Object[]} items - Outfit items
+ * @param {Object} conditions - Weather conditions
+ * @param {Object} categories - Category registry
+ * @returns {{mismatch: number, tooWarm: Object[], tooCold: Object[], wet: Object[]}} Mismatch per item (0 = perfect fit, 2 = every item far off and soaked) and the items behind it
+ */
+export const scoreOutfitForWeather = (items, conditions, categories = DEFAULT_CATEGORIES) => {
+  const result = { mismatch: 0, tooWarm: [], tooCold: [], wet: [] };
+
+  items.forEach((item) => {
+    const miss = getTemperatureMiss(item, conditions);
+    if (miss !== 0) {
+      result.mismatch += Math.min(1, Math.abs(miss) / WEATHER_TOLERANCE);
+      // A positive miss means it is warmer than the item is made for
+      (miss > 0 ? result.tooWarm : result.tooCold).push(item);
+    }
+    if (isExposedToWet(item, conditions, categories)) {
+      result.mismatch += 1;
+      result.wet.push(item);
+    }
+  });
+
+  result.mismatch = items.length > 0 ? result.mismatch / items.length : 0;
+  return result;
+};
+
+/**
+ * Validate conditions from the user or a provider
+ * @param {Object} conditions - Raw conditions
+ * @returns {{temperature: number, precipitation: string}} Clean conditions
+ * @throws {Error} If the temperature or precipitation is not usable
+ */
+export const normalizeWeatherConditions = (conditions) => {
+  const temperature = Number(conditions?.temperature);
+  if (!Number.isFinite(temperature)) {
+    throw new Error('Weather conditions need a temperature');
+  }
+  const precipitation = conditions.precipitation || 'none';
+  if (!PRECIPITATION_TYPES[precipitation]) {
+    throw new Error(`Unknown precipitation "${precipitation}"`);
+  }
+  return { temperature: Math.round(temperature), precipitation };
+};
+
+/**
+ * Short description of conditions, e.g. "9°C, rain"
+ * @param {Object} conditions - Weather conditions
+ * @returns {string}
+ */
+export const describeWeather = (conditions) => {
+  const precipitation = conditions.precipitation === 'none' ? 'dry' : PRECIPITATION_TYPES[conditions.precipitation].toLowerCase();
+  return `${conditions.temperature}°C, ${precipitation}`;
+};
+
+/**
+ * Create a provider that always reports the given conditions, without any
+ * network access. Useful for demos and for testing the weather rules.
+ * @param {Object} conditions - Conditions to report
+ * @param {Object} options - Provider details
+ * @param {string} options.id - Provider id
+ * @param {string} options.label - Name shown in the weather picker
+ * @returns {{id: string, label: string, getConditions: Function}} Weather provider
+ */
+export const createStubWeatherProvider = (conditions = SAMPLE_CONDITIONS, { id = 'sample', label = 'Sample weather' } = {}) => ({
+  id,
+  label,
+  getConditions: async () => ({ ...conditions })
+});
+
+/**
+ * Available weather providers. A provider is { id, label, getConditions },
+ * where getConditions resolves to { temperature (°C), precipitation }.
+ */
+export const WEATHER_PROVIDERS = {
+  sample: createStubWeatherProvider()
+};
+
+/**
+ * Make a provider available in the weather picker
+ * @param {{id: string, label: string, getConditions: Function}} provider - Weather provider
+ */
+export const registerWeatherProvider = (provider) => {
+  WEATHER_PROVIDERS[provider.id] = provider;
+};
+
+/**
+ * Ask a provider for the current conditions
+ * @param {string} providerId - Key of WEATHER_PROVIDERS
+ * @returns {Promise<{temperature: number, precipitation: string}>} Clean conditions
+ * @throws {Error} If the provider is unknown or reports unusable conditions
+ */
+export const fetchWeatherConditions = async (providerId) => {
+  const provider = WEATHER_PROVIDERS[providerId];
+  if (!provider) {
+    throw new Error(`Unknown weather provider "${providerId}"`);
+  }
+  return normalizeWeatherConditions(await provider.getConditions());
+};
@@ -0,0 +1,159 @@
+// Per-channel gains are clamped to this range so strongly colored scenes are not over-corrected
+const MIN_GAIN = 0.7;
+const MAX_GAIN = 1.4;
+
+// Share of the brightest pixels averaged by the white-patch estimate
+const WHITE_PATCH_SHARE = 0.02;
+
+// Minimum share of background pixels for gray world to ignore the garment itself
+const MIN_BACKGROUND_SHARE = 0.05;
+
+/**
+ * White-balance methods with display labels
+ */
+export const WHITE_BALANCE_METHODS = {
+  none: 'Off',
+  'gray-world': 'Gray world',
+  'white-patch': 'White patch',
+  reference: 'Reference neutral'
+};
+
+/**
+ * Estimate per-channel gains that neutralize the color cast of the light source.
+ * - gray world: the scene averages to gray; the background is used when the
+ *   garment was segmented, so a red shirt does not read as a red cast
+ * - white patch: the brightest pixels are white
+ * - reference: a user-picked color is neutral
+ * @param {ImageData} imageData - Pixels to analyze
+ * @param {Object} options - Estimation options
+ * @param {string} options.method - Key of WHITE_BALANCE_METHODS
+ * @param {number[]} options.reference - Neutral reference [r, g, b] for the reference method
+ * @param {Uint8Array} options.mask - Garment mask (1 = garment) from segmentGarment
+ * @returns {{method: string, gains: number[], reference?: number[]}} Correction parameters
+ */
+export const estimateWhiteBalance = (imageData, { method = 'none', reference = null, mask = null } = {}) => {
+  let neutral = null;
+
+  if (method === 'gray-world') {
+    neutral = grayWorldEstimate(imageData, mask);
+  } else if (method === 'white-patch') {
+    neutral = whitePatchEstimate(imageData);
+  } else if (method === 'reference' && reference) {
+    neutral = reference;
+  }
+
+  if (!neutral) {
+    return { method: 'none', gains: [1, 1, 1] };
+  }
+
+  const correction = { method, gains: gainsFromNeutral(neutral) };
+  if (method === 'reference') {
+    correction.reference = reference.map(Math.round);
+  }
+  return correction;
+};
+
+/**
+ * Apply per-channel gains to a copy of the pixels
+ * @param {ImageData} imageData - Source pixels
+ * @param {number[]} gains - Gains [r, g, b]
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Corrected pixels
+ */
+export const applyWhiteBalance = (imageData, gains) => {
+  const { data, width, height } = imageData;
+  if (gains.every(gain => gain === 1)) {
+    return imageData;
+  }
+
+  const corrected = new Uint8ClampedArray(data.length);
+  for (let offset = 0; offset < data.length; offset += 4) {
+    corrected[offset] = data[offset] * gains[0];
+    corrected[offset + 1] = data[offset + 1] * gains[1];
+    corrected[offset + 2] = data[offset + 2] * gains[2];
+    corrected[offset + 3] = data[offset + 3];
+  }
+
+  return { data: corrected, width, height };
+};
+
+/**
+ * Whether a correction changes the image at all
+ * @param {{gains: number[]}} whiteBalance - Correction parameters
+ * @returns {boolean}
+ */
+export const isWhiteBalanceApplied = (whiteBalance) => {
+  return Boolean(whiteBalance) && whiteBalance.gains.some(gain => gain !== 1);
+};
+
+/**
+ * Mean color of the background (or of the whole photo when there is too little background)
+ * @param {ImageData} imageData - Source pixels
+ * @param {Uint8Array|null} mask - Garment mask
+ * @returns {number[]|null} Mean color [r, g, b]
+ */
+const grayWorldEstimate = (imageData, mask) => {
+  const { data } = imageData;
+  const pixelCount = data.length / 4;
+  const backgroundCount = mask ? mask.reduce((count, value) => count + (value ? 0 : 1), 0) : 0;
+  const useBackground = backgroundCount >= pixelCount * MIN_BACKGROUND_SHARE;
+
+  const sums = [0, 0, 0];
+  let count = 0;
+  for (let index = 0; index < pixelCount; index++) {
+    if (data[index * 4 + 3] < 128) continue;
+    if (useBackground && mask[index]) continue;
+
+    sums[0] += data[index * 4];
+    sums[1] += data[index * 4 + 1];
+    sums[2] += data[index * 4 + 2];
+    count++;
+  }
+
+  return count > 0 ? sums.map(sum => sum / count) : null;
+};
+
+/**
+ * Mean color of the brightest pixels
+ * @param {ImageData} imageData - Source pixels
+ * @returns {number[]|null} Mean color [r, g, b]
+ */
+const whitePatchEstimate = (imageData) => {
+  const { data } = imageData;
+  const pixels = [];
+
+  for (let offset = 0; offset < data.length; offset += 4) {
+    if (data[offset + 3] < 128) continue;
+    const luminance = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+    pixels.push([luminance, offset]);
+  }
+
+  if (pixels.length === 0) return null;
+
+  pixels.sort((a, b) => b[0] - a[0]);
+  const brightest = pixels.slice(0, Math.max(1, Math.round(pixels.length * WHITE_PATCH_SHARE)));
+
+  const sums = [0, 0, 0];
+  brightest.forEach(([, offset]) => {
+    sums[0] += data[offset];
+    sums[1] += data[offset + 1];
+    sums[2] += data[offset + 2];
+  });
+  return sums.map(sum => sum / brightest.length);
+};
+
+/**
+ * Gains that map an estimated neutral color to gray of the same brightness
+ * @param {number[]} neutral - Estimated neutral color [r, g, b]
+ * @returns {number[]} Gains [r, g, b], rounded to three decimals
+ */
+const gainsFromNeutral = (neutral) => {
+  if (neutral.some(channel => channel < 1)) {
+    return [1, 1, 1];
+  }
+
+  const mean = (neutral[0] + neutral[1] + neutral[2]) / 3;
+  return neutral.map((channel) => {
+    const gain = Math.min(MAX_GAIN, Math.max(MIN_GAIN, mean / channel));
+    return Math.round(gain * 1000) / 1000;
+  });
+};
@@ -0,0 +1,28 @@
+import { analyzeGarmentImage } from '../utils/imageAnalysis.js';
+import { prepareImageForStorage } from '../utils/imageIngest.js';
+
+/**
+ * Image processing worker: decodes an uploaded file with createImageBitmap,
+ * runs the full garment analysis and compresses the photo for storage on an
+ * OffscreenCanvas, off the main thread.
+ *
+ * Receives: { jobId, file, options }
+ * Replies:  { jobId, result } on success or { jobId, error } on failure
+ */
+self.onmessage = async (event) => {
+  const { jobId, file, options } = event.data;
+
+  try {
+    const bitmap = await createImageBitmap(file);
+    try {
+      const analysis = await analyzeGarmentImage(bitmap, options);
+      const image = await prepareImageForStorage(bitmap, options?.ingest);
+      self.postMessage({ jobId, result: { ...image, ...analysis } });
+    } finally {
+      // The worker is pooled and long-lived, so release the pixels even when analysis fails
+      bitmap.close();
+    }
+  } catch (error) {
+    self.postMessage({ jobId, error: error?.message || String(error) });
+  }
+};